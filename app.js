@@ -20,6 +20,9 @@ const database = require('./config/database');
 
 // Import routes
 var indexRouter = require('./routes/index');
+var twoFactorRouter = require('./routes/twoFactor');
+var oidcRouter = require('./routes/oidc');
+const { isMockProviderEnabled } = require('./utils/oidc');
 var usersRouter = require('./routes/users');
 var ownersRouter = require('./routes/owners');
 var bookingsRouter = require('./routes/bookings');
@@ -65,7 +68,7 @@ const corsOptions = {
     }
   },
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Origin', 'X-Requested-With', 'Content-Type', 'Accept', 'Authorization'],
+  allowedHeaders: ['Origin', 'X-Requested-With', 'Content-Type', 'Accept', 'Authorization', 'X-Auth-Mode', 'X-CSRF-Token'],
   credentials: true
 };
 
@@ -131,12 +134,20 @@ app.get('/health', async (req, res) => {
 
 // API routes
 app.use('/api', indexRouter);
+app.use('/api/auth/2fa', twoFactorRouter);
+app.use('/api/auth/oidc', oidcRouter);
 app.use('/api/users', usersRouter);
 app.use('/api/owners', ownersRouter);
 app.use('/api/bookings', bookingsRouter);
 app.use('/api/admin', adminRouter);
 app.use('/api/upload', uploadRouter); // ADDED: Upload route
 
+// Local OpenID Connect provider for testing social login
+if (isMockProviderEnabled()) {
+  app.use('/api/oidc-mock', require('./routes/oidcMock'));
+  console.log('🧪 Mock OIDC provider enabled at /api/oidc-mock');
+}
+
 // Root redirect
 app.get('/', (req, res) => {
   res.redirect('/api');
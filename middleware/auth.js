@@ -1,10 +1,86 @@
 const jwt = require('jsonwebtoken');
+const { getAuthState } = require('../utils/authState');
+const { getSessionState, touchSession } = require('../utils/sessions');
+const { findActiveApiKey, checkRateLimit, markApiKeyUsed } = require('../utils/apiKeys');
+const { getSpotAccess, hasCapability } = require('../utils/spotPermissions');
+const {
+  getImpersonationState,
+  isImpersonationActive,
+  auditImpersonatedRequest
+} = require('../utils/impersonation');
+const { ACCESS_COOKIE, getCookie, isCsrfValid } = require('../utils/authCookies');
+
+// Access token from the Authorization header, or from the session cookie in cookie mode
+function getRequestToken(req) {
+  const authHeader = req.headers['authorization'];
+  const headerToken = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+
+  if (headerToken) {
+    return { token: headerToken, fromCookie: false };
+  }
+
+  return { token: getCookie(req, ACCESS_COOKIE), fromCookie: true };
+}
+
+// Access tokens carry their type, the token version and the login session (`sid`), or for
+// impersonation tokens the impersonation session (`imp`). Tokens issued before these claims were
+// added are rejected, so their holders have to log in again.
+function isAccessToken(decoded) {
+  return decoded.type === 'access' && Number.isInteger(decoded.tv) && Boolean(decoded.sid || decoded.imp);
+}
+
+// Check the login session an access token belongs to (impersonation tokens are checked against
+// their impersonation session instead)
+async function isSessionActive(prisma, decoded, userId) {
+  if (!decoded.sid) {
+    return Boolean(decoded.imp);
+  }
+
+  const session = await getSessionState(prisma, decoded.sid);
+  if (!session || session.revokedAt || session.expiresAt <= new Date() || session.userId !== userId) {
+    return false;
+  }
+
+  touchSession(prisma, session);
+  return true;
+}
+
+// Check the impersonation session of an impersonation token (`imp` claim). The session must
+// still be running and the admin must still be an active admin. Returns the admin state or null.
+async function getActiveImpersonator(prisma, decoded, userId) {
+  const impersonation = await getImpersonationState(prisma, decoded.imp);
+  if (!isImpersonationActive(impersonation) || impersonation.targetUserId !== userId ||
+      !decoded.act || impersonation.adminId !== decoded.act.userId) {
+    return null;
+  }
+
+  const admin = await getAuthState(prisma, impersonation.adminId);
+  if (!admin || !admin.isActive || admin.role !== 'ADMIN') {
+    return null;
+  }
+
+  return admin;
+}
+
+// Mark the request as impersonated and audit it
+function startImpersonatedRequest(req, res, decoded) {
+  req.user.impersonatedBy = {
+    userId: decoded.act.userId,
+    email: decoded.act.email
+  };
+  req.impersonation = {
+    id: decoded.imp,
+    adminId: decoded.act.userId
+  };
+
+  res.set('X-Impersonated-By', decoded.act.email);
+  auditImpersonatedRequest(req.prisma, req, res);
+}
 
 // 🆕 ENHANCED: Middleware to verify JWT token with better debugging
 const authenticateToken = async (req, res, next) => {
   try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+    const { token, fromCookie } = getRequestToken(req);
 
     if (!token) {
       return res.status(401).json({ 
@@ -13,17 +89,71 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Cookies are sent by the browser automatically, so state-changing requests need the CSRF token
+    if (fromCookie && !isCsrfValid(req)) {
+      return res.status(403).json({
+        message: 'Invalid or missing CSRF token',
+        code: 'CSRF_TOKEN_INVALID'
+      });
+    }
+
     // 🆕 ENHANCED: Better JWT verification with user data extraction
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Only access tokens may be used for authentication
+    if (!isAccessToken(decoded)) {
+      return res.status(401).json({
+        message: 'Invalid access token',
+        code: 'TOKEN_INVALID'
+      });
+    }
+    
+    const userId = decoded.userId || decoded.id; // Support both formats
+
+    // Role, status and token version come from the database (briefly cached),
+    // so deactivation, demotion and password changes apply to existing tokens
+    const state = await getAuthState(req.prisma, userId);
+    if (!state) {
+      return res.status(401).json({
+        message: 'Invalid access token',
+        code: 'TOKEN_INVALID'
+      });
+    }
+
+    if (decoded.tv !== state.tokenVersion) {
+      return res.status(401).json({
+        message: 'Access token has been revoked. Please log in again.',
+        code: 'TOKEN_REVOKED'
+      });
+    }
+
+    if (!await isSessionActive(req.prisma, decoded, userId)) {
+      return res.status(401).json({
+        message: 'This session has been signed out. Please log in again.',
+        code: 'SESSION_REVOKED'
+      });
+    }
+
+    if (decoded.imp && !await getActiveImpersonator(req.prisma, decoded, userId)) {
+      return res.status(401).json({
+        message: 'This impersonation session has ended',
+        code: 'IMPERSONATION_ENDED'
+      });
+    }
     
     // 🆕 ENHANCED: Support both userId and id fields for compatibility
     req.user = {
-      userId: decoded.userId || decoded.id, // Support both formats
+      userId,
       email: decoded.email,
-      role: decoded.role,
-      isActive: decoded.isActive !== false // Default to true if not specified
+      role: state.role,
+      isActive: state.isActive,
+      sessionId: decoded.sid || null
     };
 
+    if (decoded.imp) {
+      startImpersonatedRequest(req, res, decoded);
+    }
+
     // 🆕 ENHANCED: Development logging for debugging
     if (process.env.NODE_ENV === 'development') {
       console.log('🔐 Auth successful:', {
@@ -66,6 +196,118 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Middleware to authenticate owner integrations with an API key (X-API-Key header)
+const authenticateApiKey = async (req, res, next) => {
+  try {
+    const key = req.headers['x-api-key'];
+
+    if (!key) {
+      return res.status(401).json({
+        message: 'API key required',
+        code: 'API_KEY_MISSING'
+      });
+    }
+
+    const apiKey = await findActiveApiKey(req.prisma, key);
+    if (!apiKey) {
+      return res.status(401).json({
+        message: 'Invalid, expired or revoked API key',
+        code: 'API_KEY_INVALID'
+      });
+    }
+
+    // The key acts on behalf of its owner, so the owner's current role and status apply
+    const state = await getAuthState(req.prisma, apiKey.userId);
+    if (!state || !state.isActive) {
+      return res.status(403).json({
+        message: 'Account is deactivated',
+        code: 'ACCOUNT_INACTIVE'
+      });
+    }
+
+    const rateLimit = checkRateLimit(apiKey);
+    res.set('X-RateLimit-Limit', String(apiKey.rateLimitPerMinute));
+    res.set('X-RateLimit-Remaining', String(rateLimit.remaining));
+
+    if (!rateLimit.allowed) {
+      res.set('Retry-After', String(rateLimit.retryAfter));
+      return res.status(429).json({
+        message: 'API key rate limit exceeded. Please try again later.',
+        code: 'RATE_LIMIT_EXCEEDED',
+        retryAfter: rateLimit.retryAfter
+      });
+    }
+
+    markApiKeyUsed(req.prisma, apiKey, req.ip);
+
+    req.user = {
+      userId: apiKey.userId,
+      email: apiKey.user.email,
+      role: state.role,
+      isActive: state.isActive,
+      sessionId: null
+    };
+    req.apiKey = {
+      id: apiKey.id,
+      scopes: apiKey.scopes
+    };
+
+    next();
+  } catch (error) {
+    console.error('API key authentication error:', error);
+    return res.status(500).json({
+      message: 'Authentication verification failed',
+      code: 'AUTH_ERROR',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Accept either a user access token or an API key
+const authenticateTokenOrApiKey = (req, res, next) => {
+  if (req.headers['x-api-key']) {
+    return authenticateApiKey(req, res, next);
+  }
+  return authenticateToken(req, res, next);
+};
+
+// Require a scope when the request is authenticated with an API key (user tokens have full access)
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (req.apiKey && !req.apiKey.scopes.includes(scope)) {
+      return res.status(403).json({
+        message: `API key is missing the ${scope} scope`,
+        code: 'INSUFFICIENT_SCOPE',
+        requiredScope: scope
+      });
+    }
+    next();
+  };
+};
+
+// Reject API keys on endpoints that need a signed-in user (e.g. managing keys)
+const rejectApiKey = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      message: 'This endpoint cannot be used with an API key',
+      code: 'API_KEY_NOT_ALLOWED'
+    });
+  }
+  next();
+};
+
+// Refuse sensitive actions (password, payments, account deletion, ...) while an admin is impersonating
+const denyImpersonation = (req, res, next) => {
+  if (req.impersonation) {
+    req.impersonation.blocked = true;
+    return res.status(403).json({
+      message: 'This action is not available while impersonating a user',
+      code: 'IMPERSONATION_FORBIDDEN'
+    });
+  }
+  next();
+};
+
 // 🆕 ENHANCED: Middleware to check if user is an owner with better debugging
 const requireOwner = async (req, res, next) => {
   try {
@@ -105,6 +347,45 @@ const requireOwner = async (req, res, next) => {
   }
 };
 
+// Middleware for owner-area routes: owners, admins, and users who are co-hosts or staff on a spot
+const requireOwnerOrStaff = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        message: 'Authentication required',
+        code: 'NOT_AUTHENTICATED'
+      });
+    }
+
+    if (req.user.role === 'OWNER' || req.user.role === 'ADMIN') {
+      return next();
+    }
+
+    const memberships = await req.prisma.spotMember.count({
+      where: { userId: req.user.userId }
+    });
+
+    if (memberships > 0) {
+      return next();
+    }
+
+    console.warn(`⚠️ Owner area access denied: ${req.user.email} (${req.user.role}) attempted to access ${req.originalUrl}`);
+    return res.status(403).json({
+      message: 'Owner privileges or a spot team membership required',
+      code: 'INSUFFICIENT_PRIVILEGES',
+      requiredRole: 'OWNER',
+      currentRole: req.user.role
+    });
+  } catch (error) {
+    console.error('Owner area access check error:', error);
+    return res.status(500).json({
+      message: 'Role verification failed',
+      code: 'ROLE_CHECK_ERROR',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // 🆕 ENHANCED: Middleware to check if user is an admin with better debugging
 const requireAdmin = async (req, res, next) => {
   try {
@@ -182,18 +463,33 @@ const authorizeRole = (allowedRoles) => {
 // 🆕 ENHANCED: Optional authentication middleware (for routes that work with or without auth)
 const optionalAuth = async (req, res, next) => {
   try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
+    const { token, fromCookie } = getRequestToken(req);
 
-    if (token) {
+    // Cookie sessions without a valid CSRF token proceed without auth
+    if (token && (!fromCookie || isCsrfValid(req))) {
       try {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = {
-          userId: decoded.userId || decoded.id,
-          email: decoded.email,
-          role: decoded.role,
-          isActive: decoded.isActive !== false
-        };
+        if (isAccessToken(decoded)) {
+          const userId = decoded.userId || decoded.id;
+          const state = await getAuthState(req.prisma, userId);
+
+          // Revoked tokens and deactivated accounts proceed without auth
+          if (state && state.isActive && decoded.tv === state.tokenVersion &&
+              await isSessionActive(req.prisma, decoded, userId) &&
+              (!decoded.imp || await getActiveImpersonator(req.prisma, decoded, userId))) {
+            req.user = {
+              userId,
+              email: decoded.email,
+              role: state.role,
+              isActive: state.isActive,
+              sessionId: decoded.sid || null
+            };
+
+            if (decoded.imp) {
+              startImpersonatedRequest(req, res, decoded);
+            }
+          }
+        }
       } catch (error) {
         // Token is invalid but that's okay for optional auth
         if (process.env.NODE_ENV === 'development') {
@@ -291,8 +587,9 @@ const requireVerifiedAccount = (req, res, next) => {
   });
 };
 
-// 🆕 ENHANCED: Middleware to check ownership of resources with better error handling
-const requireResourceOwnership = (resourceType) => {
+// 🆕 ENHANCED: Middleware to check ownership of resources with better error handling.
+// Spot co-hosts and staff are allowed when their membership grants `capability`.
+const requireResourceOwnership = (resourceType, capability) => {
   return async (req, res, next) => {
     if (!req.user || !req.user.userId) {
       return res.status(401).json({ 
@@ -319,30 +616,29 @@ const requireResourceOwnership = (resourceType) => {
       
       switch (resourceType) {
         case 'spot':
-          resource = await req.prisma.campingSpot.findUnique({
-            where: { id: resourceId },
-            select: { ownerId: true }
-          });
+          resource = await getSpotAccess(req.prisma, req.user.userId, resourceId);
           
-          if (!resource) {
+          if (resource === undefined) {
             return res.status(404).json({
               message: 'Camping spot not found',
               code: 'RESOURCE_NOT_FOUND'
             });
           }
           
-          if (resource.ownerId !== req.user.userId) {
+          if (!hasCapability(resource, capability || 'spot.view')) {
             return res.status(403).json({
               message: 'You can only access your own camping spots',
               code: 'OWNERSHIP_REQUIRED'
             });
           }
+
+          req.spotAccess = resource;
           break;
           
         case 'booking':
           resource = await req.prisma.booking.findUnique({
             where: { id: resourceId },
-            select: { userId: true, spot: { select: { ownerId: true } } }
+            select: { userId: true, spotId: true }
           });
           
           if (!resource) {
@@ -352,12 +648,16 @@ const requireResourceOwnership = (resourceType) => {
             });
           }
           
-          // User can access their own bookings or bookings for their spots
-          if (resource.userId !== req.user.userId && resource.spot.ownerId !== req.user.userId) {
-            return res.status(403).json({
-              message: 'You can only access your own bookings',
-              code: 'OWNERSHIP_REQUIRED'
-            });
+          // User can access their own bookings or bookings for spots they own or work on
+          if (resource.userId !== req.user.userId) {
+            const access = await getSpotAccess(req.prisma, req.user.userId, resource.spotId);
+
+            if (!hasCapability(access, capability || 'bookings.view')) {
+              return res.status(403).json({
+                message: 'You can only access your own bookings',
+                code: 'OWNERSHIP_REQUIRED'
+              });
+            }
           }
           break;
           
@@ -513,7 +813,13 @@ const refreshUserData = async (req, res, next) => {
 
 module.exports = {
   authenticateToken,
+  authenticateApiKey,
+  authenticateTokenOrApiKey,
+  requireScope,
+  rejectApiKey,
+  denyImpersonation,
   requireOwner,
+  requireOwnerOrStaff,
   requireAdmin,
   authorizeRole,
   optionalAuth, // 🆕 NEW
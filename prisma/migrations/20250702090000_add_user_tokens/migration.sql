@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE `user_tokens` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NOT NULL,
+    `purpose` ENUM('EMAIL_VERIFICATION') NOT NULL,
+    `tokenHash` VARCHAR(191) NOT NULL,
+    `email` VARCHAR(191) NULL,
+    `expiresAt` DATETIME(3) NOT NULL,
+    `usedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `user_tokens_tokenHash_key`(`tokenHash`),
+    INDEX `user_tokens_userId_purpose_idx`(`userId`, `purpose`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `user_tokens` ADD CONSTRAINT `user_tokens_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `user_tokens` MODIFY `purpose` ENUM('EMAIL_VERIFICATION', 'PASSWORD_RESET') NOT NULL;
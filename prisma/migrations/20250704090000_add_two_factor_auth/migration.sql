@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE `users` ADD COLUMN `twoFactorEnabled` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `twoFactorSecret` VARCHAR(255) NULL,
+    ADD COLUMN `twoFactorLastUsedStep` INTEGER NULL,
+    ADD COLUMN `twoFactorEnabledAt` DATETIME(3) NULL;
+
+-- CreateTable
+CREATE TABLE `two_factor_recovery_codes` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NOT NULL,
+    `codeHash` VARCHAR(191) NOT NULL,
+    `usedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `two_factor_recovery_codes_userId_idx`(`userId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `system_settings` (
+    `key` VARCHAR(191) NOT NULL,
+    `value` JSON NOT NULL,
+    `updatedById` INTEGER NULL,
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    PRIMARY KEY (`key`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `two_factor_recovery_codes` ADD CONSTRAINT `two_factor_recovery_codes_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
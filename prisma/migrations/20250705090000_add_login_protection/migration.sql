@@ -0,0 +1,34 @@
+-- AlterTable
+ALTER TABLE `user_tokens` MODIFY `purpose` ENUM('EMAIL_VERIFICATION', 'PASSWORD_RESET', 'ACCOUNT_UNLOCK') NOT NULL;
+
+-- CreateTable
+CREATE TABLE `login_throttles` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `scope` ENUM('ACCOUNT', 'IP') NOT NULL,
+    `key` VARCHAR(191) NOT NULL,
+    `failedCount` INTEGER NOT NULL DEFAULT 0,
+    `lastFailedAt` DATETIME(3) NULL,
+    `lockedUntil` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `login_throttles_scope_key_key`(`scope`, `key`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `security_events` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NULL,
+    `type` VARCHAR(191) NOT NULL,
+    `ipAddress` VARCHAR(191) NULL,
+    `userAgent` VARCHAR(255) NULL,
+    `metadata` JSON NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `security_events_userId_createdAt_idx`(`userId`, `createdAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `security_events` ADD CONSTRAINT `security_events_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE `invitations` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `codeHash` VARCHAR(191) NOT NULL,
+    `role` ENUM('USER', 'OWNER', 'ADMIN') NOT NULL,
+    `email` VARCHAR(191) NULL,
+    `expiresAt` DATETIME(3) NOT NULL,
+    `createdById` INTEGER NOT NULL,
+    `usedAt` DATETIME(3) NULL,
+    `usedById` INTEGER NULL,
+    `revokedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `invitations_codeHash_key`(`codeHash`),
+    INDEX `invitations_createdById_idx`(`createdById`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `invitations` ADD CONSTRAINT `invitations_createdById_fkey` FOREIGN KEY (`createdById`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `invitations` ADD CONSTRAINT `invitations_usedById_fkey` FOREIGN KEY (`usedById`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,39 @@
+-- AlterTable
+ALTER TABLE `users` ADD COLUMN `hasPassword` BOOLEAN NOT NULL DEFAULT true;
+
+-- CreateTable
+CREATE TABLE `user_identities` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NOT NULL,
+    `provider` VARCHAR(191) NOT NULL,
+    `subject` VARCHAR(191) NOT NULL,
+    `email` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `lastLoginAt` DATETIME(3) NULL,
+
+    INDEX `user_identities_userId_idx`(`userId`),
+    UNIQUE INDEX `user_identities_provider_subject_key`(`provider`, `subject`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `oidc_auth_requests` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `stateHash` VARCHAR(191) NOT NULL,
+    `provider` VARCHAR(191) NOT NULL,
+    `codeVerifier` VARCHAR(191) NOT NULL,
+    `nonce` VARCHAR(191) NOT NULL,
+    `userId` INTEGER NULL,
+    `expiresAt` DATETIME(3) NOT NULL,
+    `usedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `oidc_auth_requests_stateHash_key`(`stateHash`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `user_identities` ADD CONSTRAINT `user_identities_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `oidc_auth_requests` ADD CONSTRAINT `oidc_auth_requests_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE `spot_members` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `spotId` INTEGER NOT NULL,
+    `userId` INTEGER NOT NULL,
+    `role` ENUM('CO_HOST', 'MANAGER', 'FRONT_DESK') NOT NULL,
+    `capabilities` JSON NULL,
+    `addedById` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `spot_members_userId_idx`(`userId`),
+    UNIQUE INDEX `spot_members_spotId_userId_key`(`spotId`, `userId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `spot_members` ADD CONSTRAINT `spot_members_spotId_fkey` FOREIGN KEY (`spotId`) REFERENCES `camping_spots`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `spot_members` ADD CONSTRAINT `spot_members_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `spot_members` ADD CONSTRAINT `spot_members_addedById_fkey` FOREIGN KEY (`addedById`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,41 @@
+-- CreateTable
+CREATE TABLE `impersonation_sessions` (
+    `id` VARCHAR(36) NOT NULL,
+    `adminId` INTEGER NOT NULL,
+    `targetUserId` INTEGER NOT NULL,
+    `reason` VARCHAR(500) NOT NULL,
+    `ipAddress` VARCHAR(191) NULL,
+    `userAgent` VARCHAR(255) NULL,
+    `expiresAt` DATETIME(3) NOT NULL,
+    `endedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `impersonation_sessions_adminId_idx`(`adminId`),
+    INDEX `impersonation_sessions_targetUserId_idx`(`targetUserId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `impersonation_requests` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `impersonationId` VARCHAR(36) NOT NULL,
+    `method` VARCHAR(10) NOT NULL,
+    `path` VARCHAR(500) NOT NULL,
+    `statusCode` INTEGER NULL,
+    `blocked` BOOLEAN NOT NULL DEFAULT false,
+    `ipAddress` VARCHAR(191) NULL,
+    `durationMs` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `impersonation_requests_impersonationId_idx`(`impersonationId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `impersonation_sessions` ADD CONSTRAINT `impersonation_sessions_adminId_fkey` FOREIGN KEY (`adminId`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `impersonation_sessions` ADD CONSTRAINT `impersonation_sessions_targetUserId_fkey` FOREIGN KEY (`targetUserId`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `impersonation_requests` ADD CONSTRAINT `impersonation_requests_impersonationId_fkey` FOREIGN KEY (`impersonationId`) REFERENCES `impersonation_sessions`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
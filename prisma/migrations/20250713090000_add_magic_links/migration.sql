@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE `user_tokens` ADD COLUMN `bindingHash` VARCHAR(191) NULL,
+    MODIFY `purpose` ENUM('EMAIL_VERIFICATION', 'PASSWORD_RESET', 'ACCOUNT_UNLOCK', 'MAGIC_LINK') NOT NULL;
@@ -0,0 +1,15 @@
+-- CreateTable
+-- Terms are already normalized; a binary collation keeps distinct words distinct ("strasse" vs "straße")
+CREATE TABLE `spot_search_terms` (
+    `spotId` INTEGER NOT NULL,
+    `field` VARCHAR(20) NOT NULL,
+    `term` VARCHAR(64) NOT NULL COLLATE utf8mb4_bin,
+
+    INDEX `spot_search_terms_term_idx`(`term`),
+    PRIMARY KEY (`spotId`, `field`, `term`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `spot_search_terms` ADD CONSTRAINT `spot_search_terms_spotId_fkey` FOREIGN KEY (`spotId`) REFERENCES `camping_spots`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Existing spots are indexed with POST /api/admin/search/reindex (or `npm run db:seed` on a fresh database)
@@ -0,0 +1,52 @@
+-- CreateTable
+CREATE TABLE `amenities` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `key` VARCHAR(50) NOT NULL,
+    `labels` JSON NOT NULL,
+    `icon` VARCHAR(50) NULL,
+    `group` VARCHAR(30) NOT NULL DEFAULT 'other',
+    `isActive` BOOLEAN NOT NULL DEFAULT true,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `amenities_key_key`(`key`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `spot_amenities` (
+    `spotId` INTEGER NOT NULL,
+    `amenityId` INTEGER NOT NULL,
+
+    INDEX `spot_amenities_amenityId_idx`(`amenityId`),
+    PRIMARY KEY (`spotId`, `amenityId`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `spot_amenities` ADD CONSTRAINT `spot_amenities_spotId_fkey` FOREIGN KEY (`spotId`) REFERENCES `camping_spots`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `spot_amenities` ADD CONSTRAINT `spot_amenities_amenityId_fkey` FOREIGN KEY (`amenityId`) REFERENCES `amenities`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Seed the standard catalogue
+INSERT INTO `amenities` (`key`, `labels`, `icon`, `group`, `updatedAt`) VALUES
+    ('wifi', '{"en": "WiFi", "fr": "Wi-Fi", "nl": "Wifi"}', 'wifi', 'utilities', CURRENT_TIMESTAMP(3)),
+    ('electricity', '{"en": "Electricity", "fr": "Électricité", "nl": "Elektriciteit"}', 'plug', 'utilities', CURRENT_TIMESTAMP(3)),
+    ('drinking-water', '{"en": "Drinking Water", "fr": "Eau potable", "nl": "Drinkwater"}', 'droplet', 'utilities', CURRENT_TIMESTAMP(3)),
+    ('showers', '{"en": "Showers", "fr": "Douches", "nl": "Douches"}', 'shower', 'facilities', CURRENT_TIMESTAMP(3)),
+    ('toilets', '{"en": "Toilets", "fr": "Toilettes", "nl": "Toiletten"}', 'toilet', 'facilities', CURRENT_TIMESTAMP(3)),
+    ('laundry', '{"en": "Laundry", "fr": "Laverie", "nl": "Wasserette"}', 'washing-machine', 'facilities', CURRENT_TIMESTAMP(3)),
+    ('parking', '{"en": "Parking", "fr": "Parking", "nl": "Parkeerplaats"}', 'parking', 'facilities', CURRENT_TIMESTAMP(3)),
+    ('swimming-pool', '{"en": "Swimming Pool", "fr": "Piscine", "nl": "Zwembad"}', 'pool', 'facilities', CURRENT_TIMESTAMP(3)),
+    ('playground', '{"en": "Playground", "fr": "Aire de jeux", "nl": "Speeltuin"}', 'playground', 'facilities', CURRENT_TIMESTAMP(3)),
+    ('campfire-area', '{"en": "Campfire Area", "fr": "Zone de feu de camp", "nl": "Kampvuurplaats"}', 'fire', 'facilities', CURRENT_TIMESTAMP(3)),
+    ('bbq', '{"en": "BBQ", "fr": "Barbecue", "nl": "Barbecue"}', 'grill', 'facilities', CURRENT_TIMESTAMP(3)),
+    ('shop', '{"en": "Shop", "fr": "Épicerie", "nl": "Winkel"}', 'shop', 'services', CURRENT_TIMESTAMP(3)),
+    ('restaurant', '{"en": "Restaurant", "fr": "Restaurant", "nl": "Restaurant"}', 'restaurant', 'services', CURRENT_TIMESTAMP(3)),
+    ('pets-allowed', '{"en": "Pets Allowed", "fr": "Animaux acceptés", "nl": "Huisdieren toegestaan"}', 'paw', 'services', CURRENT_TIMESTAMP(3)),
+    ('hiking-trails', '{"en": "Hiking Trails", "fr": "Sentiers de randonnée", "nl": "Wandelpaden"}', 'hiking', 'activities', CURRENT_TIMESTAMP(3)),
+    ('beach-access', '{"en": "Beach Access", "fr": "Accès à la plage", "nl": "Toegang tot het strand"}', 'beach', 'activities', CURRENT_TIMESTAMP(3)),
+    ('wheelchair-accessible', '{"en": "Wheelchair Accessible", "fr": "Accessible en fauteuil roulant", "nl": "Rolstoeltoegankelijk"}', 'wheelchair', 'accessibility', CURRENT_TIMESTAMP(3));
+
+-- The free-form values of existing spots are moved into the catalogue with
+-- POST /api/admin/amenities/import-legacy (see utils/amenities.js)
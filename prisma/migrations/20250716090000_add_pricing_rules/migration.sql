@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE `spot_pricing_rules` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `spotId` INTEGER NOT NULL,
+    `name` VARCHAR(100) NOT NULL,
+    `type` ENUM('DATE_RANGE', 'DAY_OF_WEEK', 'HOLIDAY') NOT NULL,
+    `startDate` DATE NULL,
+    `endDate` DATE NULL,
+    `daysOfWeek` JSON NULL,
+    `holidayCalendar` VARCHAR(10) NULL,
+    `nightlyPrice` DECIMAL(10, 2) NULL,
+    `adjustmentPercent` DECIMAL(6, 2) NULL,
+    `priority` INTEGER NOT NULL DEFAULT 0,
+    `isActive` BOOLEAN NOT NULL DEFAULT true,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `spot_pricing_rules_spotId_idx`(`spotId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `spot_pricing_rules` ADD CONSTRAINT `spot_pricing_rules_spotId_fkey` FOREIGN KEY (`spotId`) REFERENCES `camping_spots`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE `spot_blocks` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `spotId` INTEGER NOT NULL,
+    `startDate` DATE NOT NULL,
+    `endDate` DATE NOT NULL,
+    `reason` ENUM('MAINTENANCE', 'PRIVATE_USE', 'SEASONAL_CLOSURE', 'OTHER') NOT NULL DEFAULT 'OTHER',
+    `note` VARCHAR(255) NULL,
+    `recurrence` ENUM('NONE', 'WEEKLY', 'YEARLY') NOT NULL DEFAULT 'NONE',
+    `recurrenceUntil` DATE NULL,
+    `createdById` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `spot_blocks_spotId_idx`(`spotId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `spot_blocks` ADD CONSTRAINT `spot_blocks_spotId_fkey` FOREIGN KEY (`spotId`) REFERENCES `camping_spots`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `spot_blocks` ADD CONSTRAINT `spot_blocks_createdById_fkey` FOREIGN KEY (`createdById`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
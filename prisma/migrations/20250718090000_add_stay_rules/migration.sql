@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE `spot_stay_rules` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `spotId` INTEGER NOT NULL,
+    `name` VARCHAR(100) NOT NULL,
+    `startDate` DATE NULL,
+    `endDate` DATE NULL,
+    `daysOfWeek` JSON NULL,
+    `minNights` INTEGER NULL,
+    `maxNights` INTEGER NULL,
+    `checkInDays` JSON NULL,
+    `checkOutDays` JSON NULL,
+    `minAdvanceDays` INTEGER NULL,
+    `maxAdvanceDays` INTEGER NULL,
+    `priority` INTEGER NOT NULL DEFAULT 0,
+    `isActive` BOOLEAN NOT NULL DEFAULT true,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `spot_stay_rules_spotId_idx`(`spotId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `spot_stay_rules` ADD CONSTRAINT `spot_stay_rules_spotId_fkey` FOREIGN KEY (`spotId`) REFERENCES `camping_spots`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE `spot_units` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `spotId` INTEGER NOT NULL,
+    `name` VARCHAR(100) NOT NULL,
+    `quantity` INTEGER NOT NULL DEFAULT 1,
+    `capacity` INTEGER NOT NULL,
+    `price` DECIMAL(10, 2) NULL,
+    `isActive` BOOLEAN NOT NULL DEFAULT true,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `spot_units_spotId_name_key`(`spotId`, `name`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AlterTable
+ALTER TABLE `bookings` ADD COLUMN `unitId` INTEGER NULL;
+
+-- CreateIndex
+CREATE INDEX `bookings_unitId_idx` ON `bookings`(`unitId`);
+
+-- AddForeignKey
+ALTER TABLE `spot_units` ADD CONSTRAINT `spot_units_spotId_fkey` FOREIGN KEY (`spotId`) REFERENCES `camping_spots`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `bookings` ADD CONSTRAINT `bookings_unitId_fkey` FOREIGN KEY (`unitId`) REFERENCES `spot_units`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE `camping_spots` ADD COLUMN `pitchTypes` JSON NULL,
+    ADD COLUMN `maxVehicleLength` DOUBLE NULL,
+    ADD COLUMN `electricityAmps` INTEGER NULL,
+    ADD COLUMN `hasWaterHookup` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `hasDrainHookup` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `surfaceType` ENUM('GRASS', 'GRAVEL', 'HARDSTANDING', 'SAND') NULL;
+
+-- AlterTable
+ALTER TABLE `bookings` ADD COLUMN `vehicleType` ENUM('CAR', 'CARAVAN', 'CAMPER') NULL,
+    ADD COLUMN `vehicleLength` DOUBLE NULL;
@@ -1,5 +1,7 @@
 const { PrismaClient } = require('@prisma/client');
 const bcrypt = require('bcryptjs');
+const { rebuildSearchIndex } = require('../utils/spotSearch');
+const { importLegacyAmenities } = require('../utils/amenities');
 
 const prisma = new PrismaClient();
 
@@ -411,6 +413,12 @@ async function main() {
   }
   console.log('✅ 12 Camping spots created');
 
+  await importLegacyAmenities(prisma);
+  console.log('✅ Amenities linked to the catalogue');
+
+  await rebuildSearchIndex(prisma);
+  console.log('✅ Search index built');
+
   // Create diverse sample bookings
   console.log('📅 Creating sample bookings...');
   
@@ -1,6 +1,39 @@
 var express = require('express');
 var router = express.Router();
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, denyImpersonation } = require('../middleware/auth');
+const { getSetting, setSetting } = require('../utils/settings');
+const { invalidateAuthState, revokeUserAccess } = require('../utils/authState');
+const {
+  INVITABLE_ROLES,
+  DEFAULT_EXPIRY_DAYS,
+  MAX_EXPIRY_DAYS,
+  getInvitationStatus,
+  createInvitation
+} = require('../utils/invitations');
+const {
+  startImpersonation,
+  isImpersonationActive,
+  endImpersonation
+} = require('../utils/impersonation');
+const { SECURITY_EVENTS, recordSecurityEvent } = require('../utils/securityEvents');
+const {
+  MIN_ALLOWED_LENGTH,
+  MAX_PASSWORD_BYTES,
+  getPasswordPolicy,
+  getInvalidPolicyFields
+} = require('../utils/passwordPolicy');
+const { rebuildSearchIndex } = require('../utils/spotSearch');
+const {
+  DEFAULT_LOCALE,
+  AMENITY_GROUPS,
+  AMENITY_KEY_PATTERN,
+  MAX_KEY_LENGTH,
+  toAmenityKey,
+  getInvalidLabels,
+  resolveAmenities,
+  refreshAmenityMirrors,
+  importLegacyAmenities
+} = require('../utils/amenities');
 
 // 🆕 FIXED: Safe JSON parsing helper function
 function safeParseJSON(jsonString, fallback = []) {
@@ -39,6 +72,7 @@ const requireAdmin = (req, res, next) => {
 
 // Apply authentication and admin check to all admin routes
 router.use(authenticateToken);
+router.use(denyImpersonation);
 router.use(requireAdmin);
 
 /* GET /api/admin/dashboard - Admin Dashboard Stats */
@@ -253,6 +287,7 @@ router.get('/users', async function(req, res, next) {
           role: true,
           isActive: true,
           isVerified: true,
+          twoFactorEnabled: true,
           createdAt: true,
           updatedAt: true,
           _count: {
@@ -365,6 +400,17 @@ router.put('/users/:id', async function(req, res, next) {
       }
     });
 
+    // Existing tokens must not keep a revoked status or an old role
+    const deactivated = existingUser.isActive && updatedUser.isActive === false;
+    if (deactivated || existingUser.role !== updatedUser.role) {
+      await revokeUserAccess(req.prisma, userId, {
+        reason: 'ACCOUNT_INACTIVE',
+        revokeRefreshTokens: deactivated
+      });
+    } else if (existingUser.isActive !== updatedUser.isActive) {
+      invalidateAuthState(userId);
+    }
+
     res.json({
       message: 'User updated successfully',
       user: updatedUser
@@ -784,6 +830,12 @@ router.delete('/users/:id', async function(req, res, next) {
       }
     });
 
+    // Sign the user out everywhere
+    await revokeUserAccess(req.prisma, userId, {
+      reason: 'ACCOUNT_INACTIVE',
+      revokeRefreshTokens: true
+    });
+
     res.json({
       message: 'User deactivated successfully'
     });
@@ -797,6 +849,829 @@ router.delete('/users/:id', async function(req, res, next) {
   }
 });
 
+/* ===== INVITATIONS ===== */
+
+// Filters for each invitation status
+function getInvitationStatusFilter(status) {
+  const now = new Date();
+
+  switch (status) {
+    case 'PENDING':
+      return { usedAt: null, revokedAt: null, expiresAt: { gt: now } };
+    case 'USED':
+      return { usedAt: { not: null } };
+    case 'REVOKED':
+      return { usedAt: null, revokedAt: { not: null } };
+    case 'EXPIRED':
+      return { usedAt: null, revokedAt: null, expiresAt: { lte: now } };
+    default:
+      return null;
+  }
+}
+
+const invitationSelect = {
+  id: true,
+  role: true,
+  email: true,
+  expiresAt: true,
+  usedAt: true,
+  revokedAt: true,
+  createdAt: true,
+  createdBy: {
+    select: { id: true, firstName: true, lastName: true, email: true }
+  },
+  usedBy: {
+    select: { id: true, firstName: true, lastName: true, email: true }
+  }
+};
+
+/* GET /api/admin/invitations - List invitations */
+router.get('/invitations', async function(req, res, next) {
+  try {
+    const { status, role, page = 1, limit = 20 } = req.query;
+
+    // Pagination
+    const pageNum = Math.max(1, parseInt(page));
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+    const skip = (pageNum - 1) * limitNum;
+
+    // Build filter
+    let where = {};
+
+    if (status) {
+      const statusFilter = getInvitationStatusFilter(status.toUpperCase());
+      if (!statusFilter) {
+        return res.status(400).json({
+          message: 'Invalid status. Must be PENDING, USED, REVOKED, or EXPIRED'
+        });
+      }
+      where = statusFilter;
+    }
+
+    if (role && INVITABLE_ROLES.includes(role.toUpperCase())) {
+      where.role = role.toUpperCase();
+    }
+
+    const [invitations, total] = await Promise.all([
+      req.prisma.invitation.findMany({
+        where,
+        skip,
+        take: limitNum,
+        orderBy: { createdAt: 'desc' },
+        select: invitationSelect
+      }),
+      req.prisma.invitation.count({ where })
+    ]);
+
+    res.json({
+      message: 'Invitations retrieved successfully',
+      invitations: invitations.map(invitation => ({
+        ...invitation,
+        status: getInvitationStatus(invitation)
+      })),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        totalPages: Math.ceil(total / limitNum),
+        hasNext: pageNum < Math.ceil(total / limitNum),
+        hasPrev: pageNum > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin invitations fetch error:', error);
+    res.status(500).json({
+      message: 'Error fetching invitations',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* POST /api/admin/invitations - Issue an invitation for an OWNER or ADMIN account */
+router.post('/invitations', async function(req, res, next) {
+  try {
+    const { role, email, expiresInDays = DEFAULT_EXPIRY_DAYS } = req.body;
+
+    if (!role || !INVITABLE_ROLES.includes(String(role).toUpperCase())) {
+      return res.status(400).json({
+        message: 'Invalid role. Must be OWNER or ADMIN'
+      });
+    }
+
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({
+        message: 'Please provide a valid email address'
+      });
+    }
+
+    const days = parseInt(expiresInDays);
+    if (isNaN(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+      return res.status(400).json({
+        message: `expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}`
+      });
+    }
+
+    if (email) {
+      const existingUser = await req.prisma.user.findFirst({
+        where: { email: { equals: email.toLowerCase().trim() } },
+        select: { id: true }
+      });
+
+      if (existingUser) {
+        return res.status(409).json({
+          message: 'A user with this email already exists. Change their role instead.'
+        });
+      }
+    }
+
+    const { invitation, code, inviteUrl } = await createInvitation(req.prisma, {
+      role: String(role).toUpperCase(),
+      email,
+      expiresInDays: days,
+      createdById: req.user.userId
+    });
+
+    console.log(`✉️ Invitation ${invitation.id} (${invitation.role}) issued by admin ${req.user.userId}`);
+
+    res.status(201).json({
+      message: invitation.email
+        ? 'Invitation created and sent by email'
+        : 'Invitation created. Share the code with the invitee, it will not be shown again.',
+      invitation: {
+        id: invitation.id,
+        role: invitation.role,
+        email: invitation.email,
+        expiresAt: invitation.expiresAt,
+        status: getInvitationStatus(invitation)
+      },
+      code,
+      inviteUrl
+    });
+
+  } catch (error) {
+    console.error('Admin invitation create error:', error);
+    res.status(500).json({
+      message: 'Error creating invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* DELETE /api/admin/invitations/:id - Revoke an unused invitation */
+router.delete('/invitations/:id', async function(req, res, next) {
+  try {
+    const invitationId = parseInt(req.params.id);
+
+    if (isNaN(invitationId)) {
+      return res.status(400).json({
+        message: 'Invalid invitation ID'
+      });
+    }
+
+    const invitation = await req.prisma.invitation.findUnique({
+      where: { id: invitationId }
+    });
+
+    if (!invitation) {
+      return res.status(404).json({
+        message: 'Invitation not found'
+      });
+    }
+
+    const status = getInvitationStatus(invitation);
+    if (status === 'USED' || status === 'REVOKED') {
+      return res.status(400).json({
+        message: `Invitation has already been ${status === 'USED' ? 'used' : 'revoked'}`
+      });
+    }
+
+    // Conditional update so a concurrent registration cannot redeem it meanwhile
+    const revoked = await req.prisma.invitation.updateMany({
+      where: { id: invitationId, usedAt: null, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+
+    if (revoked.count === 0) {
+      return res.status(409).json({
+        message: 'Invitation was used or revoked in the meantime'
+      });
+    }
+
+    res.json({
+      message: 'Invitation revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Admin invitation revoke error:', error);
+    res.status(500).json({
+      message: 'Error revoking invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* ===== IMPERSONATION ===== */
+
+const impersonationSelect = {
+  id: true,
+  reason: true,
+  ipAddress: true,
+  userAgent: true,
+  expiresAt: true,
+  endedAt: true,
+  createdAt: true,
+  admin: {
+    select: { id: true, firstName: true, lastName: true, email: true }
+  },
+  targetUser: {
+    select: { id: true, firstName: true, lastName: true, email: true, role: true }
+  },
+  _count: {
+    select: { requests: true }
+  }
+};
+
+function formatImpersonation(impersonation) {
+  const { _count, ...rest } = impersonation;
+  return {
+    ...rest,
+    active: isImpersonationActive(impersonation),
+    requestCount: _count.requests
+  };
+}
+
+/* POST /api/admin/users/:id/impersonate - Get a short-lived token to act as a user for support */
+router.post('/users/:id/impersonate', async function(req, res, next) {
+  try {
+    const userId = parseInt(req.params.id);
+    const { reason } = req.body;
+
+    if (isNaN(userId)) {
+      return res.status(400).json({
+        message: 'Invalid user ID'
+      });
+    }
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        message: 'A reason is required to impersonate a user'
+      });
+    }
+
+    if (String(reason).length > 500) {
+      return res.status(400).json({
+        message: 'Reason must be 500 characters or less'
+      });
+    }
+
+    const targetUser = await req.prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, email: true, role: true, isActive: true, tokenVersion: true }
+    });
+
+    if (!targetUser) {
+      return res.status(404).json({
+        message: 'User not found'
+      });
+    }
+
+    if (targetUser.id === req.user.userId || targetUser.role === 'ADMIN') {
+      return res.status(403).json({
+        message: 'Admin accounts cannot be impersonated'
+      });
+    }
+
+    if (!targetUser.isActive) {
+      return res.status(400).json({
+        message: 'Deactivated accounts cannot be impersonated'
+      });
+    }
+
+    const { impersonation, accessToken, expiresIn } = await startImpersonation(
+      req.prisma,
+      req,
+      { id: req.user.userId, email: req.user.email },
+      targetUser,
+      String(reason).trim()
+    );
+
+    await recordSecurityEvent(req.prisma, req, {
+      userId: targetUser.id,
+      type: SECURITY_EVENTS.IMPERSONATION_STARTED,
+      metadata: { impersonationId: impersonation.id, adminId: req.user.userId }
+    });
+
+    console.log(`🎭 Admin ${req.user.userId} started impersonating user ${targetUser.id}: ${impersonation.reason}`);
+
+    res.status(201).json({
+      message: 'Impersonation started. Every request made with this token is audited.',
+      accessToken,
+      tokenType: 'Bearer',
+      expiresIn,
+      impersonation: {
+        id: impersonation.id,
+        targetUserId: targetUser.id,
+        reason: impersonation.reason,
+        expiresAt: impersonation.expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin impersonation error:', error);
+    res.status(500).json({
+      message: 'Error starting impersonation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* GET /api/admin/impersonations - List impersonation sessions */
+router.get('/impersonations', async function(req, res, next) {
+  try {
+    const { adminId, userId, active, page = 1, limit = 20 } = req.query;
+
+    // Pagination
+    const pageNum = Math.max(1, parseInt(page));
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+    const skip = (pageNum - 1) * limitNum;
+
+    // Build filter
+    const where = {};
+    if (adminId) where.adminId = parseInt(adminId);
+    if (userId) where.targetUserId = parseInt(userId);
+    if (active === 'true') {
+      where.endedAt = null;
+      where.expiresAt = { gt: new Date() };
+    }
+
+    const [impersonations, total] = await Promise.all([
+      req.prisma.impersonationSession.findMany({
+        where,
+        skip,
+        take: limitNum,
+        orderBy: { createdAt: 'desc' },
+        select: impersonationSelect
+      }),
+      req.prisma.impersonationSession.count({ where })
+    ]);
+
+    res.json({
+      message: 'Impersonation sessions retrieved successfully',
+      impersonations: impersonations.map(formatImpersonation),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        totalPages: Math.ceil(total / limitNum),
+        hasNext: pageNum < Math.ceil(total / limitNum),
+        hasPrev: pageNum > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin impersonations fetch error:', error);
+    res.status(500).json({
+      message: 'Error fetching impersonation sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* GET /api/admin/impersonations/:id - Impersonation session with its audited requests */
+router.get('/impersonations/:id', async function(req, res, next) {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+
+    // Pagination
+    const pageNum = Math.max(1, parseInt(page));
+    const limitNum = Math.min(200, Math.max(1, parseInt(limit)));
+    const skip = (pageNum - 1) * limitNum;
+
+    const impersonation = await req.prisma.impersonationSession.findUnique({
+      where: { id: req.params.id },
+      select: impersonationSelect
+    });
+
+    if (!impersonation) {
+      return res.status(404).json({
+        message: 'Impersonation session not found'
+      });
+    }
+
+    const requests = await req.prisma.impersonationRequest.findMany({
+      where: { impersonationId: impersonation.id },
+      skip,
+      take: limitNum,
+      orderBy: { createdAt: 'asc' },
+      select: {
+        id: true,
+        method: true,
+        path: true,
+        statusCode: true,
+        blocked: true,
+        ipAddress: true,
+        durationMs: true,
+        createdAt: true
+      }
+    });
+
+    const total = impersonation._count.requests;
+
+    res.json({
+      message: 'Impersonation session retrieved successfully',
+      impersonation: formatImpersonation(impersonation),
+      requests,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        totalPages: Math.ceil(total / limitNum),
+        hasNext: pageNum < Math.ceil(total / limitNum),
+        hasPrev: pageNum > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin impersonation fetch error:', error);
+    res.status(500).json({
+      message: 'Error fetching impersonation session',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* DELETE /api/admin/impersonations/:id - End an impersonation session */
+router.delete('/impersonations/:id', async function(req, res, next) {
+  try {
+    const ended = await endImpersonation(req.prisma, req.params.id);
+
+    if (!ended) {
+      return res.status(404).json({
+        message: 'Impersonation session not found or already ended'
+      });
+    }
+
+    res.json({
+      message: 'Impersonation session ended'
+    });
+
+  } catch (error) {
+    console.error('Admin impersonation end error:', error);
+    res.status(500).json({
+      message: 'Error ending impersonation session',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* ===== AMENITIES ===== */
+
+// Helper function to validate the editable fields of an amenity; returns an error message or null
+function getAmenityFieldError({ labels, icon, group }) {
+  if (labels !== undefined) {
+    const invalidLabels = getInvalidLabels(labels);
+    if (invalidLabels.length > 0) {
+      return `labels must map two-letter locales to names and include "${DEFAULT_LOCALE}" (invalid: ${invalidLabels.join(', ')})`;
+    }
+  }
+
+  if (icon !== undefined && icon !== null && (typeof icon !== 'string' || icon.length > 50)) {
+    return 'icon must be a string of at most 50 characters';
+  }
+
+  if (group !== undefined && !AMENITY_GROUPS.includes(group)) {
+    return `group must be one of: ${AMENITY_GROUPS.join(', ')}`;
+  }
+
+  return null;
+}
+
+/* GET /api/admin/amenities - Amenity catalogue, including inactive amenities */
+router.get('/amenities', async function(req, res, next) {
+  try {
+    const amenities = await req.prisma.amenity.findMany({
+      include: {
+        _count: {
+          select: { spotLinks: true }
+        }
+      },
+      orderBy: [{ group: 'asc' }, { key: 'asc' }]
+    });
+
+    res.json({
+      message: 'Amenities retrieved successfully',
+      groups: AMENITY_GROUPS,
+      amenities: amenities.map(({ _count, ...amenity }) => ({
+        ...amenity,
+        spotCount: _count.spotLinks
+      }))
+    });
+
+  } catch (error) {
+    console.error('Admin amenities fetch error:', error);
+    res.status(500).json({
+      message: 'Error fetching amenities',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* POST /api/admin/amenities - Add an amenity to the catalogue */
+router.post('/amenities', async function(req, res, next) {
+  try {
+    const { key, labels, icon = null, group = 'other' } = req.body;
+
+    if (!key || !AMENITY_KEY_PATTERN.test(key) || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        message: `key must be lowercase letters, digits and dashes (at most ${MAX_KEY_LENGTH} characters), e.g. "${toAmenityKey('Hot Showers')}"`
+      });
+    }
+
+    const fieldError = getAmenityFieldError({ labels: labels || null, icon, group });
+    if (fieldError) {
+      return res.status(400).json({ message: fieldError });
+    }
+
+    // Reject names that already exist under another spelling ("Wi-Fi" vs "wifi")
+    const { amenities: existing } = await resolveAmenities(
+      req.prisma,
+      [key, ...Object.values(labels)],
+      { includeInactive: true }
+    );
+    if (existing.length > 0) {
+      return res.status(409).json({
+        message: `An amenity with this key or label already exists: ${existing.map(amenity => amenity.key).join(', ')}`,
+        code: 'AMENITY_EXISTS'
+      });
+    }
+
+    const amenity = await req.prisma.amenity.create({
+      data: { key, labels, icon, group }
+    });
+
+    console.log(`🏷️ Amenity ${amenity.key} created by admin ${req.user.userId}`);
+
+    res.status(201).json({
+      message: 'Amenity created successfully',
+      amenity
+    });
+
+  } catch (error) {
+    console.error('Admin amenity create error:', error);
+    res.status(500).json({
+      message: 'Error creating amenity',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* PUT /api/admin/amenities/:id - Update the labels, icon, group or status of an amenity */
+router.put('/amenities/:id', async function(req, res, next) {
+  try {
+    const amenityId = parseInt(req.params.id);
+    const { labels, icon, group, isActive } = req.body;
+
+    if (isNaN(amenityId)) {
+      return res.status(400).json({
+        message: 'Invalid amenity ID'
+      });
+    }
+
+    const fieldError = getAmenityFieldError({ labels, icon, group });
+    if (fieldError) {
+      return res.status(400).json({ message: fieldError });
+    }
+
+    const existingAmenity = await req.prisma.amenity.findUnique({
+      where: { id: amenityId }
+    });
+
+    if (!existingAmenity) {
+      return res.status(404).json({
+        message: 'Amenity not found'
+      });
+    }
+
+    const updateData = {};
+    if (labels !== undefined) updateData.labels = labels;
+    if (icon !== undefined) updateData.icon = icon;
+    if (group !== undefined) updateData.group = group;
+    if (isActive !== undefined) updateData.isActive = Boolean(isActive);
+
+    const amenity = await req.prisma.amenity.update({
+      where: { id: amenityId },
+      data: updateData
+    });
+
+    // Spots show the default label in their amenities list
+    if (labels !== undefined) {
+      await refreshAmenityMirrors(req.prisma, amenityId);
+    }
+
+    res.json({
+      message: 'Amenity updated successfully',
+      amenity
+    });
+
+  } catch (error) {
+    console.error('Admin amenity update error:', error);
+    res.status(500).json({
+      message: 'Error updating amenity',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* DELETE /api/admin/amenities/:id - Delete an amenity that no spot uses */
+router.delete('/amenities/:id', async function(req, res, next) {
+  try {
+    const amenityId = parseInt(req.params.id);
+
+    if (isNaN(amenityId)) {
+      return res.status(400).json({
+        message: 'Invalid amenity ID'
+      });
+    }
+
+    const amenity = await req.prisma.amenity.findUnique({
+      where: { id: amenityId },
+      include: {
+        _count: {
+          select: { spotLinks: true }
+        }
+      }
+    });
+
+    if (!amenity) {
+      return res.status(404).json({
+        message: 'Amenity not found'
+      });
+    }
+
+    if (amenity._count.spotLinks > 0) {
+      return res.status(409).json({
+        message: `This amenity is used by ${amenity._count.spotLinks} spot(s). Deactivate it instead.`,
+        code: 'AMENITY_IN_USE'
+      });
+    }
+
+    await req.prisma.amenity.delete({
+      where: { id: amenityId }
+    });
+
+    res.json({
+      message: 'Amenity deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Admin amenity delete error:', error);
+    res.status(500).json({
+      message: 'Error deleting amenity',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* POST /api/admin/amenities/import-legacy - Move free-form spot amenities into the catalogue */
+router.post('/amenities/import-legacy', async function(req, res, next) {
+  try {
+    const result = await importLegacyAmenities(req.prisma);
+
+    console.log(`🏷️ Legacy amenities imported by admin ${req.user.userId}:`, result);
+
+    res.json({
+      message: 'Legacy amenities imported successfully',
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Admin amenity import error:', error);
+    res.status(500).json({
+      message: 'Error importing legacy amenities',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* ===== SEARCH INDEX ===== */
+
+/* POST /api/admin/search/reindex - Rebuild the spot search index */
+router.post('/search/reindex', async function(req, res, next) {
+  try {
+    const indexedSpots = await rebuildSearchIndex(req.prisma);
+
+    console.log(`🔍 Search index rebuilt by admin ${req.user.userId}: ${indexedSpots} spots`);
+
+    res.json({
+      message: 'Search index rebuilt successfully',
+      indexedSpots
+    });
+
+  } catch (error) {
+    console.error('Admin search reindex error:', error);
+    res.status(500).json({
+      message: 'Error rebuilding search index',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* GET /api/admin/settings/security - Get security policy settings */
+router.get('/settings/security', async function(req, res, next) {
+  try {
+    res.json({
+      message: 'Security settings retrieved successfully',
+      settings: {
+        requireTwoFactorForAdmins: await getSetting(req.prisma, 'security.requireTwoFactorForAdmins'),
+        passwordPolicy: await getPasswordPolicy(req.prisma)
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin security settings fetch error:', error);
+    res.status(500).json({
+      message: 'Error fetching security settings',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* PUT /api/admin/settings/security - Update security policy settings */
+router.put('/settings/security', async function(req, res, next) {
+  try {
+    const { requireTwoFactorForAdmins, passwordPolicy } = req.body;
+
+    if (requireTwoFactorForAdmins === undefined && passwordPolicy === undefined) {
+      return res.status(400).json({
+        message: 'requireTwoFactorForAdmins or passwordPolicy is required'
+      });
+    }
+
+    if (requireTwoFactorForAdmins !== undefined && typeof requireTwoFactorForAdmins !== 'boolean') {
+      return res.status(400).json({
+        message: 'requireTwoFactorForAdmins must be a boolean'
+      });
+    }
+
+    if (passwordPolicy !== undefined) {
+      if (!passwordPolicy || typeof passwordPolicy !== 'object' || Array.isArray(passwordPolicy)) {
+        return res.status(400).json({
+          message: 'passwordPolicy must be an object'
+        });
+      }
+
+      const invalidFields = getInvalidPolicyFields(passwordPolicy);
+      if (invalidFields.length > 0) {
+        return res.status(400).json({
+          message: `Invalid password policy fields: ${invalidFields.join(', ')}. minLength must be between ${MIN_ALLOWED_LENGTH} and ${MAX_PASSWORD_BYTES}, the other fields are booleans.`
+        });
+      }
+    }
+
+    // Avoid locking out the admin who enables the policy
+    if (requireTwoFactorForAdmins) {
+      const currentAdmin = await req.prisma.user.findUnique({
+        where: { id: req.user.userId },
+        select: { twoFactorEnabled: true }
+      });
+
+      if (!currentAdmin || !currentAdmin.twoFactorEnabled) {
+        return res.status(400).json({
+          message: 'Enable two-factor authentication on your own account before making it mandatory for administrators'
+        });
+      }
+    }
+
+    if (requireTwoFactorForAdmins !== undefined) {
+      await setSetting(req.prisma, 'security.requireTwoFactorForAdmins', requireTwoFactorForAdmins, req.user.userId);
+      console.log(`🔐 Admin ${req.user.userId} set requireTwoFactorForAdmins=${requireTwoFactorForAdmins}`);
+    }
+
+    // Policy updates are partial: omitted fields keep their current value
+    if (passwordPolicy !== undefined) {
+      const currentPolicy = await getPasswordPolicy(req.prisma);
+      await setSetting(req.prisma, 'security.passwordPolicy', { ...currentPolicy, ...passwordPolicy }, req.user.userId);
+      console.log(`🔐 Admin ${req.user.userId} updated the password policy`);
+    }
+
+    res.json({
+      message: 'Security settings updated successfully',
+      settings: {
+        requireTwoFactorForAdmins: await getSetting(req.prisma, 'security.requireTwoFactorForAdmins'),
+        passwordPolicy: await getPasswordPolicy(req.prisma)
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin security settings update error:', error);
+    res.status(500).json({
+      message: 'Error updating security settings',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 /* GET /api/admin/analytics - Get analytics data */
 router.get('/analytics', async function(req, res, next) {
   try {
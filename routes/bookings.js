@@ -1,6 +1,12 @@
 var express = require('express');
 var router = express.Router();
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, denyImpersonation } = require('../middleware/auth');
+const { toDateKey, quoteStay, getActivePricingRules } = require('../utils/pricing');
+const { findBlockedNights } = require('../utils/blocks');
+const { getStayRestrictions, getStayViolation, getActiveStayRules } = require('../utils/stayRules');
+const { getUnitBasePrice, getUnitsForGuests } = require('../utils/units');
+const { findAvailableUnit } = require('../utils/availability');
+const { formatPitch, parseVehicleInput, getVehicleViolation } = require('../utils/pitch');
 
 // Apply authentication to all booking routes
 router.use(authenticateToken);
@@ -8,7 +14,7 @@ router.use(authenticateToken);
 /* POST /api/bookings - Create a new booking */
 router.post('/', async function(req, res, next) {
   try {
-    const { spotId, checkIn, checkOut, guests, notes, paymentMethod } = req.body;
+    const { spotId, unitId, checkIn, checkOut, guests, notes, paymentMethod } = req.body;
 
     // Enhanced validation
     if (!spotId || !checkIn || !checkOut || !guests) {
@@ -56,14 +62,6 @@ router.post('/', async function(req, res, next) {
       });
     }
 
-    // Check booking duration (max 30 days)
-    const daysDiff = (checkOutDate - checkInDate) / (1000 * 60 * 60 * 24);
-    if (daysDiff > 30) {
-      return res.status(400).json({
-        message: 'Maximum booking duration is 30 days'
-      });
-    }
-
     // Validate guests
     const guestCount = parseInt(guests);
     if (isNaN(guestCount) || guestCount <= 0 || guestCount > 50) {
@@ -72,6 +70,16 @@ router.post('/', async function(req, res, next) {
       });
     }
 
+    // Validate the vehicle (optional: vehicleType and vehicleLength in metres)
+    const vehicleInput = parseVehicleInput(req.body);
+    if (vehicleInput.error) {
+      return res.status(400).json({
+        message: vehicleInput.error,
+        code: 'INVALID_VEHICLE'
+      });
+    }
+    const vehicle = vehicleInput.vehicle;
+
     // Validate spotId
     const spotIdInt = parseInt(spotId);
     if (isNaN(spotIdInt)) {
@@ -92,6 +100,9 @@ router.post('/', async function(req, res, next) {
             email: true,
             phone: true
           }
+        },
+        units: {
+          where: { isActive: true }
         }
       }
     });
@@ -108,12 +119,23 @@ router.post('/', async function(req, res, next) {
       });
     }
 
-    if (guestCount > spot.capacity) {
+    // Spots with units are checked against the capacity of the units instead
+    if (spot.units.length === 0 && guestCount > spot.capacity) {
       return res.status(400).json({
         message: `Maximum capacity for this spot is ${spot.capacity} guests`
       });
     }
 
+    // The vehicle must fit the pitch types and length limit of the spot
+    const vehicleViolation = getVehicleViolation(spot, vehicle);
+    if (vehicleViolation) {
+      return res.status(400).json({
+        message: vehicleViolation.message,
+        code: vehicleViolation.code,
+        pitch: formatPitch(spot)
+      });
+    }
+
     // Prevent users from booking their own spots
     if (spot.ownerId === req.user.userId) {
       return res.status(400).json({
@@ -121,93 +143,85 @@ router.post('/', async function(req, res, next) {
       });
     }
 
-    // Enhanced conflict checking with better date handling
-    const conflictingBookings = await req.prisma.booking.findMany({
-      where: {
-        spotId: spotIdInt,
-        status: {
-          in: ['CONFIRMED', 'PENDING']
-        },
-        OR: [
-          // Existing booking starts before new booking and ends after new booking starts
-          {
-            AND: [
-              { checkIn: { lt: checkInDate } },
-              { checkOut: { gt: checkInDate } }
-            ]
-          },
-          // Existing booking starts before new booking ends and ends after new booking ends
-          {
-            AND: [
-              { checkIn: { lt: checkOutDate } },
-              { checkOut: { gt: checkOutDate } }
-            ]
-          },
-          // Existing booking is completely within new booking
-          {
-            AND: [
-              { checkIn: { gte: checkInDate } },
-              { checkOut: { lte: checkOutDate } }
-            ]
-          },
-          // New booking is completely within existing booking
-          {
-            AND: [
-              { checkIn: { lte: checkInDate } },
-              { checkOut: { gte: checkOutDate } }
-            ]
-          }
-        ]
+    // Stay rules in effect on the check-in date (length of stay, arrival and departure days, notice)
+    const checkInKey = toDateKey(checkInDate);
+    const stayRestrictions = getStayRestrictions(await getActiveStayRules(req.prisma, spotIdInt), checkInKey);
+    const stayViolation = getStayViolation(stayRestrictions, checkInKey, toDateKey(checkOutDate), toDateKey(today));
+    if (stayViolation) {
+      return res.status(400).json({
+        message: stayViolation.message,
+        code: stayViolation.code,
+        stayRules: stayRestrictions
+      });
+    }
+
+    // Spots with units: allocate the requested unit, or the cheapest one that fits the group,
+    // if it is free for the whole stay. Other spots are booked as a whole.
+    let unit = null;
+    if (spot.units.length > 0) {
+      let candidateUnits;
+      if (unitId !== undefined && unitId !== null && unitId !== '') {
+        const requestedUnit = spot.units.find(candidate => candidate.id === parseInt(unitId));
+        if (!requestedUnit) {
+          return res.status(400).json({
+            message: 'This unit does not exist or cannot be booked',
+            code: 'INVALID_UNIT'
+          });
+        }
+        if (guestCount > requestedUnit.capacity) {
+          return res.status(400).json({
+            message: `Maximum capacity for this unit is ${requestedUnit.capacity} guests`
+          });
+        }
+        candidateUnits = [requestedUnit];
+      } else {
+        candidateUnits = getUnitsForGuests(spot, spot.units, guestCount);
+        if (candidateUnits.length === 0) {
+          return res.status(400).json({
+            message: `No unit of this spot takes ${guestCount} guests`,
+            code: 'NO_UNIT_FOR_GUESTS'
+          });
+        }
       }
-    });
-
-    if (conflictingBookings.length > 0) {
-      return res.status(409).json({
-        message: 'The selected dates are not available. Please choose different dates.',
-        conflictingDates: conflictingBookings.map(booking => ({
-          checkIn: booking.checkIn,
-          checkOut: booking.checkOut
-        }))
-      });
-    }
-
-    // Calculate total price
-    const nights = Math.ceil((checkOutDate - checkInDate) / (1000 * 60 * 60 * 24));
-    const pricePerNight = parseFloat(spot.price);
-    const totalPrice = nights * pricePerNight;
-
-    // Determine booking status based on instant book
-    const bookingStatus = spot.isInstantBook ? 'CONFIRMED' : 'PENDING';
-    const paymentStatus = 'PENDING'; // Default payment status
 
-    // Create booking with transaction to ensure data consistency
-    const booking = await req.prisma.$transaction(async (prisma) => {
-      // Double-check for conflicts within transaction
-      const finalConflictCheck = await prisma.booking.findMany({
+      unit = await findAvailableUnit(req.prisma, spotIdInt, spot.units, candidateUnits, checkInDate, checkOutDate);
+      if (!unit) {
+        return res.status(409).json({
+          message: 'No unit is available for the selected dates. Please choose different dates.',
+          code: 'NO_UNITS_AVAILABLE'
+        });
+      }
+    } else {
+      // Enhanced conflict checking with better date handling
+      const conflictingBookings = await req.prisma.booking.findMany({
         where: {
           spotId: spotIdInt,
           status: {
             in: ['CONFIRMED', 'PENDING']
           },
           OR: [
+            // Existing booking starts before new booking and ends after new booking starts
             {
               AND: [
                 { checkIn: { lt: checkInDate } },
                 { checkOut: { gt: checkInDate } }
               ]
             },
+            // Existing booking starts before new booking ends and ends after new booking ends
             {
               AND: [
                 { checkIn: { lt: checkOutDate } },
                 { checkOut: { gt: checkOutDate } }
               ]
             },
+            // Existing booking is completely within new booking
             {
               AND: [
                 { checkIn: { gte: checkInDate } },
                 { checkOut: { lte: checkOutDate } }
               ]
             },
+            // New booking is completely within existing booking
             {
               AND: [
                 { checkIn: { lte: checkInDate } },
@@ -218,17 +232,97 @@ router.post('/', async function(req, res, next) {
         }
       });
 
-      if (finalConflictCheck.length > 0) {
-        throw new Error('BOOKING_CONFLICT');
+      if (conflictingBookings.length > 0) {
+        return res.status(409).json({
+          message: 'The selected dates are not available. Please choose different dates.',
+          conflictingDates: conflictingBookings.map(booking => ({
+            checkIn: booking.checkIn,
+            checkOut: booking.checkOut
+          }))
+        });
+      }
+    }
+
+    // Nights the owner has blocked (maintenance, private use, closures) cannot be booked either
+    const blockedNights = await findBlockedNights(req.prisma, spotIdInt, checkInDate, checkOutDate);
+    if (blockedNights.length > 0) {
+      return res.status(409).json({
+        message: 'The selected dates are not available. Please choose different dates.',
+        code: 'DATES_BLOCKED',
+        blockedDates: blockedNights
+      });
+    }
+
+    // Calculate total price from the nightly prices (spot or unit base price, adjusted by the pricing rules)
+    const pricingRules = await getActivePricingRules(req.prisma, spotIdInt);
+    const quote = quoteStay({ ...spot, price: getUnitBasePrice(spot, unit) }, pricingRules, checkInDate, checkOutDate);
+    const nights = quote.nights.length;
+    const pricePerNight = quote.averageNightlyPrice;
+    const totalPrice = quote.totalPrice;
+
+    // Determine booking status based on instant book
+    const bookingStatus = spot.isInstantBook ? 'CONFIRMED' : 'PENDING';
+    const paymentStatus = 'PENDING'; // Default payment status
+
+    // Create booking with transaction to ensure data consistency
+    const booking = await req.prisma.$transaction(async (prisma) => {
+      // Double-check for conflicts within transaction
+      if (unit) {
+        const stillAvailable = await findAvailableUnit(prisma, spotIdInt, spot.units, [unit], checkInDate, checkOutDate);
+        if (!stillAvailable) {
+          throw new Error('BOOKING_CONFLICT');
+        }
+      } else {
+        const finalConflictCheck = await prisma.booking.findMany({
+          where: {
+            spotId: spotIdInt,
+            status: {
+              in: ['CONFIRMED', 'PENDING']
+            },
+            OR: [
+              {
+                AND: [
+                  { checkIn: { lt: checkInDate } },
+                  { checkOut: { gt: checkInDate } }
+                ]
+              },
+              {
+                AND: [
+                  { checkIn: { lt: checkOutDate } },
+                  { checkOut: { gt: checkOutDate } }
+                ]
+              },
+              {
+                AND: [
+                  { checkIn: { gte: checkInDate } },
+                  { checkOut: { lte: checkOutDate } }
+                ]
+              },
+              {
+                AND: [
+                  { checkIn: { lte: checkInDate } },
+                  { checkOut: { gte: checkOutDate } }
+                ]
+              }
+            ]
+          }
+        });
+
+        if (finalConflictCheck.length > 0) {
+          throw new Error('BOOKING_CONFLICT');
+        }
       }
 
       return await prisma.booking.create({
         data: {
           userId: req.user.userId,
           spotId: spotIdInt,
+          unitId: unit ? unit.id : null,
           checkIn: checkInDate,
           checkOut: checkOutDate,
           guests: guestCount,
+          vehicleType: vehicle.vehicleType,
+          vehicleLength: vehicle.vehicleLength,
           totalPrice: totalPrice,
           status: bookingStatus,
           paymentStatus: paymentStatus,
@@ -247,6 +341,12 @@ router.post('/', async function(req, res, next) {
               amenities: true
             }
           },
+          unit: {
+            select: {
+              id: true,
+              name: true
+            }
+          },
           user: {
             select: {
               firstName: true,
@@ -295,7 +395,8 @@ router.post('/', async function(req, res, next) {
           amenities: spotAmenities
         },
         nights,
-        pricePerNight: pricePerNight
+        pricePerNight: pricePerNight,
+        priceBreakdown: quote.nights
       }
     });
 
@@ -372,6 +473,12 @@ router.get('/', async function(req, res, next) {
               }
             }
           }
+        },
+        unit: {
+          select: {
+            id: true,
+            name: true
+          }
         }
       },
       orderBy: {
@@ -469,6 +576,12 @@ router.get('/:id', async function(req, res, next) {
               }
             }
           }
+        },
+        unit: {
+          select: {
+            id: true,
+            name: true
+          }
         }
       }
     });
@@ -618,7 +731,7 @@ router.put('/:id/cancel', async function(req, res, next) {
 });
 
 /* PUT /api/bookings/:id/payment - Update payment status */
-router.put('/:id/payment', async function(req, res, next) {
+router.put('/:id/payment', denyImpersonation, async function(req, res, next) {
   try {
     const bookingId = parseInt(req.params.id);
     const { paymentStatus, paymentMethod, transactionId } = req.body;
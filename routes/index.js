@@ -1,8 +1,94 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const {
+  authenticateToken,
+  authorizeRole,
+  denyImpersonation,
+  createRateLimiter
+} = require('../middleware/auth');
+const {
+  generateOpaqueToken,
+  issueAuthTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllUserTokens,
+  revokeOtherSessions
+} = require('../utils/tokenService');
+const {
+  getResendThrottle,
+  expireUserTokens,
+  findUserToken,
+  consumeUserToken,
+  verifyVerificationToken,
+  issueEmailVerification,
+  issuePasswordReset,
+  issueAccountUnlock,
+  issueMagicLink,
+  isTokenBoundToDevice
+} = require('../utils/userTokens');
+const { sendPasswordChangedEmail } = require('../utils/emailService');
+const { signChallengeToken, isTwoFactorRequired } = require('../utils/twoFactor');
+const { sanitizeUser } = require('../utils/helpers');
+const {
+  LOCK_DURATION_MINUTES,
+  getLoginBlock,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount
+} = require('../utils/loginProtection');
+const { SECURITY_EVENTS, recordSecurityEvent } = require('../utils/securityEvents');
+const { invalidateAuthState } = require('../utils/authState');
+const { findRedeemableInvitation, redeemInvitation } = require('../utils/invitations');
+const { getSpotAccess, hasCapability } = require('../utils/spotPermissions');
+const {
+  MAX_RADIUS_KM,
+  getDistanceKm,
+  getBoundingBox,
+  getCoordinateFilter,
+  parseGeoQuery
+} = require('../utils/geo');
+const { searchSpots, indexSpot } = require('../utils/spotSearch');
+const {
+  getRequestLocale,
+  formatAmenity,
+  parseAmenityList,
+  resolveAmenities,
+  getAmenityMirror,
+  getAmenityFilter,
+  linkSpotAmenities
+} = require('../utils/amenities');
+const { FACETS, parseFacets, computeSpotFacets } = require('../utils/spotFacets');
+const { MAX_STAY_NIGHTS, toDateKey, getNightCount, isValidDateKey, quoteStay } = require('../utils/pricing');
+const { getBlockedSpotIds } = require('../utils/blocks');
+const { formatStayRule, getStayRestrictions } = require('../utils/stayRules');
+const { getUnitBasePrice } = require('../utils/units');
+const { formatPitch, parsePitchInput, parsePitchFilters } = require('../utils/pitch');
+const {
+  MAX_CALENDAR_NIGHTS,
+  fromDateKey,
+  addDays,
+  getAvailableUnitCounts,
+  getSpotCalendar
+} = require('../utils/availability');
+const {
+  REFRESH_COOKIE,
+  CSRF_COOKIE,
+  getCookie,
+  clearAuthCookies,
+  deliverAuthTokens,
+  isCsrfValid
+} = require('../utils/authCookies');
+const { getPasswordPolicy, validatePassword } = require('../utils/passwordPolicy');
+
+// Per-IP request limit for unauthenticated auth endpoints
+const authRateLimiter = createRateLimiter(15 * 60 * 1000, 100);
+
+// Minimum duration of account recovery responses, so timing doesn't reveal whether an email exists
+const RECOVERY_RESPONSE_MS = 500;
+
+// Most spots scored in memory by one search (distance, relevance or stay price filters and sorts)
+const MAX_IN_MEMORY_SPOTS = 5000;
 
 // 🆕 FIXED: Safe JSON parsing helper function
 function parseJsonField(field) {
@@ -57,6 +143,46 @@ function fixImageUrls(req, images) {
   });
 }
 
+// Helper function to wait until a minimum amount of time has passed since startTime
+function waitUntilElapsed(startTime, minimumMs) {
+  const remaining = minimumMs - (Date.now() - startTime);
+  return new Promise(resolve => setTimeout(resolve, Math.max(0, remaining)));
+}
+
+// Helper function to reject a password that doesn't meet the password policy
+function sendPasswordPolicyError(res, violations) {
+  return res.status(400).json({
+    message: violations.map(violation => violation.message).join('. '),
+    code: 'PASSWORD_POLICY_VIOLATION',
+    violations
+  });
+}
+
+// Helper function to look up the amenities of a spot in the catalogue.
+// Sends a 400 and returns null if the list is invalid or names an unknown amenity.
+async function resolveSpotAmenities(req, res, value) {
+  const names = parseAmenityList(value || []);
+  if (!names) {
+    res.status(400).json({
+      message: 'amenities must be an array of amenity keys',
+      code: 'INVALID_AMENITIES'
+    });
+    return null;
+  }
+
+  const { amenities, unknown } = await resolveAmenities(req.prisma, names);
+  if (unknown.length > 0) {
+    res.status(400).json({
+      message: `Unknown amenities: ${unknown.join(', ')}. See GET /api/amenities for the catalogue.`,
+      code: 'UNKNOWN_AMENITIES',
+      unknown
+    });
+    return null;
+  }
+
+  return amenities;
+}
+
 // Helper function to calculate average rating
 function calculateAverageRating(reviews) {
   if (!reviews || reviews.length === 0) return 0;
@@ -104,7 +230,7 @@ router.get('/test-db', async function(req, res, next) {
 /* ===== AUTHENTICATION ROUTES ===== */
 
 /* POST login */
-router.post('/auth/login', async function(req, res, next) {
+router.post('/auth/login', authRateLimiter, async function(req, res, next) {
   try {
     const { email, password } = req.body;
 
@@ -114,6 +240,26 @@ router.post('/auth/login', async function(req, res, next) {
       });
     }
 
+    const attempt = { email, ip: req.ip };
+
+    // Brute-force protection: progressive delays and temporary lockouts
+    const block = await getLoginBlock(req.prisma, attempt);
+    if (block.blocked) {
+      await recordSecurityEvent(req.prisma, req, {
+        type: SECURITY_EVENTS.LOGIN_BLOCKED,
+        metadata: { email: email.toLowerCase(), reason: block.reason }
+      });
+
+      res.set('Retry-After', String(block.retryAfter));
+      return res.status(429).json({
+        message: block.reason === 'ACCOUNT_LOCKED'
+          ? 'Too many failed login attempts. Try again later or use the unlock link sent to your email.'
+          : 'Too many failed login attempts. Please wait before trying again.',
+        code: block.reason,
+        retryAfter: block.retryAfter
+      });
+    }
+
     // Find user by email (case-insensitive search for MySQL)
     const user = await req.prisma.user.findFirst({
       where: { 
@@ -123,15 +269,25 @@ router.post('/auth/login', async function(req, res, next) {
       }
     });
 
-    if (!user) {
-      return res.status(401).json({
-        message: 'Invalid email or password'
-      });
-    }
-
     // Check password
-    const isValidPassword = await bcrypt.compare(password, user.password);
+    const isValidPassword = user ? await bcrypt.compare(password, user.password) : false;
     if (!isValidPassword) {
+      const { accountLocked } = await recordLoginFailure(req.prisma, attempt);
+
+      await recordSecurityEvent(req.prisma, req, {
+        userId: user ? user.id : null,
+        type: SECURITY_EVENTS.LOGIN_FAILED,
+        metadata: user ? null : { email: email.toLowerCase() }
+      });
+
+      if (accountLocked && user) {
+        await issueAccountUnlock(req.prisma, user, LOCK_DURATION_MINUTES);
+        await recordSecurityEvent(req.prisma, req, {
+          userId: user.id,
+          type: SECURITY_EVENTS.ACCOUNT_LOCKED
+        });
+      }
+
       return res.status(401).json({
         message: 'Invalid email or password'
       });
@@ -144,24 +300,39 @@ router.post('/auth/login', async function(req, res, next) {
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        userId: user.id, 
-        email: user.email, 
-        role: user.role 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Two-factor authentication: return a short-lived challenge instead of tokens.
+    // The failure counter is kept until tokens are issued, since code guesses add to it.
+    if (user.twoFactorEnabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(user, '2fa-challenge')
+      });
+    }
 
-    // Remove password from response
-    const { password: _, ...userWithoutPassword } = user;
+    // Policy requires 2FA for this role but the user hasn't enrolled yet
+    if (await isTwoFactorRequired(req.prisma, user)) {
+      return res.json({
+        message: 'Two-factor authentication must be set up before you can sign in',
+        twoFactorSetupRequired: true,
+        challengeToken: signChallengeToken(user, '2fa-enrollment')
+      });
+    }
+
+    await recordLoginSuccess(req.prisma, attempt);
+
+    // Issue access and refresh tokens
+    const tokens = await issueAuthTokens(req.prisma, user, req);
+
+    await recordSecurityEvent(req.prisma, req, {
+      userId: user.id,
+      type: SECURITY_EVENTS.LOGIN_SUCCESS
+    });
 
     res.json({
       message: 'Login successful',
-      token,
-      user: userWithoutPassword
+      ...deliverAuthTokens(req, res, tokens),
+      user: sanitizeUser(user)
     });
 
   } catch (error) {
@@ -174,7 +345,7 @@ router.post('/auth/login', async function(req, res, next) {
 });
 
 /* POST register */
-router.post('/auth/register', async function(req, res, next) {
+router.post('/auth/register', authRateLimiter, async function(req, res, next) {
   try {
     const { 
       firstName, 
@@ -182,7 +353,8 @@ router.post('/auth/register', async function(req, res, next) {
       email, 
       password, 
       phone,
-      role = 'USER' 
+      role,
+      inviteCode
     } = req.body;
 
     // Validation
@@ -192,12 +364,6 @@ router.post('/auth/register', async function(req, res, next) {
       });
     }
 
-    if (password.length < 6) {
-      return res.status(400).json({
-        message: 'Password must be at least 6 characters long'
-      });
-    }
-
     // Email validation
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     if (!emailRegex.test(email)) {
@@ -206,6 +372,23 @@ router.post('/auth/register', async function(req, res, next) {
       });
     }
 
+    const passwordViolations = await validatePassword(req.prisma, password, { email });
+    if (passwordViolations.length > 0) {
+      return sendPasswordPolicyError(res, passwordViolations);
+    }
+
+    // Elevated roles are only granted through an invitation
+    if (!inviteCode && role && String(role).toUpperCase() !== 'USER') {
+      return res.status(403).json({
+        message: 'An invitation is required to register as an owner or administrator',
+        code: 'INVITE_REQUIRED'
+      });
+    }
+
+    const invitation = inviteCode
+      ? await findRedeemableInvitation(req.prisma, inviteCode, email)
+      : null;
+
     // Check if user already exists (case-insensitive)
     const existingUser = await req.prisma.user.findFirst({
       where: { 
@@ -230,7 +413,9 @@ router.post('/auth/register', async function(req, res, next) {
       lastName: lastName.trim(),
       email: email.toLowerCase().trim(),
       password: hashedPassword,
-      role: role.toUpperCase(),
+      role: invitation ? invitation.role : 'USER',
+      // An invite sent to this address proves ownership of it
+      isVerified: Boolean(invitation && invitation.email),
       isActive: true
     };
 
@@ -239,32 +424,58 @@ router.post('/auth/register', async function(req, res, next) {
       userData.phone = phone.trim();
     }
 
-    // Create user
-    const user = await req.prisma.user.create({
-      data: userData
+    // Create user (and redeem the invitation in the same transaction)
+    const user = await req.prisma.$transaction(async (prisma) => {
+      const createdUser = await prisma.user.create({
+        data: userData
+      });
+
+      if (invitation) {
+        await redeemInvitation(prisma, invitation.id, createdUser.id);
+      }
+
+      return createdUser;
     });
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        userId: user.id, 
-        email: user.email, 
-        role: user.role 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    if (invitation) {
+      console.log(`✉️ Invitation ${invitation.id} redeemed by user ${user.id} (${user.role})`);
+    }
 
-    // Remove password from response
-    const { password: _, ...userWithoutPassword } = user;
+    // Send the verification email (registration still succeeds if delivery fails)
+    if (!user.isVerified) {
+      try {
+        await issueEmailVerification(req.prisma, user);
+      } catch (emailError) {
+        console.error('Failed to send verification email:', emailError);
+      }
+    }
+
+    // Issue access and refresh tokens
+    const tokens = await issueAuthTokens(req.prisma, user, req);
 
     res.status(201).json({
       message: 'Registration successful',
-      token,
-      user: userWithoutPassword
+      ...deliverAuthTokens(req, res, tokens),
+      user: sanitizeUser(user)
     });
 
   } catch (error) {
+    switch (error.message) {
+      case 'INVITE_INVALID':
+      case 'INVITE_USED':
+      case 'INVITE_REVOKED':
+      case 'INVITE_EXPIRED':
+        return res.status(400).json({
+          message: 'This invitation is invalid, has expired or has already been used',
+          code: error.message
+        });
+      case 'INVITE_EMAIL_MISMATCH':
+        return res.status(400).json({
+          message: 'This invitation was issued for a different email address',
+          code: error.message
+        });
+    }
+
     console.error('Registration error:', error);
     res.status(500).json({
       message: 'Registration failed',
@@ -273,6 +484,574 @@ router.post('/auth/register', async function(req, res, next) {
   }
 });
 
+// Refresh token from the body, or from its cookie in cookie mode
+function getRefreshTokenFromRequest(req) {
+  if (req.body.refreshToken) {
+    return { refreshToken: req.body.refreshToken, fromCookie: false };
+  }
+  return { refreshToken: getCookie(req, REFRESH_COOKIE), fromCookie: true };
+}
+
+/* GET CSRF token for cookie sessions (frontends on another origin cannot read the CSRF cookie themselves) */
+router.get('/auth/csrf', function(req, res, next) {
+  const csrfToken = getCookie(req, CSRF_COOKIE);
+
+  if (!csrfToken) {
+    return res.status(401).json({
+      message: 'No cookie session. Please log in again.',
+      code: 'SESSION_MISSING'
+    });
+  }
+
+  res.json({
+    csrfToken
+  });
+});
+
+/* POST refresh access token */
+router.post('/auth/refresh', async function(req, res, next) {
+  try {
+    const { refreshToken, fromCookie } = getRefreshTokenFromRequest(req);
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        message: 'Refresh token is required'
+      });
+    }
+
+    if (fromCookie && !isCsrfValid(req)) {
+      return res.status(403).json({
+        message: 'Invalid or missing CSRF token',
+        code: 'CSRF_TOKEN_INVALID'
+      });
+    }
+
+    const { tokens } = await rotateRefreshToken(req.prisma, refreshToken, req);
+
+    res.json({
+      message: 'Token refreshed successfully',
+      ...deliverAuthTokens(req, res, tokens, fromCookie)
+    });
+
+  } catch (error) {
+    // A cookie session that cannot be refreshed is over
+    if (getCookie(req, REFRESH_COOKIE) && /^(REFRESH_TOKEN_|ACCOUNT_INACTIVE)/.test(error.message)) {
+      clearAuthCookies(res);
+    }
+
+    switch (error.message) {
+      case 'REFRESH_TOKEN_INVALID':
+      case 'REFRESH_TOKEN_EXPIRED':
+        return res.status(401).json({
+          message: 'Invalid or expired refresh token',
+          code: error.message
+        });
+      case 'REFRESH_TOKEN_REVOKED':
+        return res.status(401).json({
+          message: 'This session has been signed out. Please log in again.',
+          code: error.message
+        });
+      case 'REFRESH_TOKEN_REUSED':
+        return res.status(401).json({
+          message: 'Refresh token has already been used. All sessions from this login have been revoked, please log in again.',
+          code: error.message
+        });
+      case 'ACCOUNT_INACTIVE':
+        return res.status(403).json({
+          message: 'Account is deactivated. Please contact support.',
+          code: error.message
+        });
+    }
+
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      message: 'Token refresh failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/* POST logout (revokes the refresh token and every token rotated from it) */
+router.post('/auth/logout', async function(req, res, next) {
+  try {
+    const { refreshToken, fromCookie } = getRefreshTokenFromRequest(req);
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        message: 'Refresh token is required'
+      });
+    }
+
+    if (fromCookie && !isCsrfValid(req)) {
+      return res.status(403).json({
+        message: 'Invalid or missing CSRF token',
+        code: 'CSRF_TOKEN_INVALID'
+      });
+    }
+
+    await revokeRefreshToken(req.prisma, refreshToken);
+    clearAuthCookies(res);
+
+    // Always succeed so clients can safely clear their local state
+    res.json({
+      message: 'Logout successful'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      message: 'Logout failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Look up the token of an email verification link without using it up.
+// Throws TOKEN_INVALID, TOKEN_EXPIRED, TOKEN_USED or TOKEN_EMAIL_MISMATCH.
+async function findVerificationToken(prisma, token) {
+  const rawToken = verifyVerificationToken(String(token));
+  const record = await findUserToken(prisma, rawToken, 'EMAIL_VERIFICATION');
+
+  // The link is only valid for the address it was sent to
+  if (record.email !== record.user.email) {
+    throw new Error('TOKEN_EMAIL_MISMATCH');
+  }
+
+  return { rawToken, record };
+}
+
+// Map verification link errors to responses. Returns true when the error was handled.
+function handleVerificationError(res, error) {
+  switch (error.message) {
+    case 'TOKEN_INVALID':
+    case 'TOKEN_EXPIRED':
+    case 'TOKEN_USED':
+      res.status(400).json({
+        message: 'This verification link is invalid, has expired or has already been used',
+        code: error.message
+      });
+      return true;
+    case 'TOKEN_EMAIL_MISMATCH':
+      res.status(400).json({
+        message: 'This verification link was issued for a different email address. Please request a new one.',
+        code: error.message
+      });
+      return true;
+  }
+  return false;
+}
+
+/* GET check an email verification link before confirming it (does not use up the token) */
+router.get('/auth/verify', async function(req, res, next) {
+  try {
+    const { token } = req.query;
+
+    if (!token) {
+      return res.status(400).json({
+        message: 'Verification token is required'
+      });
+    }
+
+    const { record } = await findVerificationToken(req.prisma, token);
+
+    res.json({
+      message: 'Confirm to verify this email address',
+      email: record.email,
+      expiresAt: record.expiresAt
+    });
+
+  } catch (error) {
+    if (handleVerificationError(res, error)) return;
+
+    console.error('Email verification check error:', error);
+    res.status(500).json({
+      message: 'Email verification failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/* POST verify email address with the token from the link sent by email */
+router.post('/auth/verify', authRateLimiter, async function(req, res, next) {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        message: 'Verification token is required'
+      });
+    }
+
+    const { rawToken, record } = await findVerificationToken(req.prisma, token);
+    await consumeUserToken(req.prisma, rawToken, 'EMAIL_VERIFICATION');
+
+    const user = await req.prisma.user.update({
+      where: { id: record.userId },
+      data: {
+        isVerified: true,
+        updatedAt: new Date()
+      },
+      select: {
+        id: true,
+        email: true,
+        isVerified: true
+      }
+    });
+
+    console.log(`✅ Email verified for user ${user.id}: ${user.email}`);
+
+    res.json({
+      message: 'Email verified successfully',
+      user
+    });
+
+  } catch (error) {
+    if (handleVerificationError(res, error)) return;
+
+    console.error('Email verification error:', error);
+    res.status(500).json({
+      message: 'Email verification failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/* POST request a password reset link */
+router.post('/auth/forgot-password', authRateLimiter, async function(req, res, next) {
+  const startTime = Date.now();
+
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        message: 'Email is required'
+      });
+    }
+
+    const user = await req.prisma.user.findFirst({
+      where: {
+        email: {
+          equals: email.toLowerCase().trim()
+        }
+      },
+      select: { id: true, email: true, firstName: true, isActive: true }
+    });
+
+    if (user && user.isActive) {
+      const throttle = await getResendThrottle(req.prisma, user.id, 'PASSWORD_RESET');
+      if (throttle.allowed) {
+        await issuePasswordReset(req.prisma, user);
+      } else {
+        console.warn(`⚠️ Password reset throttled for user ${user.id}`);
+      }
+    }
+
+    // Same response (and timing) whether or not the account exists
+    await waitUntilElapsed(startTime, RECOVERY_RESPONSE_MS);
+    res.json({
+      message: 'If an account exists for this email, a password reset link has been sent.'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    await waitUntilElapsed(startTime, RECOVERY_RESPONSE_MS);
+    res.status(500).json({
+      message: 'Password reset request failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/* POST reset password using a reset token */
+router.post('/auth/reset-password', authRateLimiter, async function(req, res, next) {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        message: 'Reset token and new password are required'
+      });
+    }
+
+    const record = await findUserToken(req.prisma, token, 'PASSWORD_RESET');
+
+    if (!record.user.isActive) {
+      return res.status(403).json({
+        message: 'Account is deactivated. Please contact support.'
+      });
+    }
+
+    // Checked before the link is used up so the user can pick another password
+    const passwordViolations = await validatePassword(req.prisma, password, { email: record.user.email });
+    if (passwordViolations.length > 0) {
+      return sendPasswordPolicyError(res, passwordViolations);
+    }
+
+    await consumeUserToken(req.prisma, token, 'PASSWORD_RESET');
+
+    const hashedPassword = await bcrypt.hash(password, 12);
+
+    await req.prisma.$transaction(async (prisma) => {
+      await prisma.user.update({
+        where: { id: record.userId },
+        data: {
+          password: hashedPassword,
+          hasPassword: true,
+          // Receiving the link proves ownership of the address
+          isVerified: record.email === record.user.email ? true : record.user.isVerified,
+          // Invalidate access tokens issued with the old password
+          tokenVersion: { increment: 1 },
+          updatedAt: new Date()
+        }
+      });
+
+      // Invalidate any other outstanding reset links
+      await prisma.userToken.updateMany({
+        where: {
+          userId: record.userId,
+          purpose: 'PASSWORD_RESET',
+          usedAt: null
+        },
+        data: { usedAt: new Date() }
+      });
+
+      // Sign the user out everywhere
+      await revokeAllUserTokens(prisma, record.userId, 'PASSWORD_RESET');
+    });
+
+    invalidateAuthState(record.userId);
+
+    // A successful reset also lifts a brute-force lock on the account
+    await unlockAccount(req.prisma, record.user.email);
+
+    await recordSecurityEvent(req.prisma, req, {
+      userId: record.userId,
+      type: SECURITY_EVENTS.PASSWORD_RESET
+    });
+
+    sendPasswordChangedEmail(record.user).catch(error => {
+      console.error('Failed to send password changed email:', error);
+    });
+
+    console.log(`🔑 Password reset completed for user ${record.userId}`);
+
+    res.json({
+      message: 'Password has been reset successfully. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    switch (error.message) {
+      case 'TOKEN_INVALID':
+      case 'TOKEN_EXPIRED':
+      case 'TOKEN_USED':
+        return res.status(400).json({
+          message: 'This reset link is invalid, has expired or has already been used',
+          code: error.message
+        });
+    }
+
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      message: 'Password reset failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/* POST unlock an account locked after too many failed logins */
+router.post('/auth/unlock', authRateLimiter, async function(req, res, next) {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        message: 'Unlock token is required'
+      });
+    }
+
+    const record = await consumeUserToken(req.prisma, token, 'ACCOUNT_UNLOCK');
+
+    await unlockAccount(req.prisma, record.user.email);
+
+    await recordSecurityEvent(req.prisma, req, {
+      userId: record.userId,
+      type: SECURITY_EVENTS.ACCOUNT_UNLOCKED
+    });
+
+    console.log(`🔓 Account unlocked by email link for user ${record.userId}`);
+
+    res.json({
+      message: 'Your account has been unlocked. You can log in again.'
+    });
+
+  } catch (error) {
+    switch (error.message) {
+      case 'TOKEN_INVALID':
+      case 'TOKEN_EXPIRED':
+      case 'TOKEN_USED':
+        return res.status(400).json({
+          message: 'This unlock link is invalid, has expired or has already been used',
+          code: error.message
+        });
+    }
+
+    console.error('Account unlock error:', error);
+    res.status(500).json({
+      message: 'Account unlock failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/* POST request a passwordless login link by email */
+router.post('/auth/magic-link', authRateLimiter, async function(req, res, next) {
+  const startTime = Date.now();
+
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        message: 'Email is required'
+      });
+    }
+
+    // The link only works together with this secret, which stays on the requesting device.
+    // Clients may send back the one they already have; pending links stay valid either way.
+    const deviceToken = typeof req.body.deviceToken === 'string' && /^[0-9a-f]{64}$/.test(req.body.deviceToken)
+      ? req.body.deviceToken
+      : generateOpaqueToken();
+
+    const user = await req.prisma.user.findFirst({
+      where: {
+        email: {
+          equals: email.toLowerCase().trim()
+        }
+      },
+      select: { id: true, email: true, firstName: true, isActive: true }
+    });
+
+    if (user && user.isActive) {
+      const throttle = await getResendThrottle(req.prisma, user.id, 'MAGIC_LINK');
+      if (throttle.allowed) {
+        await issueMagicLink(req.prisma, user, deviceToken);
+      } else {
+        console.warn(`⚠️ Magic link throttled for user ${user.id}`);
+      }
+    }
+
+    // Same response (and timing) whether or not the account exists
+    await waitUntilElapsed(startTime, RECOVERY_RESPONSE_MS);
+    res.json({
+      message: 'If an account exists for this email, a login link has been sent.',
+      deviceToken
+    });
+
+  } catch (error) {
+    console.error('Magic link request error:', error);
+    await waitUntilElapsed(startTime, RECOVERY_RESPONSE_MS);
+    res.status(500).json({
+      message: 'Login link request failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/* POST log in with a magic link (token from the email + deviceToken from the request) */
+router.post('/auth/magic-link/consume', authRateLimiter, async function(req, res, next) {
+  try {
+    const { token, deviceToken } = req.body;
+
+    if (!token || !deviceToken) {
+      return res.status(400).json({
+        message: 'Login token and device token are required'
+      });
+    }
+
+    const record = await findUserToken(req.prisma, token, 'MAGIC_LINK');
+
+    // A link opened on another device is refused without using it up
+    if (!isTokenBoundToDevice(record, deviceToken)) {
+      return res.status(401).json({
+        message: 'This login link must be opened in the browser or app where it was requested',
+        code: 'MAGIC_LINK_DEVICE_MISMATCH'
+      });
+    }
+
+    await consumeUserToken(req.prisma, token, 'MAGIC_LINK');
+
+    // Other pending links of the user are no longer needed
+    await expireUserTokens(req.prisma, record.userId, 'MAGIC_LINK');
+
+    let user = await req.prisma.user.findUnique({
+      where: { id: record.userId }
+    });
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        message: 'Account is deactivated. Please contact support.'
+      });
+    }
+
+    // Receiving the link proves ownership of the address
+    if (!user.isVerified && record.email === user.email) {
+      user = await req.prisma.user.update({
+        where: { id: user.id },
+        data: { isVerified: true }
+      });
+    }
+
+    // Two-factor authentication still applies
+    if (user.twoFactorEnabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(user, '2fa-challenge')
+      });
+    }
+
+    if (await isTwoFactorRequired(req.prisma, user)) {
+      return res.json({
+        message: 'Two-factor authentication must be set up before you can sign in',
+        twoFactorSetupRequired: true,
+        challengeToken: signChallengeToken(user, '2fa-enrollment')
+      });
+    }
+
+    const tokens = await issueAuthTokens(req.prisma, user, req);
+
+    await recordSecurityEvent(req.prisma, req, {
+      userId: user.id,
+      type: SECURITY_EVENTS.LOGIN_SUCCESS,
+      metadata: { method: 'magic_link' }
+    });
+
+    res.json({
+      message: 'Login successful',
+      ...deliverAuthTokens(req, res, tokens),
+      user: sanitizeUser(user)
+    });
+
+  } catch (error) {
+    switch (error.message) {
+      case 'TOKEN_INVALID':
+      case 'TOKEN_EXPIRED':
+      case 'TOKEN_USED':
+        return res.status(400).json({
+          message: 'This login link is invalid, has expired or has already been used',
+          code: error.message
+        });
+    }
+
+    console.error('Magic link login error:', error);
+    res.status(500).json({
+      message: 'Login failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 /* GET current user profile */
 router.get('/auth/me', authenticateToken, async function(req, res, next) {
   try {
@@ -288,6 +1067,7 @@ router.get('/auth/me', authenticateToken, async function(req, res, next) {
         role: true,
         isActive: true,
         isVerified: true,
+        twoFactorEnabled: true,
         createdAt: true,
         _count: {
           select: {
@@ -368,6 +1148,19 @@ router.put('/auth/profile', authenticateToken, async function(req, res, next) {
       }
       
       updateData.email = email.toLowerCase();
+
+      // A new address has to be verified again
+      const currentUser = await req.prisma.user.findUnique({
+        where: { id: req.user.userId },
+        select: { email: true }
+      });
+      if (currentUser && currentUser.email !== updateData.email) {
+        // An impersonating admin could take the account over through a password reset to the new address
+        if (req.impersonation) {
+          return denyImpersonation(req, res, next);
+        }
+        updateData.isVerified = false;
+      }
     }
 
     if (phone !== undefined) {
@@ -397,6 +1190,7 @@ router.put('/auth/profile', authenticateToken, async function(req, res, next) {
         phone: true,
         avatar: true,
         role: true,
+        isVerified: true,
         updatedAt: true
       }
     });
@@ -415,6 +1209,138 @@ router.put('/auth/profile', authenticateToken, async function(req, res, next) {
   }
 });
 
+/* GET password policy (for showing the requirements in sign-up and password forms) */
+router.get('/auth/password-policy', async function(req, res, next) {
+  try {
+    const policy = await getPasswordPolicy(req.prisma);
+
+    res.json({
+      message: 'Password policy retrieved successfully',
+      policy
+    });
+
+  } catch (error) {
+    console.error('Password policy fetch error:', error);
+    res.status(500).json({
+      message: 'Error fetching password policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/* PUT change password (requires the current password, signs out other sessions) */
+router.put('/auth/password', authRateLimiter, authenticateToken, denyImpersonation, async function(req, res, next) {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        message: 'Current password and new password are required'
+      });
+    }
+
+    const user = await req.prisma.user.findUnique({
+      where: { id: req.user.userId },
+      select: { id: true, email: true, firstName: true, password: true, hasPassword: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        message: 'User not found'
+      });
+    }
+
+    // Accounts created through social login set their first password with the reset flow
+    if (!user.hasPassword) {
+      return res.status(400).json({
+        message: 'Your account has no password yet. Use "Forgot password" to set one.',
+        code: 'PASSWORD_NOT_SET'
+      });
+    }
+
+    const isCurrentPasswordValid = await bcrypt.compare(currentPassword, user.password);
+    if (!isCurrentPasswordValid) {
+      return res.status(401).json({
+        message: 'Current password is incorrect',
+        code: 'INVALID_PASSWORD'
+      });
+    }
+
+    if (currentPassword === newPassword) {
+      return res.status(400).json({
+        message: 'New password must be different from the current password'
+      });
+    }
+
+    const passwordViolations = await validatePassword(req.prisma, newPassword, { email: user.email });
+    if (passwordViolations.length > 0) {
+      return sendPasswordPolicyError(res, passwordViolations);
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 12);
+
+    await req.prisma.user.update({
+      where: { id: user.id },
+      data: {
+        password: hashedPassword,
+        updatedAt: new Date()
+      }
+    });
+
+    // Keep this device signed in, sign out everywhere else
+    const sessionsRevoked = await revokeOtherSessions(req.prisma, user.id, req.user.sessionId, 'PASSWORD_CHANGED');
+
+    await recordSecurityEvent(req.prisma, req, {
+      userId: user.id,
+      type: SECURITY_EVENTS.PASSWORD_CHANGED,
+      metadata: { sessionsRevoked }
+    });
+
+    sendPasswordChangedEmail(user).catch(error => {
+      console.error('Failed to send password changed email:', error);
+    });
+
+    console.log(`🔑 Password changed by user ${user.id}`);
+
+    res.json({
+      message: 'Password changed successfully',
+      sessionsRevoked
+    });
+
+  } catch (error) {
+    console.error('Password change error:', error);
+    res.status(500).json({
+      message: 'Error changing password',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/* ===== AMENITIES ===== */
+
+/* GET amenity catalogue (?locale= or Accept-Language for the labels) */
+router.get('/amenities', async function(req, res, next) {
+  try {
+    const locale = getRequestLocale(req);
+    const amenities = await req.prisma.amenity.findMany({
+      where: { isActive: true },
+      orderBy: [{ group: 'asc' }, { key: 'asc' }]
+    });
+
+    res.json({
+      message: 'Amenities retrieved successfully',
+      locale,
+      amenities: amenities.map(amenity => formatAmenity(amenity, locale))
+    });
+  } catch (error) {
+    console.error('Error fetching amenities:', error);
+    res.status(500).json({
+      message: 'Error fetching amenities',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 /* ===== CAMPING SPOTS ROUTES ===== */
 
 /* GET all camping spots with search and filter */
@@ -430,11 +1356,27 @@ router.get('/spots', async function(req, res, next) {
       capacity,
       checkIn,
       checkOut,
+      units,
       category,
+      amenities,
+      match = 'all',
+      pitchType,
+      vehicleType,
+      vehicleLength,
+      minAmps,
+      electricity,
+      water,
+      drain,
+      surface,
+      facets,
+      lat,
+      lng,
+      radiusKm,
+      bbox,
       page = 1,
       limit = 12,
       sortBy = 'createdAt',
-      sortOrder = 'desc'
+      sortOrder = sortBy === 'distance' ? 'asc' : 'desc'
     } = req.query;
     
     console.log('🔍 Search query parameters:', req.query);
@@ -443,14 +1385,69 @@ router.get('/spots', async function(req, res, next) {
     const pageNum = Math.max(1, parseInt(page) || 1);
     const limitNum = Math.min(50, Math.max(1, parseInt(limit) || 12));
     const skip = (pageNum - 1) * limitNum;
+
+    // Geographic search: circle around lat/lng and/or a map bounding box
+    let geo;
+    try {
+      geo = parseGeoQuery({ lat, lng, radiusKm, bbox });
+    } catch (geoError) {
+      const geoMessages = {
+        GEO_INVALID_CENTER: 'lat and lng must both be valid coordinates',
+        GEO_INVALID_RADIUS: `radiusKm must be a number greater than 0 and at most ${MAX_RADIUS_KM}`,
+        GEO_RADIUS_REQUIRES_CENTER: 'radiusKm requires lat and lng',
+        GEO_INVALID_BBOX: 'bbox must be minLng,minLat,maxLng,maxLat'
+      };
+      return res.status(400).json({
+        message: geoMessages[geoError.message] || 'Invalid geographic search',
+        code: geoError.message
+      });
+    }
+
+    // Aggregated counts to return next to the results
+    let requestedFacets = [];
+    if (facets !== undefined) {
+      const parsedFacets = parseFacets(facets);
+      if (parsedFacets.invalid.length > 0) {
+        return res.status(400).json({
+          message: `Unknown facets: ${parsedFacets.invalid.join(', ')}. Available: ${FACETS.join(', ')}`,
+          code: 'INVALID_FACETS'
+        });
+      }
+      requestedFacets = parsedFacets.facets;
+    }
+
+    if (sortBy === 'distance' && !geo.center) {
+      return res.status(400).json({
+        message: 'sortBy=distance requires lat and lng',
+        code: 'GEO_CENTER_REQUIRED'
+      });
+    }
     
     // Build filter object
     const where = {
       isActive: true
     };
 
-    // FIXED: MySQL-compatible search without mode parameter
+    // Full-text search over the spot search index, ranked by relevance (see utils/spotSearch.js)
+    let relevanceScores = null;
     if (search && search.trim()) {
+      relevanceScores = await searchSpots(req.prisma, search.trim());
+      if (relevanceScores) {
+        where.id = { in: [...relevanceScores.keys()] };
+        console.log('🔍 Applied full-text search for:', search.trim(), '-', relevanceScores.size, 'matches');
+      }
+    }
+
+    if (sortBy === 'relevance' && !relevanceScores) {
+      return res.status(400).json({
+        message: 'sortBy=relevance requires a search query',
+        code: 'SEARCH_REQUIRED'
+      });
+    }
+
+    // Queries without any indexable word (e.g. a single letter), or made before the index was
+    // built, fall back to a substring match
+    if (search && search.trim() && !relevanceScores) {
       const searchTerm = search.trim();
       where.OR = [
         { title: { contains: searchTerm } },
@@ -508,6 +1505,32 @@ router.get('/spots', async function(req, res, next) {
       }
     }
 
+    // With stay dates the price filters apply to the average nightly price of the stay
+    // (pricing rules included), which is computed after the query
+    let stay = null;
+    let stayPriceRange = null;
+    if (checkIn && checkOut) {
+      const stayCheckIn = new Date(checkIn);
+      const stayCheckOut = new Date(checkOut);
+      stayCheckIn.setHours(0, 0, 0, 0);
+      stayCheckOut.setHours(0, 0, 0, 0);
+
+      if (!isNaN(stayCheckIn.getTime()) && !isNaN(stayCheckOut.getTime()) && stayCheckOut > stayCheckIn) {
+        // Stays are priced and checked night by night for every candidate spot
+        if (getNightCount(stayCheckIn, stayCheckOut) > MAX_STAY_NIGHTS) {
+          return res.status(400).json({
+            message: `A stay can be at most ${MAX_STAY_NIGHTS} nights`,
+            code: 'STAY_TOO_LONG'
+          });
+        }
+        stay = { checkIn: stayCheckIn, checkOut: stayCheckOut };
+        if (where.price) {
+          stayPriceRange = where.price;
+          delete where.price;
+        }
+      }
+    }
+
     // FIXED: Add date availability filter
     if (checkIn && checkOut) {
       try {
@@ -515,34 +1538,41 @@ router.get('/spots', async function(req, res, next) {
         const checkOutDate = new Date(checkOut);
         
         if (!isNaN(checkInDate.getTime()) && !isNaN(checkOutDate.getTime())) {
-          // Exclude spots with conflicting bookings
-          where.bookings = {
-            none: {
-              status: {
-                in: ['CONFIRMED', 'PENDING']
-              },
-              OR: [
-                {
-                  AND: [
-                    { checkIn: { lt: checkInDate } },
-                    { checkOut: { gt: checkInDate } }
-                  ]
-                },
-                {
-                  AND: [
-                    { checkIn: { lt: checkOutDate } },
-                    { checkOut: { gt: checkOutDate } }
-                  ]
-                },
-                {
-                  AND: [
-                    { checkIn: { gte: checkInDate } },
-                    { checkOut: { lte: checkOutDate } }
-                  ]
+          // Exclude spots with conflicting bookings (spots with units are checked on their free units below)
+          where.AND = [...(where.AND || []), {
+            OR: [
+              { units: { some: { isActive: true } } },
+              {
+                bookings: {
+                  none: {
+                    status: {
+                      in: ['CONFIRMED', 'PENDING']
+                    },
+                    OR: [
+                      {
+                        AND: [
+                          { checkIn: { lt: checkInDate } },
+                          { checkOut: { gt: checkInDate } }
+                        ]
+                      },
+                      {
+                        AND: [
+                          { checkIn: { lt: checkOutDate } },
+                          { checkOut: { gt: checkOutDate } }
+                        ]
+                      },
+                      {
+                        AND: [
+                          { checkIn: { gte: checkInDate } },
+                          { checkOut: { lte: checkOutDate } }
+                        ]
+                      }
+                    ]
+                  }
                 }
-              ]
-            }
-          };
+              }
+            ]
+          }];
           console.log('📅 Applied date availability filter:', checkIn, 'to', checkOut);
         }
       } catch (dateError) {
@@ -550,14 +1580,125 @@ router.get('/spots', async function(req, res, next) {
       }
     }
 
-    // Add category filter (search in amenities JSON)
+    const excludedSpotIds = [];
+
+    // Exclude spots whose owner blocked a night of the stay
+    if (stay) {
+      const blockedSpotIds = await getBlockedSpotIds(req.prisma, stay.checkIn, stay.checkOut);
+      excludedSpotIds.push(...blockedSpotIds);
+      if (blockedSpotIds.length > 0) {
+        console.log('🚧 Excluded spots with blocked dates:', blockedSpotIds.length);
+      }
+    }
+
+    // Remaining inventory: units free for the whole stay (all units without dates) at spots with
+    // units. Spots without units count as a single unit, so they drop out when more are needed.
+    let unitsNeeded = 1;
+    if (units !== undefined) {
+      unitsNeeded = Number(units);
+      if (!Number.isInteger(unitsNeeded) || unitsNeeded < 1 || unitsNeeded > 50) {
+        return res.status(400).json({
+          message: 'units must be a whole number between 1 and 50',
+          code: 'INVALID_UNITS'
+        });
+      }
+    }
+
+    let unitCounts = null;
+    if (stay || unitsNeeded > 1) {
+      unitCounts = await getAvailableUnitCounts(req.prisma, stay && stay.checkIn, stay && stay.checkOut);
+      unitCounts.forEach((count, spotId) => {
+        if (count < unitsNeeded) excludedSpotIds.push(spotId);
+      });
+      if (unitsNeeded > 1) {
+        where.AND = [...(where.AND || []), { units: { some: { isActive: true } } }];
+        console.log('🏕️ Applied unit inventory filter:', unitsNeeded);
+      }
+    }
+
+    if (excludedSpotIds.length > 0) {
+      where.id = { ...(where.id || {}), notIn: excludedSpotIds };
+    }
+
+    // Amenity filter: catalogue keys, matching all of them (default) or any of them
+    const amenityFilters = [];
+    if (amenities !== undefined) {
+      const names = parseAmenityList(amenities);
+      if (!names || names.length === 0) {
+        return res.status(400).json({
+          message: 'amenities must be a comma-separated list of amenity keys',
+          code: 'INVALID_AMENITIES'
+        });
+      }
+
+      if (!['all', 'any'].includes(match)) {
+        return res.status(400).json({
+          message: 'match must be all or any',
+          code: 'INVALID_MATCH'
+        });
+      }
+
+      const { amenities: found, unknown } = await resolveAmenities(req.prisma, names);
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          message: `Unknown amenities: ${unknown.join(', ')}`,
+          code: 'UNKNOWN_AMENITIES',
+          unknown
+        });
+      }
+
+      if (match === 'any') {
+        amenityFilters.push(getAmenityFilter(found));
+      } else {
+        found.forEach(amenity => {
+          amenityFilters.push(getAmenityFilter([amenity]));
+        });
+      }
+      console.log('🏷️ Applied amenity filter:', found.map(amenity => amenity.key), match);
+    }
+
+    // Add category filter (a single amenity, by key or label)
     if (category && category.trim()) {
-      where.amenities = { 
-        string_contains: category.trim()
-      };
+      const { amenities: found } = await resolveAmenities(req.prisma, [category.trim()]);
+      amenityFilters.push(getAmenityFilter(found, [category.trim()]));
       console.log('🏷️ Applied category filter:', category.trim());
     }
 
+    if (amenityFilters.length > 0) {
+      where.AND = [...(where.AND || []), ...amenityFilters];
+    }
+
+    // Pitch filters (setup, vehicle, electricity, hookups, surface) only match spots that state them
+    const pitchFilters = parsePitchFilters(req.query);
+    if (pitchFilters.error) {
+      return res.status(400).json({
+        message: pitchFilters.error,
+        code: 'INVALID_PITCH_FILTER'
+      });
+    }
+    if (pitchFilters.filters.length > 0) {
+      where.AND = [...(where.AND || []), ...pitchFilters.filters];
+      console.log('🚐 Applied pitch filters:', JSON.stringify(pitchFilters.filters));
+    }
+
+    // Narrow to coordinates inside the bounding box(es); the radius is checked exactly after the query
+    const coordinateFilters = [];
+    if (geo.bbox) {
+      coordinateFilters.push(getCoordinateFilter(geo.bbox));
+    }
+    if (geo.radiusKm) {
+      coordinateFilters.push(getCoordinateFilter(getBoundingBox(geo.center, geo.radiusKm)));
+    }
+    if (coordinateFilters.length > 0) {
+      where.AND = [...(where.AND || []), ...coordinateFilters];
+      console.log('🧭 Applied geographic filter:', JSON.stringify(geo));
+    }
+
+    // Distances, relevance and stay prices are computed in memory, so filtering and sorting
+    // on them (and the price histogram of a stay) pages over the full result
+    const pageInMemory = Boolean(geo.radiusKm) || sortBy === 'distance' || sortBy === 'relevance' ||
+      Boolean(stayPriceRange) || (stay !== null && (sortBy === 'price' || requestedFacets.includes('price')));
+
     // Build orderBy clause with validation
     let orderBy = { createdAt: 'desc' };
     const validSortFields = ['createdAt', 'price', 'title', 'capacity'];
@@ -568,40 +1709,118 @@ router.get('/spots', async function(req, res, next) {
       console.log('📊 Applied sorting:', sortBy, sortOrder);
     }
 
-    let spots, total;
+    let spots, total, matchingIds, matchingStayPrices;
     try {
-      const queryOptions = {
-        where,
-        skip,
-        take: limitNum,
-        include: {
-          owner: {
-            select: {
-              firstName: true,
-              lastName: true
-            }
-          },
-          reviews: {
-            select: {
-              rating: true
-            }
-          },
-          _count: {
-            select: {
-              bookings: true,
-              reviews: true
-            }
+      const spotInclude = {
+        owner: {
+          select: {
+            firstName: true,
+            lastName: true
+          }
+        },
+        reviews: {
+          select: {
+            rating: true
           }
         },
-        orderBy
+        _count: {
+          select: {
+            bookings: true,
+            reviews: true
+          }
+        }
       };
+      const activePricingRules = { pricingRules: { where: { isActive: true } } };
+
+      const scoreSpot = spot => ({
+        ...spot,
+        distanceKm: !geo.center || spot.latitude === null || spot.longitude === null
+          ? null
+          : getDistanceKm(geo.center, { lat: spot.latitude, lng: spot.longitude }),
+        relevance: relevanceScores ? relevanceScores.get(spot.id) || 0 : null,
+        stayPrice: stay ? quoteStay(spot, spot.pricingRules, stay.checkIn, stay.checkOut) : null
+      });
 
       console.log('🗃️ Executing database query with filters:', JSON.stringify(where, null, 2));
 
-      [spots, total] = await Promise.all([
-        req.prisma.campingSpot.findMany(queryOptions),
-        req.prisma.campingSpot.count({ where })
-      ]);
+      if (pageInMemory) {
+        // Score only what the filters and sorts need for every match, then load the full rows of this page
+        let candidates = await req.prisma.campingSpot.findMany({
+          where,
+          take: MAX_IN_MEMORY_SPOTS,
+          select: {
+            id: true,
+            price: true,
+            latitude: true,
+            longitude: true,
+            ...(stay ? activePricingRules : {})
+          },
+          orderBy
+        });
+
+        if (candidates.length === MAX_IN_MEMORY_SPOTS) {
+          console.warn(`⚠️ Search scored only the first ${MAX_IN_MEMORY_SPOTS} matching spots`);
+        }
+
+        candidates = candidates.map(scoreSpot);
+
+        if (geo.radiusKm) {
+          candidates = candidates.filter(spot => spot.distanceKm !== null && spot.distanceKm <= geo.radiusKm);
+        }
+        if (stayPriceRange) {
+          candidates = candidates.filter(spot =>
+            (stayPriceRange.gte === undefined || spot.stayPrice.averageNightlyPrice >= stayPriceRange.gte) &&
+            (stayPriceRange.lte === undefined || spot.stayPrice.averageNightlyPrice <= stayPriceRange.lte)
+          );
+        }
+        if (stay && sortBy === 'price') {
+          const direction = sortOrder.toLowerCase() === 'desc' ? -1 : 1;
+          candidates.sort((a, b) => (a.stayPrice.averageNightlyPrice - b.stayPrice.averageNightlyPrice) * direction);
+        }
+        if (sortBy === 'distance') {
+          // Spots without coordinates go last in either order
+          const direction = sortOrder.toLowerCase() === 'desc' ? -1 : 1;
+          candidates.sort((a, b) => {
+            if (a.distanceKm === null || b.distanceKm === null) {
+              return (a.distanceKm === null) - (b.distanceKm === null);
+            }
+            return (a.distanceKm - b.distanceKm) * direction;
+          });
+        }
+        if (sortBy === 'relevance') {
+          const direction = sortOrder.toLowerCase() === 'asc' ? 1 : -1;
+          candidates.sort((a, b) => (a.relevance - b.relevance) * direction);
+        }
+        total = candidates.length;
+        matchingIds = candidates.map(spot => spot.id);
+        if (stay) {
+          matchingStayPrices = candidates.map(spot => spot.stayPrice.averageNightlyPrice);
+        }
+
+        const pageCandidates = candidates.slice(skip, skip + limitNum);
+        const pageRows = await req.prisma.campingSpot.findMany({
+          where: { id: { in: pageCandidates.map(spot => spot.id) } },
+          include: spotInclude
+        });
+        const rowsById = new Map(pageRows.map(row => [row.id, row]));
+
+        spots = pageCandidates
+          .filter(spot => rowsById.has(spot.id))
+          .map(spot => ({ ...rowsById.get(spot.id), ...spot }));
+      } else {
+        [spots, total] = await Promise.all([
+          req.prisma.campingSpot.findMany({
+            where,
+            skip,
+            take: limitNum,
+            include: { ...spotInclude, ...(stay ? activePricingRules : {}) },
+            orderBy
+          }),
+          req.prisma.campingSpot.count({ where })
+        ]);
+
+        spots = spots.map(scoreSpot);
+      }
 
       console.log('✅ Query successful - found', spots.length, 'spots out of', total, 'total');
 
@@ -633,6 +1852,15 @@ router.get('/spots', async function(req, res, next) {
         capacity: spot.capacity,
         latitude: spot.latitude,
         longitude: spot.longitude,
+        distanceKm: spot.distanceKm === null ? null : Math.round(spot.distanceKm * 100) / 100,
+        relevance: spot.relevance === null ? null : Math.round(spot.relevance * 100) / 100,
+        stayPrice: spot.stayPrice && {
+          nights: spot.stayPrice.nights.length,
+          totalPrice: spot.stayPrice.totalPrice,
+          averageNightlyPrice: spot.stayPrice.averageNightlyPrice
+        },
+        availableUnits: unitCounts && unitCounts.has(spot.id) ? unitCounts.get(spot.id) : null,
+        pitch: formatPitch(spot),
         isActive: spot.isActive,
         isInstantBook: spot.isInstantBook,
         amenities: parsedAmenities,
@@ -656,11 +1884,22 @@ router.get('/spots', async function(req, res, next) {
       });
     }
     
+    // Facets cover every match, not only this page (filters applied in memory are reflected by the ids)
+    let facetCounts;
+    if (requestedFacets.length > 0) {
+      const facetWhere = pageInMemory ? { id: { in: matchingIds } } : where;
+      facetCounts = await computeSpotFacets(req.prisma, facetWhere, requestedFacets, {
+        locale: getRequestLocale(req),
+        stayPrices: matchingStayPrices
+      });
+    }
+
     const totalPages = Math.ceil(total / limitNum);
     
     res.json({
       message: 'Camping spots retrieved successfully',
       spots: spotsWithRating,
+      facets: facetCounts,
       pagination: {
         page: pageNum,
         limit: limitNum,
@@ -679,7 +1918,23 @@ router.get('/spots', async function(req, res, next) {
         capacity,
         checkIn,
         checkOut,
+        units,
         category,
+        amenities,
+        match,
+        pitchType,
+        vehicleType,
+        vehicleLength,
+        minAmps,
+        electricity,
+        water,
+        drain,
+        surface,
+        facets,
+        lat,
+        lng,
+        radiusKm,
+        bbox,
         sortBy,
         sortOrder
       }
@@ -739,6 +1994,22 @@ router.get('/spots/:id', async function(req, res, next) {
             }
           }
         },
+        amenityLinks: {
+          where: {
+            amenity: { isActive: true }
+          },
+          include: {
+            amenity: true
+          }
+        },
+        stayRules: {
+          where: { isActive: true },
+          orderBy: { priority: 'desc' }
+        },
+        units: {
+          where: { isActive: true },
+          orderBy: { name: 'asc' }
+        },
         _count: {
           select: {
             bookings: true,
@@ -754,6 +2025,8 @@ router.get('/spots/:id', async function(req, res, next) {
       });
     }
 
+    const locale = getRequestLocale(req);
+
     // Parse JSON fields safely
     const parsedAmenities = parseJsonField(spot.amenities);
     const parsedImages = parseJsonField(spot.images);
@@ -776,14 +2049,26 @@ router.get('/spots/:id', async function(req, res, next) {
       isActive: spot.isActive,
       isInstantBook: spot.isInstantBook,
       amenities: parsedAmenities,
+      amenityDetails: spot.amenityLinks.map(link => formatAmenity(link.amenity, locale)),
+      pitch: formatPitch(spot),
       images: parsedImages,
       rules: spot.rules,
+      stayRestrictions: getStayRestrictions(spot.stayRules, null),
+      stayRules: spot.stayRules.map(formatStayRule),
       averageRating: avgRating,
       totalReviews: spot.reviews.length,
       totalBookings: spot._count.bookings,
       owner: spot.owner,
       reviews: spot.reviews,
-      unavailableDates: spot.bookings.map(booking => ({
+      units: spot.units.map(unit => ({
+        id: unit.id,
+        name: unit.name,
+        quantity: unit.quantity,
+        capacity: unit.capacity,
+        price: getUnitBasePrice(spot, unit)
+      })),
+      // With units, a booking takes one unit, not the spot (see the calendar for free units per night)
+      unavailableDates: spot.units.length > 0 ? [] : spot.bookings.map(booking => ({
         checkIn: booking.checkIn,
         checkOut: booking.checkOut
       })),
@@ -804,6 +2089,65 @@ router.get('/spots/:id', async function(req, res, next) {
   }
 });
 
+/* GET day-by-day availability and prices of a camping spot (?from=&to=, both inclusive) */
+router.get('/spots/:id/calendar', async function(req, res, next) {
+  try {
+    const spotId = parseInt(req.params.id);
+    const from = req.query.from || toDateKey(new Date());
+    const to = req.query.to || toDateKey(addDays(fromDateKey(from), 29));
+
+    if (isNaN(spotId)) {
+      return res.status(400).json({
+        message: 'Invalid spot ID'
+      });
+    }
+
+    if (!isValidDateKey(from) || !isValidDateKey(to) || to < from) {
+      return res.status(400).json({
+        message: 'from and to must be dates in YYYY-MM-DD format, with to not before from'
+      });
+    }
+
+    const nightCount = Math.round((fromDateKey(to) - fromDateKey(from)) / (1000 * 60 * 60 * 24)) + 1;
+    if (nightCount > MAX_CALENDAR_NIGHTS) {
+      return res.status(400).json({
+        message: `The calendar is limited to ${MAX_CALENDAR_NIGHTS} nights per request`
+      });
+    }
+
+    const spot = await req.prisma.campingSpot.findUnique({
+      where: {
+        id: spotId,
+        isActive: true
+      },
+      select: { id: true, price: true }
+    });
+
+    if (!spot) {
+      return res.status(404).json({
+        message: 'Camping spot not found'
+      });
+    }
+
+    const nights = await getSpotCalendar(req.prisma, spot, from, to);
+
+    res.json({
+      message: 'Calendar retrieved successfully',
+      spotId,
+      from,
+      to,
+      basePrice: parseFloat(spot.price),
+      nights
+    });
+  } catch (error) {
+    console.error('Error fetching spot calendar:', error);
+    res.status(500).json({
+      message: 'Error fetching spot calendar',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 /* POST create camping spot */
 router.post('/spots', authenticateToken, authorizeRole(['OWNER', 'ADMIN']), async function(req, res, next) {
   try {
@@ -845,6 +2189,17 @@ router.post('/spots', authenticateToken, authorizeRole(['OWNER', 'ADMIN']), asyn
       });
     }
 
+    const amenityResult = await resolveSpotAmenities(req, res, amenities);
+    if (!amenityResult) return;
+
+    const pitchInput = parsePitchInput(req.body);
+    if (pitchInput.error) {
+      return res.status(400).json({
+        message: pitchInput.error,
+        code: 'INVALID_PITCH'
+      });
+    }
+
     // Fix image URLs before saving to database
     const fixedImages = fixImageUrls(req, images);
 
@@ -868,7 +2223,8 @@ router.post('/spots', authenticateToken, authorizeRole(['OWNER', 'ADMIN']), asyn
     if (rules) spotData.rules = rules.trim();
     if (latitude) spotData.latitude = parseFloat(latitude);
     if (longitude) spotData.longitude = parseFloat(longitude);
-    if (amenities) spotData.amenities = amenities;
+    spotData.amenities = getAmenityMirror(amenityResult);
+    Object.assign(spotData, pitchInput.data);
     if (fixedImages) spotData.images = fixedImages; // Use fixed URLs
 
     const spot = await req.prisma.campingSpot.create({
@@ -883,6 +2239,9 @@ router.post('/spots', authenticateToken, authorizeRole(['OWNER', 'ADMIN']), asyn
       }
     });
 
+    await linkSpotAmenities(req.prisma, spot.id, amenityResult);
+    await indexSpot(req.prisma, spot);
+
     // Parse JSON fields for response
     const parsedAmenities = parseJsonField(spot.amenities);
     const parsedImages = parseJsonField(spot.images);
@@ -945,11 +2304,14 @@ router.put('/spots/:id', authenticateToken, async function(req, res, next) {
       });
     }
 
-    // Check ownership or admin rights
-    if (existingSpot.ownerId !== req.user.userId && req.user.role !== 'ADMIN') {
-      return res.status(403).json({
-        message: 'You can only update your own camping spots'
-      });
+    // Check ownership, team member rights or admin rights
+    if (req.user.role !== 'ADMIN') {
+      const access = await getSpotAccess(req.prisma, req.user.userId, parseInt(id));
+      if (!hasCapability(access, 'spot.edit')) {
+        return res.status(403).json({
+          message: 'You can only update camping spots you own or manage'
+        });
+      }
     }
 
     // Prepare update data
@@ -986,7 +2348,21 @@ router.put('/spots/:id', authenticateToken, async function(req, res, next) {
     
     if (latitude !== undefined) updateData.latitude = latitude ? parseFloat(latitude) : null;
     if (longitude !== undefined) updateData.longitude = longitude ? parseFloat(longitude) : null;
-    if (amenities !== undefined) updateData.amenities = amenities;
+    let amenityResult;
+    if (amenities !== undefined) {
+      amenityResult = await resolveSpotAmenities(req, res, amenities);
+      if (!amenityResult) return;
+      updateData.amenities = getAmenityMirror(amenityResult);
+    }
+
+    const pitchInput = parsePitchInput(req.body);
+    if (pitchInput.error) {
+      return res.status(400).json({
+        message: pitchInput.error,
+        code: 'INVALID_PITCH'
+      });
+    }
+    Object.assign(updateData, pitchInput.data);
     
     // Fix image URLs if images are being updated
     if (images !== undefined) {
@@ -1013,6 +2389,11 @@ router.put('/spots/:id', authenticateToken, async function(req, res, next) {
       }
     });
 
+    if (amenityResult) {
+      await linkSpotAmenities(req.prisma, updatedSpot.id, amenityResult);
+    }
+    await indexSpot(req.prisma, updatedSpot);
+
     // Parse JSON fields for response
     const parsedAmenities = parseJsonField(updatedSpot.amenities);
     const parsedImages = parseJsonField(updatedSpot.images);
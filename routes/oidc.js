@@ -0,0 +1,277 @@
+var express = require('express');
+var router = express.Router();
+const bcrypt = require('bcryptjs');
+const { optionalAuth, createRateLimiter } = require('../middleware/auth');
+const {
+  getProviders,
+  createAuthorizationRequest,
+  completeAuthorization
+} = require('../utils/oidc');
+const { issueAuthTokens, generateOpaqueToken } = require('../utils/tokenService');
+const {
+  deliverAuthTokens,
+  setOidcStateCookie,
+  clearOidcStateCookie,
+  isOidcStateBound
+} = require('../utils/authCookies');
+const { issueEmailVerification } = require('../utils/userTokens');
+const { signChallengeToken, isTwoFactorRequired } = require('../utils/twoFactor');
+const { SECURITY_EVENTS, recordSecurityEvent } = require('../utils/securityEvents');
+const { sanitizeUser } = require('../utils/helpers');
+
+const oidcRateLimiter = createRateLimiter(15 * 60 * 1000, 100);
+
+// Map OIDC errors to responses. Returns true when the error was handled.
+function handleOidcError(res, error) {
+  switch (error.message) {
+    case 'OIDC_PROVIDER_UNKNOWN':
+      res.status(404).json({
+        message: 'Unknown or disabled identity provider',
+        code: error.message
+      });
+      return true;
+    case 'OIDC_STATE_INVALID':
+      res.status(400).json({
+        message: 'This sign-in request is invalid or has expired. Please try again.',
+        code: error.message
+      });
+      return true;
+    case 'OIDC_TOKEN_EXCHANGE_FAILED':
+    case 'OIDC_ID_TOKEN_INVALID':
+      res.status(401).json({
+        message: 'The identity provider response could not be verified',
+        code: error.message
+      });
+      return true;
+  }
+  return false;
+}
+
+// Find the user for an external identity, creating an account on first sign-in
+async function findOrCreateUser(prisma, identity) {
+  const linked = await prisma.userIdentity.findUnique({
+    where: { provider_subject: { provider: identity.provider, subject: identity.subject } },
+    include: { user: true }
+  });
+
+  if (linked) {
+    await prisma.userIdentity.update({
+      where: { id: linked.id },
+      data: { lastLoginAt: new Date(), email: identity.email }
+    });
+    return { user: linked.user, created: false };
+  }
+
+  if (!identity.email) {
+    throw new Error('OIDC_EMAIL_REQUIRED');
+  }
+
+  // Existing password accounts must link the identity from their profile first
+  const existingUser = await prisma.user.findFirst({
+    where: { email: { equals: identity.email } },
+    select: { id: true }
+  });
+
+  if (existingUser) {
+    throw new Error('OIDC_ACCOUNT_EXISTS');
+  }
+
+  const user = await prisma.user.create({
+    data: {
+      firstName: (identity.firstName || identity.email.split('@')[0]).trim(),
+      lastName: (identity.lastName || '').trim(),
+      email: identity.email,
+      // Unusable password until the user sets one through the reset flow
+      password: await bcrypt.hash(generateOpaqueToken(), 12),
+      hasPassword: false,
+      isVerified: identity.emailVerified,
+      isActive: true,
+      identities: {
+        create: {
+          provider: identity.provider,
+          subject: identity.subject,
+          email: identity.email,
+          lastLoginAt: new Date()
+        }
+      }
+    }
+  });
+
+  if (!user.isVerified) {
+    try {
+      await issueEmailVerification(prisma, user);
+    } catch (emailError) {
+      console.error('Failed to send verification email:', emailError);
+    }
+  }
+
+  return { user, created: true };
+}
+
+/* GET /api/auth/oidc/providers - Identity providers available for sign-in */
+router.get('/providers', function(req, res, next) {
+  const providers = Object.values(getProviders()).map(provider => ({
+    name: provider.name,
+    displayName: provider.displayName
+  }));
+
+  res.json({
+    message: 'Identity providers retrieved successfully',
+    providers
+  });
+});
+
+/* POST /api/auth/oidc/:provider/authorize - Start signing in with an identity provider */
+router.post('/:provider/authorize', oidcRateLimiter, async function(req, res, next) {
+  try {
+    const request = await createAuthorizationRequest(req.prisma, req.params.provider);
+    setOidcStateCookie(res, request.state, request.expiresAt);
+
+    res.json({
+      message: 'Redirect the browser to the authorization URL',
+      ...request
+    });
+
+  } catch (error) {
+    if (handleOidcError(res, error)) return;
+
+    console.error('OIDC authorize error:', error);
+    res.status(500).json({
+      message: 'Error starting external sign-in',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/* POST /api/auth/oidc/callback - Finish sign-in (or account linking) with the code and state */
+router.post('/callback', oidcRateLimiter, optionalAuth, async function(req, res, next) {
+  try {
+    const { code, state } = req.body;
+
+    if (!code || !state) {
+      return res.status(400).json({
+        message: 'Authorization code and state are required'
+      });
+    }
+
+    // The state must come back to the browser that started the request
+    if (!isOidcStateBound(req, state)) {
+      throw new Error('OIDC_STATE_INVALID');
+    }
+
+    const { authRequest, identity } = await completeAuthorization(req.prisma, { code, state });
+    clearOidcStateCookie(res);
+
+    // Linking an identity to the signed-in user
+    if (authRequest.userId) {
+      if (!req.user || req.user.userId !== authRequest.userId) {
+        return res.status(401).json({
+          message: 'Sign in with the account you are linking to',
+          code: 'NOT_AUTHENTICATED'
+        });
+      }
+
+      const existing = await req.prisma.userIdentity.findUnique({
+        where: { provider_subject: { provider: identity.provider, subject: identity.subject } }
+      });
+
+      if (existing && existing.userId !== authRequest.userId) {
+        return res.status(409).json({
+          message: 'This external account is already linked to another user',
+          code: 'OIDC_IDENTITY_IN_USE'
+        });
+      }
+
+      const linked = existing || await req.prisma.userIdentity.create({
+        data: {
+          userId: authRequest.userId,
+          provider: identity.provider,
+          subject: identity.subject,
+          email: identity.email
+        }
+      });
+
+      if (!existing) {
+        await recordSecurityEvent(req.prisma, req, {
+          userId: authRequest.userId,
+          type: SECURITY_EVENTS.IDENTITY_LINKED,
+          metadata: { provider: identity.provider }
+        });
+      }
+
+      return res.json({
+        message: 'External account linked successfully',
+        identity: {
+          id: linked.id,
+          provider: linked.provider,
+          email: linked.email,
+          createdAt: linked.createdAt
+        }
+      });
+    }
+
+    const { user, created } = await findOrCreateUser(req.prisma, identity);
+
+    if (!user.isActive) {
+      return res.status(403).json({
+        message: 'Account is deactivated. Please contact support.',
+        code: 'ACCOUNT_INACTIVE'
+      });
+    }
+
+    // Two-factor authentication applies to external sign-in as well
+    if (user.twoFactorEnabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(user, '2fa-challenge')
+      });
+    }
+
+    if (await isTwoFactorRequired(req.prisma, user)) {
+      return res.json({
+        message: 'Two-factor authentication must be set up before you can sign in',
+        twoFactorSetupRequired: true,
+        challengeToken: signChallengeToken(user, '2fa-enrollment')
+      });
+    }
+
+    const tokens = await issueAuthTokens(req.prisma, user, req);
+
+    await recordSecurityEvent(req.prisma, req, {
+      userId: user.id,
+      type: SECURITY_EVENTS.LOGIN_SUCCESS,
+      metadata: { method: 'oidc', provider: identity.provider }
+    });
+
+    res.status(created ? 201 : 200).json({
+      message: created ? 'Registration successful' : 'Login successful',
+      ...deliverAuthTokens(req, res, tokens),
+      user: sanitizeUser(user)
+    });
+
+  } catch (error) {
+    if (handleOidcError(res, error)) return;
+
+    switch (error.message) {
+      case 'OIDC_EMAIL_REQUIRED':
+        return res.status(400).json({
+          message: 'The identity provider did not share an email address',
+          code: error.message
+        });
+      case 'OIDC_ACCOUNT_EXISTS':
+        return res.status(409).json({
+          message: 'An account with this email already exists. Log in with your password and link this provider from your profile.',
+          code: error.message
+        });
+    }
+
+    console.error('OIDC callback error:', error);
+    res.status(500).json({
+      message: 'External sign-in failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
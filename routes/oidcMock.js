@@ -0,0 +1,177 @@
+var express = require('express');
+var router = express.Router();
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { MOCK_CLIENT_ID, getProvider, createCodeChallenge } = require('../utils/oidc');
+
+// Local OpenID Connect provider for development and tests (mounted when OIDC_MOCK_ENABLED=true).
+// Any email address can sign in; pass `login_hint` to /authorize to skip the form.
+
+const CODE_TTL_MS = 60 * 1000;
+const codes = new Map();
+let signingKey = null;
+
+function getSigningKey() {
+  if (!signingKey) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    signingKey = {
+      kid: crypto.randomBytes(8).toString('hex'),
+      privateKey,
+      jwk: publicKey.export({ format: 'jwk' })
+    };
+  }
+  return signingKey;
+}
+
+function getIssuer() {
+  return getProvider('mock').issuer;
+}
+
+// Stable subject per email so repeated logins map to the same identity
+function getSubject(email) {
+  return crypto.createHash('sha256').update(email).digest('hex').substring(0, 24);
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/* GET /api/oidc-mock/.well-known/openid-configuration - Discovery document */
+router.get('/.well-known/openid-configuration', function(req, res, next) {
+  const issuer = getIssuer();
+
+  res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    jwks_uri: `${issuer}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    scopes_supported: ['openid', 'email', 'profile']
+  });
+});
+
+/* GET /api/oidc-mock/jwks - Public signing keys */
+router.get('/jwks', function(req, res, next) {
+  const { kid, jwk } = getSigningKey();
+
+  res.json({
+    keys: [{ ...jwk, kid, use: 'sig', alg: 'RS256' }]
+  });
+});
+
+/* GET /api/oidc-mock/authorize - Sign in as any email address */
+router.get('/authorize', function(req, res, next) {
+  const {
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: codeChallengeMethod,
+    login_hint: loginHint
+  } = req.query;
+
+  if (clientId !== MOCK_CLIENT_ID || !redirectUri || !codeChallenge || codeChallengeMethod !== 'S256') {
+    return res.status(400).json({
+      error: 'invalid_request',
+      error_description: 'client_id, redirect_uri and an S256 code_challenge are required'
+    });
+  }
+
+  if (!loginHint) {
+    const hiddenFields = Object.entries(req.query)
+      .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+      .join('');
+
+    return res.send(`<!DOCTYPE html>
+<html>
+  <head><title>CampingHub test identity provider</title></head>
+  <body>
+    <h1>Test identity provider</h1>
+    <form method="get">
+      ${hiddenFields}
+      <label>Email <input type="email" name="login_hint" required autofocus></label>
+      <label>Name <input type="text" name="name"></label>
+      <button type="submit">Sign in</button>
+    </form>
+  </body>
+</html>`);
+  }
+
+  const email = String(loginHint).toLowerCase().trim();
+  const code = crypto.randomBytes(24).toString('hex');
+
+  codes.set(code, {
+    email,
+    name: req.query.name || email.split('@')[0],
+    nonce,
+    codeChallenge,
+    redirectUri,
+    expiresAt: Date.now() + CODE_TTL_MS
+  });
+
+  const location = new URL(redirectUri);
+  location.searchParams.set('code', code);
+  if (state) {
+    location.searchParams.set('state', state);
+  }
+
+  res.redirect(location.toString());
+});
+
+/* POST /api/oidc-mock/token - Exchange an authorization code for an ID token */
+router.post('/token', function(req, res, next) {
+  const {
+    grant_type: grantType,
+    code,
+    redirect_uri: redirectUri,
+    client_id: clientId,
+    code_verifier: codeVerifier
+  } = req.body;
+
+  const grant = codes.get(code);
+  codes.delete(code);
+
+  if (grantType !== 'authorization_code' || !grant || grant.expiresAt < Date.now() ||
+      clientId !== MOCK_CLIENT_ID || redirectUri !== grant.redirectUri ||
+      !codeVerifier || createCodeChallenge(codeVerifier) !== grant.codeChallenge) {
+    return res.status(400).json({
+      error: 'invalid_grant'
+    });
+  }
+
+  const { kid, privateKey } = getSigningKey();
+  const [givenName, ...familyName] = grant.name.split(' ');
+
+  const idToken = jwt.sign(
+    {
+      email: grant.email,
+      email_verified: true,
+      name: grant.name,
+      given_name: givenName,
+      family_name: familyName.join(' ') || undefined,
+      nonce: grant.nonce
+    },
+    privateKey,
+    {
+      algorithm: 'RS256',
+      keyid: kid,
+      issuer: getIssuer(),
+      audience: MOCK_CLIENT_ID,
+      subject: getSubject(grant.email),
+      expiresIn: '5m'
+    }
+  );
+
+  res.json({
+    access_token: crypto.randomBytes(24).toString('hex'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+module.exports = router;
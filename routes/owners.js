@@ -1,6 +1,96 @@
 var express = require('express');
 var router = express.Router();
-const { authenticateToken, requireOwner } = require('../middleware/auth');
+const { Prisma } = require('@prisma/client');
+const {
+  authenticateTokenOrApiKey,
+  requireOwner,
+  requireOwnerOrStaff,
+  requireScope,
+  rejectApiKey,
+  denyImpersonation
+} = require('../middleware/auth');
+const {
+  SPOT_CAPABILITIES,
+  ROLE_CAPABILITIES,
+  MEMBER_ROLES,
+  getInvalidMemberCapabilities,
+  getMemberCapabilities,
+  getSpotAccess,
+  hasCapability,
+  getSpotAccessMap,
+  getSpotIdsWithCapability
+} = require('../utils/spotPermissions');
+const {
+  API_KEY_SCOPES,
+  DEFAULT_RATE_LIMIT_PER_MINUTE,
+  MAX_RATE_LIMIT_PER_MINUTE,
+  MAX_KEYS_PER_USER,
+  getInvalidScopes,
+  getKeyStatus,
+  createApiKey,
+  revokeApiKey
+} = require('../utils/apiKeys');
+const { indexSpot } = require('../utils/spotSearch');
+const {
+  parseAmenityList,
+  resolveAmenities,
+  getAmenityMirror,
+  linkSpotAmenities
+} = require('../utils/amenities');
+const {
+  PRICING_RULE_TYPES,
+  isValidDateKey,
+  formatPricingRule,
+  getPricingRuleError,
+  toPricingRuleData,
+  quoteStay,
+  getActivePricingRules
+} = require('../utils/pricing');
+const { listHolidayCalendars } = require('../utils/holidays');
+const {
+  BLOCK_REASONS,
+  BLOCK_RECURRENCES,
+  formatBlock,
+  getBlockError,
+  toBlockData,
+  isNightBlocked,
+  getNightKeys
+} = require('../utils/blocks');
+const { BLOCKING_BOOKING_STATUSES, countBookedNights } = require('../utils/availability');
+const {
+  DEFAULT_STAY_RESTRICTIONS,
+  formatStayRule,
+  getStayRuleError,
+  toStayRuleData,
+  getStayRestrictions
+} = require('../utils/stayRules');
+const { formatUnit, getUnitError, toUnitData } = require('../utils/units');
+const { parsePitchInput } = require('../utils/pitch');
+
+// Helper function to look up the amenities of a spot in the catalogue.
+// Sends a 400 and returns null if the list is invalid or names an unknown amenity.
+async function resolveSpotAmenities(req, res, value) {
+  const names = parseAmenityList(value || []);
+  if (!names) {
+    res.status(400).json({
+      message: 'amenities must be an array of amenity keys',
+      code: 'INVALID_AMENITIES'
+    });
+    return null;
+  }
+
+  const { amenities, unknown } = await resolveAmenities(req.prisma, names);
+  if (unknown.length > 0) {
+    res.status(400).json({
+      message: `Unknown amenities: ${unknown.join(', ')}. See GET /api/amenities for the catalogue.`,
+      code: 'UNKNOWN_AMENITIES',
+      unknown
+    });
+    return null;
+  }
+
+  return amenities;
+}
 
 // Helper function to convert relative image URLs to full URLs
 function fixImageUrls(req, images) {
@@ -55,12 +145,38 @@ function safeParseJSON(jsonString, fallback = []) {
   }
 }
 
-// Apply authentication to all owner routes
-router.use(authenticateToken);
-router.use(requireOwner);
+// Check the current user's access to a spot. Sends the error response and returns null
+// when the spot doesn't exist, isn't accessible or the capability is missing.
+async function checkSpotCapability(req, res, spotId, capability, notFoundMessage) {
+  const access = await getSpotAccess(req.prisma, req.user.userId, spotId);
+
+  if (!access) {
+    res.status(404).json({
+      message: notFoundMessage
+    });
+    return null;
+  }
+
+  if (!hasCapability(access, capability)) {
+    res.status(403).json({
+      message: 'Your role on this spot does not allow this action',
+      code: 'CAPABILITY_REQUIRED',
+      requiredCapability: capability,
+      role: access.role
+    });
+    return null;
+  }
+
+  return access;
+}
+
+// Apply authentication to all owner routes (user tokens or owner API keys).
+// Co-hosts and staff use the same routes, limited to the spots and capabilities of their memberships.
+router.use(authenticateTokenOrApiKey);
+router.use(requireOwnerOrStaff);
 
-/* 🆕 FIXED: GET /api/owners/spots - Get all camping spots owned by the current user */
-router.get('/spots', async function(req, res, next) {
+/* 🆕 FIXED: GET /api/owners/spots - Get all camping spots the current user owns or works on */
+router.get('/spots', requireScope('read:spots'), async function(req, res, next) {
   try {
     const { status, search, page = 1, limit = 20 } = req.query;
 
@@ -69,8 +185,13 @@ router.get('/spots', async function(req, res, next) {
     const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
     const skip = (pageNum - 1) * limitNum;
 
+    const accessMap = await getSpotAccessMap(req.prisma, req.user.userId);
+    const spotIds = [...accessMap.values()]
+      .filter(access => hasCapability(access, 'spot.view'))
+      .map(access => access.spotId);
+
     // Build filter
-    const where = { ownerId: req.user.userId };
+    const where = { id: { in: spotIds } };
     
     if (status !== undefined) {
       where.isActive = status === 'active';
@@ -125,7 +246,11 @@ router.get('/spots', async function(req, res, next) {
         amenities: safeParseJSON(spot.amenities, []), // 🆕 FIXED: Safe JSON parsing
         averageRating: Math.round(avgRating * 10) / 10,
         totalReviews: spot.reviews.length,
-        totalBookings: spot._count.bookings
+        totalBookings: spot._count.bookings,
+        access: {
+          role: accessMap.get(spot.id).role,
+          capabilities: accessMap.get(spot.id).capabilities
+        }
       };
     });
 
@@ -152,7 +277,7 @@ router.get('/spots', async function(req, res, next) {
 });
 
 /* POST /api/owners/spots - Create a new camping spot */
-router.post('/spots', async function(req, res, next) {
+router.post('/spots', requireOwner, requireScope('write:spots'), async function(req, res, next) {
   try {
     const {
       title,
@@ -192,6 +317,17 @@ router.post('/spots', async function(req, res, next) {
       });
     }
 
+    const amenityResult = await resolveSpotAmenities(req, res, amenities);
+    if (!amenityResult) return;
+
+    const pitchInput = parsePitchInput(req.body);
+    if (pitchInput.error) {
+      return res.status(400).json({
+        message: pitchInput.error,
+        code: 'INVALID_PITCH'
+      });
+    }
+
     // Fix image URLs before saving to database
     const fixedImages = fixImageUrls(req, images);
 
@@ -213,7 +349,8 @@ router.post('/spots', async function(req, res, next) {
     if (country) spotData.country = country.trim();
     if (zipCode) spotData.zipCode = zipCode.trim();
     if (rules) spotData.rules = rules.trim();
-    if (amenities) spotData.amenities = amenities;
+    spotData.amenities = getAmenityMirror(amenityResult);
+    Object.assign(spotData, pitchInput.data);
     if (fixedImages) spotData.images = fixedImages; // Use fixed URLs
     if (latitude) spotData.latitude = parseFloat(latitude);
     if (longitude) spotData.longitude = parseFloat(longitude);
@@ -231,6 +368,9 @@ router.post('/spots', async function(req, res, next) {
       }
     });
 
+    await linkSpotAmenities(req.prisma, newSpot.id, amenityResult);
+    await indexSpot(req.prisma, newSpot);
+
     console.log(`🏕️ New camping spot created by owner ${req.user.userId}: ${title}`);
 
     res.status(201).json({
@@ -253,7 +393,7 @@ router.post('/spots', async function(req, res, next) {
 });
 
 /* PUT /api/owners/spots/:id - Update a camping spot */
-router.put('/spots/:id', async function(req, res, next) {
+router.put('/spots/:id', requireScope('write:spots'), async function(req, res, next) {
   try {
     const spotId = parseInt(req.params.id);
     
@@ -263,19 +403,10 @@ router.put('/spots/:id', async function(req, res, next) {
       });
     }
 
-    // Check if spot exists and belongs to the owner
-    const existingSpot = await req.prisma.campingSpot.findFirst({
-      where: {
-        id: spotId,
-        ownerId: req.user.userId
-      }
-    });
-
-    if (!existingSpot) {
-      return res.status(404).json({
-        message: 'Camping spot not found or you do not have permission to edit it'
-      });
-    }
+    // Check if spot exists and the user may edit it
+    const access = await checkSpotCapability(req, res, spotId, 'spot.edit',
+      'Camping spot not found or you do not have permission to edit it');
+    if (!access) return;
 
     const {
       title,
@@ -328,7 +459,21 @@ router.put('/spots/:id', async function(req, res, next) {
       updateData.capacity = parseInt(capacity);
     }
     
-    if (amenities !== undefined) updateData.amenities = amenities;
+    let amenityResult;
+    if (amenities !== undefined) {
+      amenityResult = await resolveSpotAmenities(req, res, amenities);
+      if (!amenityResult) return;
+      updateData.amenities = getAmenityMirror(amenityResult);
+    }
+
+    const pitchInput = parsePitchInput(req.body);
+    if (pitchInput.error) {
+      return res.status(400).json({
+        message: pitchInput.error,
+        code: 'INVALID_PITCH'
+      });
+    }
+    Object.assign(updateData, pitchInput.data);
     
     // Fix image URLs if images are being updated
     if (images !== undefined) {
@@ -337,9 +482,21 @@ router.put('/spots/:id', async function(req, res, next) {
     
     if (latitude !== undefined) updateData.latitude = latitude ? parseFloat(latitude) : null;
     if (longitude !== undefined) updateData.longitude = longitude ? parseFloat(longitude) : null;
-    if (isActive !== undefined) updateData.isActive = Boolean(isActive);
     if (isInstantBook !== undefined) updateData.isInstantBook = Boolean(isInstantBook);
 
+    // Deactivating a listing is the same as deleting it
+    if (isActive !== undefined) {
+      if (!hasCapability(access, 'spot.delete')) {
+        return res.status(403).json({
+          message: 'Your role on this spot does not allow activating or deactivating it',
+          code: 'CAPABILITY_REQUIRED',
+          requiredCapability: 'spot.delete',
+          role: access.role
+        });
+      }
+      updateData.isActive = Boolean(isActive);
+    }
+
     if (Object.keys(updateData).length === 0) {
       return res.status(400).json({
         message: 'No valid fields provided for update'
@@ -353,7 +510,12 @@ router.put('/spots/:id', async function(req, res, next) {
       data: updateData
     });
 
-    console.log(`🏕️ Camping spot updated by owner ${req.user.userId}: ${updatedSpot.title}`);
+    if (amenityResult) {
+      await linkSpotAmenities(req.prisma, updatedSpot.id, amenityResult);
+    }
+    await indexSpot(req.prisma, updatedSpot);
+
+    console.log(`🏕️ Camping spot updated by ${access.role.toLowerCase()} ${req.user.userId}: ${updatedSpot.title}`);
 
     res.json({
       message: 'Camping spot updated successfully',
@@ -375,7 +537,7 @@ router.put('/spots/:id', async function(req, res, next) {
 });
 
 /* DELETE /api/owners/spots/:id - Delete a camping spot */
-router.delete('/spots/:id', async function(req, res, next) {
+router.delete('/spots/:id', requireScope('write:spots'), async function(req, res, next) {
   try {
     const spotId = parseInt(req.params.id);
     
@@ -385,19 +547,10 @@ router.delete('/spots/:id', async function(req, res, next) {
       });
     }
 
-    // Check if spot exists and belongs to the owner
-    const existingSpot = await req.prisma.campingSpot.findFirst({
-      where: {
-        id: spotId,
-        ownerId: req.user.userId
-      }
-    });
-
-    if (!existingSpot) {
-      return res.status(404).json({
-        message: 'Camping spot not found or you do not have permission to delete it'
-      });
-    }
+    // Check if spot exists and the user may delete it
+    const access = await checkSpotCapability(req, res, spotId, 'spot.delete',
+      'Camping spot not found or you do not have permission to delete it');
+    if (!access) return;
 
     // Check if there are active bookings
     const activeBookings = await req.prisma.booking.findMany({
@@ -440,21 +593,25 @@ router.delete('/spots/:id', async function(req, res, next) {
   }
 });
 
-/* 🆕 FIXED: GET /api/owners/bookings - Get all bookings for owner's spots */
-router.get('/bookings', async function(req, res, next) {
+/* 🆕 FIXED: GET /api/owners/bookings - Get all bookings for the spots the user owns or works on */
+router.get('/bookings', requireScope('read:bookings'), async function(req, res, next) {
   try {
-    const { status, paymentStatus, page = 1, limit = 20 } = req.query;
+    const { status, paymentStatus, spotId, page = 1, limit = 20 } = req.query;
 
     // Pagination
     const pageNum = Math.max(1, parseInt(page));
     const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
     const skip = (pageNum - 1) * limitNum;
 
+    let spotIds = await getSpotIdsWithCapability(req.prisma, req.user.userId, 'bookings.view');
+
+    if (spotId !== undefined) {
+      spotIds = spotIds.filter(id => id === parseInt(spotId));
+    }
+
     // Build filter
     const where = {
-      spot: {
-        ownerId: req.user.userId
-      }
+      spotId: { in: spotIds }
     };
 
     if (status) {
@@ -496,6 +653,12 @@ router.get('/bookings', async function(req, res, next) {
               price: true,
               images: true // Include images to test parsing
             }
+          },
+          unit: {
+            select: {
+              id: true,
+              name: true
+            }
           }
         },
         orderBy: {
@@ -547,7 +710,7 @@ router.get('/bookings', async function(req, res, next) {
 });
 
 /* PUT /api/owners/bookings/:id - Update booking status (approve/reject) */
-router.put('/bookings/:id', async function(req, res, next) {
+router.put('/bookings/:id', requireScope('write:bookings'), async function(req, res, next) {
   try {
     const bookingId = parseInt(req.params.id);
     const { status, notes } = req.body;
@@ -566,13 +729,10 @@ router.put('/bookings/:id', async function(req, res, next) {
       });
     }
     
-    // Find booking and verify ownership
-    const booking = await req.prisma.booking.findFirst({
+    // Find booking and verify the user may manage bookings of its spot
+    const booking = await req.prisma.booking.findUnique({
       where: {
-        id: bookingId,
-        spot: {
-          ownerId: req.user.userId
-        }
+        id: bookingId
       },
       include: {
         spot: {
@@ -597,6 +757,10 @@ router.put('/bookings/:id', async function(req, res, next) {
       });
     }
 
+    const access = await checkSpotCapability(req, res, booking.spotId, 'bookings.manage',
+      'Booking not found or you do not have permission to modify it');
+    if (!access) return;
+
     if (booking.status !== 'PENDING') {
       return res.status(400).json({
         message: 'Only pending bookings can be approved or rejected'
@@ -652,9 +816,9 @@ router.put('/bookings/:id', async function(req, res, next) {
 });
 
 /* GET /api/owners/dashboard - Owner dashboard stats */
-router.get('/dashboard', async function(req, res, next) {
+router.get('/dashboard', requireScope('read:dashboard'), async function(req, res, next) {
   try {
-    const ownerId = req.user.userId;
+    const spotIds = await getSpotIdsWithCapability(req.prisma, req.user.userId, 'dashboard.view');
 
     // Get owner statistics
     const [
@@ -667,32 +831,32 @@ router.get('/dashboard', async function(req, res, next) {
       recentBookings
     ] = await Promise.all([
       req.prisma.campingSpot.count({
-        where: { ownerId }
+        where: { id: { in: spotIds } }
       }),
       req.prisma.campingSpot.count({
-        where: { ownerId, isActive: true }
+        where: { id: { in: spotIds }, isActive: true }
       }),
       req.prisma.booking.count({
         where: {
-          spot: { ownerId }
+          spotId: { in: spotIds }
         }
       }),
       req.prisma.booking.count({
         where: {
-          spot: { ownerId },
+          spotId: { in: spotIds },
           status: 'PENDING'
         }
       }),
       req.prisma.booking.count({
         where: {
-          spot: { ownerId },
+          spotId: { in: spotIds },
           status: 'CONFIRMED'
         }
       }),
       req.prisma.booking.aggregate({
         _sum: { totalPrice: true },
         where: {
-          spot: { ownerId },
+          spotId: { in: spotIds },
           status: 'CONFIRMED',
           paymentStatus: 'PAID'
         }
@@ -700,7 +864,7 @@ router.get('/dashboard', async function(req, res, next) {
       req.prisma.booking.findMany({
         take: 5,
         where: {
-          spot: { ownerId }
+          spotId: { in: spotIds }
         },
         include: {
           user: {
@@ -754,4 +918,1397 @@ router.get('/dashboard', async function(req, res, next) {
   }
 });
 
+/* ===== API KEYS ===== */
+
+const apiKeySelect = {
+  id: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  rateLimitPerMinute: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  lastUsedIp: true,
+  revokedAt: true,
+  createdAt: true
+};
+
+/* GET /api/owners/api-keys - List the owner's API keys */
+router.get('/api-keys', rejectApiKey, requireOwner, async function(req, res, next) {
+  try {
+    const apiKeys = await req.prisma.apiKey.findMany({
+      where: { userId: req.user.userId },
+      select: apiKeySelect,
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({
+      message: 'API keys retrieved successfully',
+      apiKeys: apiKeys.map(apiKey => ({
+        ...apiKey,
+        status: getKeyStatus(apiKey)
+      })),
+      availableScopes: API_KEY_SCOPES
+    });
+
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({
+      message: 'Error fetching API keys',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* POST /api/owners/api-keys - Create an API key (the key is only shown once) */
+router.post('/api-keys', rejectApiKey, requireOwner, denyImpersonation, async function(req, res, next) {
+  try {
+    const {
+      name,
+      scopes,
+      rateLimitPerMinute = DEFAULT_RATE_LIMIT_PER_MINUTE,
+      expiresInDays
+    } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({
+        message: 'API key name is required'
+      });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        message: 'At least one scope is required',
+        availableScopes: Object.keys(API_KEY_SCOPES)
+      });
+    }
+
+    const invalidScopes = getInvalidScopes(scopes);
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({
+        message: `Invalid scopes: ${invalidScopes.join(', ')}`,
+        availableScopes: Object.keys(API_KEY_SCOPES)
+      });
+    }
+
+    const rateLimit = parseInt(rateLimitPerMinute);
+    if (isNaN(rateLimit) || rateLimit < 1 || rateLimit > MAX_RATE_LIMIT_PER_MINUTE) {
+      return res.status(400).json({
+        message: `rateLimitPerMinute must be between 1 and ${MAX_RATE_LIMIT_PER_MINUTE}`
+      });
+    }
+
+    let expiresAt = null;
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      const days = parseInt(expiresInDays);
+      if (isNaN(days) || days < 1 || days > 365) {
+        return res.status(400).json({
+          message: 'expiresInDays must be between 1 and 365'
+        });
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const activeKeys = await req.prisma.apiKey.count({
+      where: { userId: req.user.userId, revokedAt: null }
+    });
+
+    if (activeKeys >= MAX_KEYS_PER_USER) {
+      return res.status(400).json({
+        message: `You can have at most ${MAX_KEYS_PER_USER} API keys. Revoke an unused key first.`
+      });
+    }
+
+    const { apiKey, key } = await createApiKey(req.prisma, req.user.userId, {
+      name: String(name).trim(),
+      scopes: [...new Set(scopes)],
+      rateLimitPerMinute: rateLimit,
+      expiresAt
+    });
+
+    console.log(`🔑 API key ${apiKey.prefix} created by owner ${req.user.userId}`);
+
+    res.status(201).json({
+      message: 'API key created. Store it securely, it will not be shown again.',
+      key,
+      apiKey: {
+        id: apiKey.id,
+        name: apiKey.name,
+        prefix: apiKey.prefix,
+        scopes: apiKey.scopes,
+        rateLimitPerMinute: apiKey.rateLimitPerMinute,
+        expiresAt: apiKey.expiresAt,
+        createdAt: apiKey.createdAt,
+        status: getKeyStatus(apiKey)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({
+      message: 'Error creating API key',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* DELETE /api/owners/api-keys/:id - Revoke an API key */
+router.delete('/api-keys/:id', rejectApiKey, requireOwner, denyImpersonation, async function(req, res, next) {
+  try {
+    const apiKeyId = parseInt(req.params.id);
+
+    if (isNaN(apiKeyId)) {
+      return res.status(400).json({
+        message: 'Invalid API key ID'
+      });
+    }
+
+    const revoked = await revokeApiKey(req.prisma, req.user.userId, apiKeyId);
+    if (!revoked) {
+      return res.status(404).json({
+        message: 'API key not found or already revoked'
+      });
+    }
+
+    res.json({
+      message: 'API key revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({
+      message: 'Error revoking API key',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* ===== TEAM MEMBERS ===== */
+
+const memberInclude = {
+  user: {
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true,
+      email: true
+    }
+  }
+};
+
+function formatMember(member) {
+  return {
+    id: member.id,
+    spotId: member.spotId,
+    role: member.role,
+    capabilities: getMemberCapabilities(member),
+    hasCustomCapabilities: Array.isArray(member.capabilities),
+    user: member.user,
+    createdAt: member.createdAt,
+    updatedAt: member.updatedAt
+  };
+}
+
+// Validate role and capabilities from the request body. Returns an error message or null.
+function validateMemberInput(role, capabilities) {
+  if (role !== undefined && !MEMBER_ROLES.includes(role)) {
+    return `Role must be one of: ${MEMBER_ROLES.join(', ')}`;
+  }
+
+  if (capabilities !== undefined && capabilities !== null) {
+    if (!Array.isArray(capabilities)) {
+      return 'Capabilities must be an array';
+    }
+
+    const invalidCapabilities = getInvalidMemberCapabilities(capabilities);
+    if (invalidCapabilities.length > 0) {
+      return `Capabilities cannot be given to team members: ${invalidCapabilities.join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+/* GET /api/owners/team/roles - Team roles and the capabilities they grant */
+router.get('/team/roles', function(req, res, next) {
+  res.json({
+    message: 'Team roles retrieved successfully',
+    roles: ROLE_CAPABILITIES,
+    capabilities: SPOT_CAPABILITIES
+  });
+});
+
+/* GET /api/owners/spots/:id/members - List the team members of a spot */
+router.get('/spots/:id/members', rejectApiKey, async function(req, res, next) {
+  try {
+    const spotId = parseInt(req.params.id);
+
+    if (isNaN(spotId)) {
+      return res.status(400).json({
+        message: 'Invalid spot ID'
+      });
+    }
+
+    const access = await checkSpotCapability(req, res, spotId, 'spot.view', 'Camping spot not found');
+    if (!access) return;
+
+    const members = await req.prisma.spotMember.findMany({
+      where: { spotId },
+      include: memberInclude,
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({
+      message: 'Team members retrieved successfully',
+      members: members.map(formatMember),
+      access: {
+        role: access.role,
+        capabilities: access.capabilities
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching team members:', error);
+    res.status(500).json({
+      message: 'Error fetching team members',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* POST /api/owners/spots/:id/members - Add a co-host or staff member to a spot */
+router.post('/spots/:id/members', rejectApiKey, async function(req, res, next) {
+  try {
+    const spotId = parseInt(req.params.id);
+    const { email, role, capabilities } = req.body;
+
+    if (isNaN(spotId)) {
+      return res.status(400).json({
+        message: 'Invalid spot ID'
+      });
+    }
+
+    if (!email || !role) {
+      return res.status(400).json({
+        message: 'Email and role are required'
+      });
+    }
+
+    const validationError = validateMemberInput(role, capabilities);
+    if (validationError) {
+      return res.status(400).json({
+        message: validationError
+      });
+    }
+
+    const access = await checkSpotCapability(req, res, spotId, 'members.manage', 'Camping spot not found');
+    if (!access) return;
+
+    const user = await req.prisma.user.findFirst({
+      where: { email: { equals: email.toLowerCase().trim() } },
+      select: { id: true, isActive: true }
+    });
+
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        message: 'No active user found with this email. They need to register first.'
+      });
+    }
+
+    const spot = await req.prisma.campingSpot.findUnique({
+      where: { id: spotId },
+      select: { ownerId: true }
+    });
+
+    if (spot.ownerId === user.id) {
+      return res.status(400).json({
+        message: 'The spot owner cannot be added as a team member'
+      });
+    }
+
+    const existing = await req.prisma.spotMember.findUnique({
+      where: { spotId_userId: { spotId, userId: user.id } }
+    });
+
+    if (existing) {
+      return res.status(409).json({
+        message: 'This user is already a team member of this spot'
+      });
+    }
+
+    const member = await req.prisma.spotMember.create({
+      data: {
+        spotId,
+        userId: user.id,
+        role,
+        capabilities: Array.isArray(capabilities) ? capabilities : undefined,
+        addedById: req.user.userId
+      },
+      include: memberInclude
+    });
+
+    console.log(`👥 ${role} ${user.id} added to spot ${spotId} by ${req.user.userId}`);
+
+    res.status(201).json({
+      message: 'Team member added successfully',
+      member: formatMember(member)
+    });
+
+  } catch (error) {
+    console.error('Error adding team member:', error);
+    res.status(500).json({
+      message: 'Error adding team member',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* PUT /api/owners/spots/:id/members/:memberId - Change a team member's role or capabilities */
+router.put('/spots/:id/members/:memberId', rejectApiKey, async function(req, res, next) {
+  try {
+    const spotId = parseInt(req.params.id);
+    const memberId = parseInt(req.params.memberId);
+    const { role, capabilities } = req.body;
+
+    if (isNaN(spotId) || isNaN(memberId)) {
+      return res.status(400).json({
+        message: 'Invalid spot or member ID'
+      });
+    }
+
+    if (role === undefined && capabilities === undefined) {
+      return res.status(400).json({
+        message: 'Role or capabilities are required'
+      });
+    }
+
+    const validationError = validateMemberInput(role, capabilities);
+    if (validationError) {
+      return res.status(400).json({
+        message: validationError
+      });
+    }
+
+    const access = await checkSpotCapability(req, res, spotId, 'members.manage', 'Camping spot not found');
+    if (!access) return;
+
+    const member = await req.prisma.spotMember.findFirst({
+      where: { id: memberId, spotId }
+    });
+
+    if (!member) {
+      return res.status(404).json({
+        message: 'Team member not found'
+      });
+    }
+
+    const updateData = {};
+    if (role !== undefined) updateData.role = role;
+    // null resets the member to the role's default capabilities
+    if (capabilities !== undefined) updateData.capabilities = capabilities === null ? Prisma.DbNull : capabilities;
+
+    const updatedMember = await req.prisma.spotMember.update({
+      where: { id: memberId },
+      data: updateData,
+      include: memberInclude
+    });
+
+    res.json({
+      message: 'Team member updated successfully',
+      member: formatMember(updatedMember)
+    });
+
+  } catch (error) {
+    console.error('Error updating team member:', error);
+    res.status(500).json({
+      message: 'Error updating team member',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* DELETE /api/owners/spots/:id/members/:memberId - Remove a team member (members can also remove themselves) */
+router.delete('/spots/:id/members/:memberId', rejectApiKey, async function(req, res, next) {
+  try {
+    const spotId = parseInt(req.params.id);
+    const memberId = parseInt(req.params.memberId);
+
+    if (isNaN(spotId) || isNaN(memberId)) {
+      return res.status(400).json({
+        message: 'Invalid spot or member ID'
+      });
+    }
+
+    const member = await req.prisma.spotMember.findFirst({
+      where: { id: memberId, spotId }
+    });
+
+    if (!member || member.userId !== req.user.userId) {
+      const access = await checkSpotCapability(req, res, spotId, 'members.manage', 'Camping spot not found');
+      if (!access) return;
+    }
+
+    if (!member) {
+      return res.status(404).json({
+        message: 'Team member not found'
+      });
+    }
+
+    await req.prisma.spotMember.delete({
+      where: { id: memberId }
+    });
+
+    res.json({
+      message: 'Team member removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Error removing team member:', error);
+    res.status(500).json({
+      message: 'Error removing team member',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* ===== PRICING RULES ===== */
+
+const PRICING_RULE_FIELDS = [
+  'name', 'type', 'startDate', 'endDate', 'daysOfWeek', 'holidayCalendar',
+  'nightlyPrice', 'adjustmentPercent', 'priority', 'isActive'
+];
+
+// Helper function to copy the pricing rule fields present in a request body (numbers may be sent as strings)
+function pickPricingRuleInput(body) {
+  const input = {};
+  PRICING_RULE_FIELDS.forEach(field => {
+    if (body[field] === undefined) return;
+
+    const value = body[field];
+    if (['nightlyPrice', 'adjustmentPercent', 'priority'].includes(field) && value !== null && value !== '') {
+      input[field] = Number(value);
+    } else {
+      input[field] = value === '' ? null : value;
+    }
+  });
+  return input;
+}
+
+// Helper function to turn null JSON fields into Prisma.DbNull (Prisma rejects a plain null for Json columns)
+function withDbNulls(data, fields) {
+  const result = { ...data };
+  fields.forEach(field => {
+    if (result[field] === null) result[field] = Prisma.DbNull;
+  });
+  return result;
+}
+
+// Helper function to parse the :id and :ruleId route parameters; sends a 400 and returns null if invalid
+function parsePricingParams(req, res) {
+  const spotId = parseInt(req.params.id);
+  const ruleId = req.params.ruleId === undefined ? null : parseInt(req.params.ruleId);
+
+  if (isNaN(spotId) || Number.isNaN(ruleId)) {
+    res.status(400).json({
+      message: 'Invalid spot or pricing rule ID'
+    });
+    return null;
+  }
+
+  return { spotId, ruleId };
+}
+
+/* GET /api/owners/spots/:id/pricing - Base price and pricing rules of a spot */
+router.get('/spots/:id/pricing', requireScope('read:spots'), async function(req, res, next) {
+  try {
+    const params = parsePricingParams(req, res);
+    if (!params) return;
+
+    const access = await checkSpotCapability(req, res, params.spotId, 'spot.view', 'Camping spot not found');
+    if (!access) return;
+
+    const [spot, rules] = await Promise.all([
+      req.prisma.campingSpot.findUnique({
+        where: { id: params.spotId },
+        select: { price: true }
+      }),
+      req.prisma.spotPricingRule.findMany({
+        where: { spotId: params.spotId },
+        orderBy: [{ priority: 'desc' }, { createdAt: 'asc' }]
+      })
+    ]);
+
+    res.json({
+      message: 'Pricing retrieved successfully',
+      basePrice: parseFloat(spot.price),
+      rules: rules.map(formatPricingRule),
+      ruleTypes: PRICING_RULE_TYPES,
+      holidayCalendars: listHolidayCalendars()
+    });
+
+  } catch (error) {
+    console.error('Error fetching pricing rules:', error);
+    res.status(500).json({
+      message: 'Error fetching pricing rules',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* GET /api/owners/spots/:id/pricing/preview?checkIn=&checkOut= - Nightly prices for a stay */
+router.get('/spots/:id/pricing/preview', requireScope('read:spots'), async function(req, res, next) {
+  try {
+    const params = parsePricingParams(req, res);
+    if (!params) return;
+
+    const { checkIn, checkOut } = req.query;
+    if (!isValidDateKey(checkIn) || !isValidDateKey(checkOut) || checkOut <= checkIn) {
+      return res.status(400).json({
+        message: 'checkIn and checkOut must be dates in YYYY-MM-DD format, with checkOut after checkIn'
+      });
+    }
+
+    const checkInDate = new Date(`${checkIn}T00:00:00`);
+    const checkOutDate = new Date(`${checkOut}T00:00:00`);
+    if ((checkOutDate - checkInDate) / (1000 * 60 * 60 * 24) > 366) {
+      return res.status(400).json({
+        message: 'The preview is limited to 366 nights'
+      });
+    }
+
+    const access = await checkSpotCapability(req, res, params.spotId, 'spot.view', 'Camping spot not found');
+    if (!access) return;
+
+    const [spot, rules] = await Promise.all([
+      req.prisma.campingSpot.findUnique({
+        where: { id: params.spotId },
+        select: { price: true }
+      }),
+      getActivePricingRules(req.prisma, params.spotId)
+    ]);
+
+    res.json({
+      message: 'Pricing preview calculated successfully',
+      basePrice: parseFloat(spot.price),
+      ...quoteStay(spot, rules, checkInDate, checkOutDate)
+    });
+
+  } catch (error) {
+    console.error('Error previewing pricing:', error);
+    res.status(500).json({
+      message: 'Error previewing pricing',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* POST /api/owners/spots/:id/pricing - Add a pricing rule */
+router.post('/spots/:id/pricing', requireScope('write:spots'), async function(req, res, next) {
+  try {
+    const params = parsePricingParams(req, res);
+    if (!params) return;
+
+    const rule = {
+      startDate: null,
+      endDate: null,
+      priority: 0,
+      isActive: true,
+      ...pickPricingRuleInput(req.body)
+    };
+
+    const validationError = getPricingRuleError(rule);
+    if (validationError) {
+      return res.status(400).json({
+        message: validationError
+      });
+    }
+
+    const access = await checkSpotCapability(req, res, params.spotId, 'spot.edit', 'Camping spot not found');
+    if (!access) return;
+
+    const createdRule = await req.prisma.spotPricingRule.create({
+      data: {
+        spotId: params.spotId,
+        ...withDbNulls(toPricingRuleData(rule), ['daysOfWeek'])
+      }
+    });
+
+    console.log(`💶 Pricing rule ${createdRule.id} (${createdRule.type}) added to spot ${params.spotId} by ${req.user.userId}`);
+
+    res.status(201).json({
+      message: 'Pricing rule created successfully',
+      rule: formatPricingRule(createdRule)
+    });
+
+  } catch (error) {
+    console.error('Error creating pricing rule:', error);
+    res.status(500).json({
+      message: 'Error creating pricing rule',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* PUT /api/owners/spots/:id/pricing/:ruleId - Update a pricing rule */
+router.put('/spots/:id/pricing/:ruleId', requireScope('write:spots'), async function(req, res, next) {
+  try {
+    const params = parsePricingParams(req, res);
+    if (!params) return;
+
+    const access = await checkSpotCapability(req, res, params.spotId, 'spot.edit', 'Camping spot not found');
+    if (!access) return;
+
+    const existingRule = await req.prisma.spotPricingRule.findFirst({
+      where: { id: params.ruleId, spotId: params.spotId }
+    });
+
+    if (!existingRule) {
+      return res.status(404).json({
+        message: 'Pricing rule not found'
+      });
+    }
+
+    const input = pickPricingRuleInput(req.body);
+
+    // Switching between a fixed price and a percentage replaces the other one
+    const current = formatPricingRule(existingRule);
+    if (input.nightlyPrice !== undefined && input.nightlyPrice !== null) current.adjustmentPercent = null;
+    if (input.adjustmentPercent !== undefined && input.adjustmentPercent !== null) current.nightlyPrice = null;
+
+    const rule = { ...current, ...input };
+
+    const validationError = getPricingRuleError(rule);
+    if (validationError) {
+      return res.status(400).json({
+        message: validationError
+      });
+    }
+
+    const updatedRule = await req.prisma.spotPricingRule.update({
+      where: { id: params.ruleId },
+      data: withDbNulls(toPricingRuleData(rule), ['daysOfWeek'])
+    });
+
+    res.json({
+      message: 'Pricing rule updated successfully',
+      rule: formatPricingRule(updatedRule)
+    });
+
+  } catch (error) {
+    console.error('Error updating pricing rule:', error);
+    res.status(500).json({
+      message: 'Error updating pricing rule',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* DELETE /api/owners/spots/:id/pricing/:ruleId - Delete a pricing rule */
+router.delete('/spots/:id/pricing/:ruleId', requireScope('write:spots'), async function(req, res, next) {
+  try {
+    const params = parsePricingParams(req, res);
+    if (!params) return;
+
+    const access = await checkSpotCapability(req, res, params.spotId, 'spot.edit', 'Camping spot not found');
+    if (!access) return;
+
+    const result = await req.prisma.spotPricingRule.deleteMany({
+      where: { id: params.ruleId, spotId: params.spotId }
+    });
+
+    if (result.count === 0) {
+      return res.status(404).json({
+        message: 'Pricing rule not found'
+      });
+    }
+
+    res.json({
+      message: 'Pricing rule deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting pricing rule:', error);
+    res.status(500).json({
+      message: 'Error deleting pricing rule',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* ===== BLOCKED DATES ===== */
+
+const BLOCK_FIELDS = ['startDate', 'endDate', 'reason', 'note', 'recurrence', 'recurrenceUntil'];
+
+// Helper function to copy the block fields present in a request body
+function pickBlockInput(body) {
+  const input = {};
+  BLOCK_FIELDS.forEach(field => {
+    if (body[field] === undefined) return;
+    input[field] = body[field] === '' ? null : body[field];
+  });
+  return input;
+}
+
+// Helper function to parse the :id and :blockId route parameters; sends a 400 and returns null if invalid
+function parseBlockParams(req, res) {
+  const spotId = parseInt(req.params.id);
+  const blockId = req.params.blockId === undefined ? null : parseInt(req.params.blockId);
+
+  if (isNaN(spotId) || Number.isNaN(blockId)) {
+    res.status(400).json({
+      message: 'Invalid spot or block ID'
+    });
+    return null;
+  }
+
+  return { spotId, blockId };
+}
+
+// Helper function to find the upcoming bookings with a night covered by a block (Prisma data)
+async function findBookingsInBlock(prisma, spotId, blockData) {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  const where = {
+    spotId,
+    status: { in: BLOCKING_BOOKING_STATUSES },
+    checkOut: { gt: today }
+  };
+  if (blockData.recurrence === 'NONE') {
+    // A booking night starts at local midnight, the block dates are UTC: allow a day of slack
+    where.checkIn = { lte: new Date(blockData.endDate.getTime() + 24 * 60 * 60 * 1000) };
+  }
+
+  const bookings = await prisma.booking.findMany({
+    where,
+    select: { id: true, checkIn: true, checkOut: true, status: true }
+  });
+
+  return bookings.filter(booking =>
+    getNightKeys(booking.checkIn, booking.checkOut).some(date => isNightBlocked(blockData, date))
+  );
+}
+
+// Helper function to validate a block and check it against the upcoming bookings.
+// Sends a 400 or 409 and returns null if the block cannot be saved.
+async function prepareBlockData(req, res, spotId, block) {
+  const validationError = getBlockError(block);
+  if (validationError) {
+    res.status(400).json({
+      message: validationError
+    });
+    return null;
+  }
+
+  const data = toBlockData(block);
+  const conflicts = await findBookingsInBlock(req.prisma, spotId, data);
+  if (conflicts.length > 0) {
+    res.status(409).json({
+      message: 'These dates include nights that are already booked. Cancel or move the bookings first.',
+      code: 'BLOCK_CONFLICTS_WITH_BOOKINGS',
+      conflictingBookings: conflicts.map(booking => ({
+        id: booking.id,
+        checkIn: booking.checkIn,
+        checkOut: booking.checkOut,
+        status: booking.status
+      }))
+    });
+    return null;
+  }
+
+  return data;
+}
+
+/* GET /api/owners/spots/:id/blocks - Blocked dates of a spot */
+router.get('/spots/:id/blocks', requireScope('read:spots'), async function(req, res, next) {
+  try {
+    const params = parseBlockParams(req, res);
+    if (!params) return;
+
+    const access = await checkSpotCapability(req, res, params.spotId, 'spot.view', 'Camping spot not found');
+    if (!access) return;
+
+    const blocks = await req.prisma.spotBlock.findMany({
+      where: { spotId: params.spotId },
+      orderBy: [{ startDate: 'asc' }, { id: 'asc' }]
+    });
+
+    res.json({
+      message: 'Blocked dates retrieved successfully',
+      blocks: blocks.map(formatBlock),
+      reasons: BLOCK_REASONS,
+      recurrences: BLOCK_RECURRENCES
+    });
+
+  } catch (error) {
+    console.error('Error fetching blocked dates:', error);
+    res.status(500).json({
+      message: 'Error fetching blocked dates',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* POST /api/owners/spots/:id/blocks - Block dates */
+router.post('/spots/:id/blocks', requireScope('write:spots'), async function(req, res, next) {
+  try {
+    const params = parseBlockParams(req, res);
+    if (!params) return;
+
+    const access = await checkSpotCapability(req, res, params.spotId, 'spot.edit', 'Camping spot not found');
+    if (!access) return;
+
+    const block = {
+      reason: 'OTHER',
+      recurrence: 'NONE',
+      ...pickBlockInput(req.body)
+    };
+
+    const data = await prepareBlockData(req, res, params.spotId, block);
+    if (!data) return;
+
+    const createdBlock = await req.prisma.spotBlock.create({
+      data: {
+        spotId: params.spotId,
+        createdById: req.user.userId,
+        ...data
+      }
+    });
+
+    console.log(`🚧 Dates ${block.startDate} to ${block.endDate} (${createdBlock.recurrence}) blocked on spot ${params.spotId} by ${req.user.userId}`);
+
+    res.status(201).json({
+      message: 'Dates blocked successfully',
+      block: formatBlock(createdBlock)
+    });
+
+  } catch (error) {
+    console.error('Error creating block:', error);
+    res.status(500).json({
+      message: 'Error creating block',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* PUT /api/owners/spots/:id/blocks/:blockId - Update blocked dates */
+router.put('/spots/:id/blocks/:blockId', requireScope('write:spots'), async function(req, res, next) {
+  try {
+    const params = parseBlockParams(req, res);
+    if (!params) return;
+
+    const access = await checkSpotCapability(req, res, params.spotId, 'spot.edit', 'Camping spot not found');
+    if (!access) return;
+
+    const existingBlock = await req.prisma.spotBlock.findFirst({
+      where: { id: params.blockId, spotId: params.spotId }
+    });
+
+    if (!existingBlock) {
+      return res.status(404).json({
+        message: 'Block not found'
+      });
+    }
+
+    const input = pickBlockInput(req.body);
+
+    // Ending the recurrence also drops its end date
+    const current = formatBlock(existingBlock);
+    if (input.recurrence === 'NONE' && input.recurrenceUntil === undefined) current.recurrenceUntil = null;
+
+    const block = { ...current, ...input };
+
+    const data = await prepareBlockData(req, res, params.spotId, block);
+    if (!data) return;
+
+    const updatedBlock = await req.prisma.spotBlock.update({
+      where: { id: params.blockId },
+      data
+    });
+
+    res.json({
+      message: 'Blocked dates updated successfully',
+      block: formatBlock(updatedBlock)
+    });
+
+  } catch (error) {
+    console.error('Error updating block:', error);
+    res.status(500).json({
+      message: 'Error updating block',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* DELETE /api/owners/spots/:id/blocks/:blockId - Unblock dates */
+router.delete('/spots/:id/blocks/:blockId', requireScope('write:spots'), async function(req, res, next) {
+  try {
+    const params = parseBlockParams(req, res);
+    if (!params) return;
+
+    const access = await checkSpotCapability(req, res, params.spotId, 'spot.edit', 'Camping spot not found');
+    if (!access) return;
+
+    const result = await req.prisma.spotBlock.deleteMany({
+      where: { id: params.blockId, spotId: params.spotId }
+    });
+
+    if (result.count === 0) {
+      return res.status(404).json({
+        message: 'Block not found'
+      });
+    }
+
+    res.json({
+      message: 'Blocked dates removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting block:', error);
+    res.status(500).json({
+      message: 'Error deleting block',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* ===== STAY RULES ===== */
+
+const STAY_RULE_FIELDS = [
+  'name', 'startDate', 'endDate', 'daysOfWeek', 'minNights', 'maxNights', 'checkInDays',
+  'checkOutDays', 'minAdvanceDays', 'maxAdvanceDays', 'priority', 'isActive'
+];
+const STAY_RULE_NUMBER_FIELDS = ['minNights', 'maxNights', 'minAdvanceDays', 'maxAdvanceDays', 'priority'];
+const STAY_RULE_JSON_FIELDS = ['daysOfWeek', 'checkInDays', 'checkOutDays'];
+
+// Helper function to copy the stay rule fields present in a request body (numbers may be sent as strings)
+function pickStayRuleInput(body) {
+  const input = {};
+  STAY_RULE_FIELDS.forEach(field => {
+    if (body[field] === undefined) return;
+
+    const value = body[field];
+    if (STAY_RULE_NUMBER_FIELDS.includes(field) && value !== null && value !== '') {
+      input[field] = Number(value);
+    } else {
+      input[field] = value === '' ? null : value;
+    }
+  });
+  return input;
+}
+
+// Helper function to parse the :id and :ruleId route parameters; sends a 400 and returns null if invalid
+function parseStayRuleParams(req, res) {
+  const spotId = parseInt(req.params.id);
+  const ruleId = req.params.ruleId === undefined ? null : parseInt(req.params.ruleId);
+
+  if (isNaN(spotId) || Number.isNaN(ruleId)) {
+    res.status(400).json({
+      message: 'Invalid spot or stay rule ID'
+    });
+    return null;
+  }
+
+  return { spotId, ruleId };
+}
+
+/* GET /api/owners/spots/:id/stay-rules - Stay rules of a spot and the resulting defaults */
+router.get('/spots/:id/stay-rules', requireScope('read:spots'), async function(req, res, next) {
+  try {
+    const params = parseStayRuleParams(req, res);
+    if (!params) return;
+
+    const access = await checkSpotCapability(req, res, params.spotId, 'spot.view', 'Camping spot not found');
+    if (!access) return;
+
+    const rules = await req.prisma.spotStayRule.findMany({
+      where: { spotId: params.spotId },
+      orderBy: [{ priority: 'desc' }, { createdAt: 'asc' }]
+    });
+
+    res.json({
+      message: 'Stay rules retrieved successfully',
+      rules: rules.map(formatStayRule),
+      defaults: getStayRestrictions(rules, null),
+      platformDefaults: DEFAULT_STAY_RESTRICTIONS
+    });
+
+  } catch (error) {
+    console.error('Error fetching stay rules:', error);
+    res.status(500).json({
+      message: 'Error fetching stay rules',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* POST /api/owners/spots/:id/stay-rules - Add a stay rule */
+router.post('/spots/:id/stay-rules', requireScope('write:spots'), async function(req, res, next) {
+  try {
+    const params = parseStayRuleParams(req, res);
+    if (!params) return;
+
+    const rule = {
+      priority: 0,
+      isActive: true,
+      ...pickStayRuleInput(req.body)
+    };
+
+    const validationError = getStayRuleError(rule);
+    if (validationError) {
+      return res.status(400).json({
+        message: validationError
+      });
+    }
+
+    const access = await checkSpotCapability(req, res, params.spotId, 'spot.edit', 'Camping spot not found');
+    if (!access) return;
+
+    const createdRule = await req.prisma.spotStayRule.create({
+      data: {
+        spotId: params.spotId,
+        ...withDbNulls(toStayRuleData(rule), STAY_RULE_JSON_FIELDS)
+      }
+    });
+
+    console.log(`📏 Stay rule ${createdRule.id} added to spot ${params.spotId} by ${req.user.userId}`);
+
+    res.status(201).json({
+      message: 'Stay rule created successfully',
+      rule: formatStayRule(createdRule)
+    });
+
+  } catch (error) {
+    console.error('Error creating stay rule:', error);
+    res.status(500).json({
+      message: 'Error creating stay rule',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* PUT /api/owners/spots/:id/stay-rules/:ruleId - Update a stay rule */
+router.put('/spots/:id/stay-rules/:ruleId', requireScope('write:spots'), async function(req, res, next) {
+  try {
+    const params = parseStayRuleParams(req, res);
+    if (!params) return;
+
+    const access = await checkSpotCapability(req, res, params.spotId, 'spot.edit', 'Camping spot not found');
+    if (!access) return;
+
+    const existingRule = await req.prisma.spotStayRule.findFirst({
+      where: { id: params.ruleId, spotId: params.spotId }
+    });
+
+    if (!existingRule) {
+      return res.status(404).json({
+        message: 'Stay rule not found'
+      });
+    }
+
+    const rule = { ...formatStayRule(existingRule), ...pickStayRuleInput(req.body) };
+
+    const validationError = getStayRuleError(rule);
+    if (validationError) {
+      return res.status(400).json({
+        message: validationError
+      });
+    }
+
+    const updatedRule = await req.prisma.spotStayRule.update({
+      where: { id: params.ruleId },
+      data: withDbNulls(toStayRuleData(rule), STAY_RULE_JSON_FIELDS)
+    });
+
+    res.json({
+      message: 'Stay rule updated successfully',
+      rule: formatStayRule(updatedRule)
+    });
+
+  } catch (error) {
+    console.error('Error updating stay rule:', error);
+    res.status(500).json({
+      message: 'Error updating stay rule',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* DELETE /api/owners/spots/:id/stay-rules/:ruleId - Delete a stay rule */
+router.delete('/spots/:id/stay-rules/:ruleId', requireScope('write:spots'), async function(req, res, next) {
+  try {
+    const params = parseStayRuleParams(req, res);
+    if (!params) return;
+
+    const access = await checkSpotCapability(req, res, params.spotId, 'spot.edit', 'Camping spot not found');
+    if (!access) return;
+
+    const result = await req.prisma.spotStayRule.deleteMany({
+      where: { id: params.ruleId, spotId: params.spotId }
+    });
+
+    if (result.count === 0) {
+      return res.status(404).json({
+        message: 'Stay rule not found'
+      });
+    }
+
+    res.json({
+      message: 'Stay rule deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting stay rule:', error);
+    res.status(500).json({
+      message: 'Error deleting stay rule',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* ===== UNITS ===== */
+
+// Helper function to copy the unit fields present in a request body (numbers may be sent as strings)
+function pickUnitInput(body) {
+  const input = {};
+  ['name', 'quantity', 'capacity', 'price', 'isActive'].forEach(field => {
+    if (body[field] === undefined) return;
+
+    const value = body[field];
+    if (['quantity', 'capacity', 'price'].includes(field) && value !== null && value !== '') {
+      input[field] = Number(value);
+    } else {
+      input[field] = value === '' ? null : value;
+    }
+  });
+  return input;
+}
+
+// Helper function to parse the :id and :unitId route parameters; sends a 400 and returns null if invalid
+function parseUnitParams(req, res) {
+  const spotId = parseInt(req.params.id);
+  const unitId = req.params.unitId === undefined ? null : parseInt(req.params.unitId);
+
+  if (isNaN(spotId) || Number.isNaN(unitId)) {
+    res.status(400).json({
+      message: 'Invalid spot or unit ID'
+    });
+    return null;
+  }
+
+  return { spotId, unitId };
+}
+
+// Helper function to find the most units of one kind booked on any upcoming night
+async function getPeakUnitBookings(prisma, unitId) {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  const bookings = await prisma.booking.findMany({
+    where: {
+      unitId,
+      status: { in: BLOCKING_BOOKING_STATUSES },
+      checkOut: { gt: today }
+    },
+    select: { unitId: true, checkIn: true, checkOut: true }
+  });
+
+  let peak = 0;
+  countBookedNights(bookings).forEach(night => {
+    peak = Math.max(peak, night.byUnit.get(unitId) || 0);
+  });
+  return peak;
+}
+
+/* GET /api/owners/spots/:id/units - Bookable units of a spot */
+router.get('/spots/:id/units', requireScope('read:spots'), async function(req, res, next) {
+  try {
+    const params = parseUnitParams(req, res);
+    if (!params) return;
+
+    const access = await checkSpotCapability(req, res, params.spotId, 'spot.view', 'Camping spot not found');
+    if (!access) return;
+
+    const units = await req.prisma.spotUnit.findMany({
+      where: { spotId: params.spotId },
+      orderBy: { name: 'asc' }
+    });
+
+    res.json({
+      message: 'Units retrieved successfully',
+      units: units.map(formatUnit),
+      totalUnits: units.filter(unit => unit.isActive).reduce((sum, unit) => sum + unit.quantity, 0)
+    });
+
+  } catch (error) {
+    console.error('Error fetching units:', error);
+    res.status(500).json({
+      message: 'Error fetching units',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* POST /api/owners/spots/:id/units - Add a unit */
+router.post('/spots/:id/units', requireScope('write:spots'), async function(req, res, next) {
+  try {
+    const params = parseUnitParams(req, res);
+    if (!params) return;
+
+    const unit = {
+      quantity: 1,
+      price: null,
+      isActive: true,
+      ...pickUnitInput(req.body)
+    };
+
+    const validationError = getUnitError(unit);
+    if (validationError) {
+      return res.status(400).json({
+        message: validationError
+      });
+    }
+
+    const access = await checkSpotCapability(req, res, params.spotId, 'spot.edit', 'Camping spot not found');
+    if (!access) return;
+
+    const createdUnit = await req.prisma.spotUnit.create({
+      data: {
+        spotId: params.spotId,
+        ...toUnitData(unit)
+      }
+    });
+
+    console.log(`🏕️ Unit ${createdUnit.id} (${createdUnit.quantity}x ${createdUnit.name}) added to spot ${params.spotId} by ${req.user.userId}`);
+
+    res.status(201).json({
+      message: 'Unit created successfully',
+      unit: formatUnit(createdUnit)
+    });
+
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        message: 'This spot already has a unit with that name',
+        code: 'UNIT_EXISTS'
+      });
+    }
+
+    console.error('Error creating unit:', error);
+    res.status(500).json({
+      message: 'Error creating unit',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* PUT /api/owners/spots/:id/units/:unitId - Update a unit */
+router.put('/spots/:id/units/:unitId', requireScope('write:spots'), async function(req, res, next) {
+  try {
+    const params = parseUnitParams(req, res);
+    if (!params) return;
+
+    const access = await checkSpotCapability(req, res, params.spotId, 'spot.edit', 'Camping spot not found');
+    if (!access) return;
+
+    const existingUnit = await req.prisma.spotUnit.findFirst({
+      where: { id: params.unitId, spotId: params.spotId }
+    });
+
+    if (!existingUnit) {
+      return res.status(404).json({
+        message: 'Unit not found'
+      });
+    }
+
+    const unit = { ...formatUnit(existingUnit), ...pickUnitInput(req.body) };
+
+    const validationError = getUnitError(unit);
+    if (validationError) {
+      return res.status(400).json({
+        message: validationError
+      });
+    }
+
+    // Upcoming bookings keep their unit: the quantity cannot drop below what is already booked
+    if (unit.quantity < existingUnit.quantity) {
+      const peakBookings = await getPeakUnitBookings(req.prisma, params.unitId);
+      if (unit.quantity < peakBookings) {
+        return res.status(409).json({
+          message: `Up to ${peakBookings} of these units are booked on upcoming nights`,
+          code: 'UNIT_OVERBOOKED',
+          bookedUnits: peakBookings
+        });
+      }
+    }
+
+    const updatedUnit = await req.prisma.spotUnit.update({
+      where: { id: params.unitId },
+      data: toUnitData(unit)
+    });
+
+    res.json({
+      message: 'Unit updated successfully',
+      unit: formatUnit(updatedUnit)
+    });
+
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        message: 'This spot already has a unit with that name',
+        code: 'UNIT_EXISTS'
+      });
+    }
+
+    console.error('Error updating unit:', error);
+    res.status(500).json({
+      message: 'Error updating unit',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* DELETE /api/owners/spots/:id/units/:unitId - Delete a unit without upcoming bookings */
+router.delete('/spots/:id/units/:unitId', requireScope('write:spots'), async function(req, res, next) {
+  try {
+    const params = parseUnitParams(req, res);
+    if (!params) return;
+
+    const access = await checkSpotCapability(req, res, params.spotId, 'spot.edit', 'Camping spot not found');
+    if (!access) return;
+
+    const existingUnit = await req.prisma.spotUnit.findFirst({
+      where: { id: params.unitId, spotId: params.spotId }
+    });
+
+    if (!existingUnit) {
+      return res.status(404).json({
+        message: 'Unit not found'
+      });
+    }
+
+    if (await getPeakUnitBookings(req.prisma, params.unitId) > 0) {
+      return res.status(409).json({
+        message: 'This unit has upcoming bookings. Deactivate it instead (isActive: false) to stop new bookings.',
+        code: 'UNIT_HAS_BOOKINGS'
+      });
+    }
+
+    await req.prisma.spotUnit.delete({
+      where: { id: params.unitId }
+    });
+
+    res.json({
+      message: 'Unit deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting unit:', error);
+    res.status(500).json({
+      message: 'Error deleting unit',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
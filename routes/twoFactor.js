@@ -0,0 +1,438 @@
+var express = require('express');
+var router = express.Router();
+const bcrypt = require('bcryptjs');
+const { authenticateToken, denyImpersonation, createRateLimiter } = require('../middleware/auth');
+const { generateSecret, buildOtpauthUri } = require('../utils/totp');
+const {
+  encryptSecret,
+  isTwoFactorRequired,
+  verifyChallengeToken,
+  verifyTotpCode,
+  replaceRecoveryCodes,
+  verifySecondFactor
+} = require('../utils/twoFactor');
+const { issueAuthTokens } = require('../utils/tokenService');
+const { deliverAuthTokens } = require('../utils/authCookies');
+const { sanitizeUser } = require('../utils/helpers');
+const { getLoginBlock, recordLoginFailure, recordLoginSuccess } = require('../utils/loginProtection');
+const { SECURITY_EVENTS, recordSecurityEvent } = require('../utils/securityEvents');
+
+// Limit guessing of 6-digit codes
+const codeAttemptLimiter = createRateLimiter(5 * 60 * 1000, 10);
+
+// Fields needed to verify codes
+const twoFactorUserSelect = {
+  id: true,
+  email: true,
+  role: true,
+  isActive: true,
+  twoFactorEnabled: true,
+  twoFactorSecret: true,
+  twoFactorLastUsedStep: true
+};
+
+// Setup and enable accept either a normal access token or the enrollment
+// challenge returned by login when the 2FA policy requires enrollment
+const authenticateOrEnrollment = (req, res, next) => {
+  const { challengeToken } = req.body || {};
+
+  if (!challengeToken) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const decoded = verifyChallengeToken(challengeToken, '2fa-enrollment');
+    req.user = { userId: decoded.userId };
+    req.isEnrollmentChallenge = true;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      message: 'Invalid or expired challenge token. Please log in again.',
+      code: error.message
+    });
+  }
+};
+
+// Map challenge errors to responses
+function handleChallengeError(res, error) {
+  if (error.message === 'CHALLENGE_INVALID' || error.message === 'CHALLENGE_EXPIRED') {
+    res.status(401).json({
+      message: 'Invalid or expired challenge token. Please log in again.',
+      code: error.message
+    });
+    return true;
+  }
+  return false;
+}
+
+/* GET /api/auth/2fa/status - Two-factor status for the current user */
+router.get('/status', authenticateToken, async function(req, res, next) {
+  try {
+    const user = await req.prisma.user.findUnique({
+      where: { id: req.user.userId },
+      select: {
+        id: true,
+        role: true,
+        twoFactorEnabled: true,
+        twoFactorEnabledAt: true
+      }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        message: 'User not found'
+      });
+    }
+
+    const recoveryCodesRemaining = await req.prisma.twoFactorRecoveryCode.count({
+      where: { userId: user.id, usedAt: null }
+    });
+
+    res.json({
+      message: 'Two-factor status retrieved successfully',
+      twoFactor: {
+        enabled: user.twoFactorEnabled,
+        enabledAt: user.twoFactorEnabledAt,
+        required: await isTwoFactorRequired(req.prisma, user),
+        recoveryCodesRemaining
+      }
+    });
+
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    res.status(500).json({
+      message: 'Error fetching two-factor status',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* POST /api/auth/2fa/setup - Start enrollment: generate a secret and otpauth URI */
+router.post('/setup', authenticateOrEnrollment, denyImpersonation, async function(req, res, next) {
+  try {
+    const user = await req.prisma.user.findUnique({
+      where: { id: req.user.userId },
+      select: { id: true, email: true, isActive: true, twoFactorEnabled: true }
+    });
+
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        message: 'User not found'
+      });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    // The secret stays pending until a valid code is submitted to /enable
+    const secret = generateSecret();
+
+    await req.prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorSecret: encryptSecret(secret),
+        twoFactorLastUsedStep: null,
+        updatedAt: new Date()
+      }
+    });
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, accountName: user.email })
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      message: 'Error setting up two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* POST /api/auth/2fa/enable - Confirm enrollment with a code and receive recovery codes */
+router.post('/enable', codeAttemptLimiter, authenticateOrEnrollment, denyImpersonation, async function(req, res, next) {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        message: 'Verification code is required'
+      });
+    }
+
+    const user = await req.prisma.user.findUnique({
+      where: { id: req.user.userId },
+      select: twoFactorUserSelect
+    });
+
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        message: 'User not found'
+      });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({
+        message: 'Two-factor setup has not been started'
+      });
+    }
+
+    if (!await verifyTotpCode(req.prisma, user, code)) {
+      return res.status(400).json({
+        message: 'Invalid verification code',
+        code: 'INVALID_2FA_CODE'
+      });
+    }
+
+    const updatedUser = await req.prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorEnabled: true,
+        twoFactorEnabledAt: new Date(),
+        updatedAt: new Date()
+      }
+    });
+
+    const recoveryCodes = await replaceRecoveryCodes(req.prisma, user.id);
+
+    console.log(`🔐 Two-factor authentication enabled for user ${user.id}`);
+
+    const response = {
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe, they will not be shown again.',
+      recoveryCodes
+    };
+
+    // Enrollment forced at login completes the sign-in
+    if (req.isEnrollmentChallenge) {
+      const tokens = await issueAuthTokens(req.prisma, updatedUser, req);
+      Object.assign(response, deliverAuthTokens(req, res, tokens), {
+        user: sanitizeUser(updatedUser)
+      });
+
+      await recordSecurityEvent(req.prisma, req, {
+        userId: user.id,
+        type: SECURITY_EVENTS.LOGIN_SUCCESS,
+        metadata: { method: 'totp_enrollment' }
+      });
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      message: 'Error enabling two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* POST /api/auth/2fa/verify - Second login step: exchange challenge + code for tokens */
+router.post('/verify', codeAttemptLimiter, async function(req, res, next) {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        message: 'Challenge token and a verification code or recovery code are required'
+      });
+    }
+
+    const decoded = verifyChallengeToken(challengeToken, '2fa-challenge');
+
+    const user = await req.prisma.user.findUnique({
+      where: { id: decoded.userId }
+    });
+
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        message: 'Invalid or expired challenge token. Please log in again.',
+        code: 'CHALLENGE_INVALID'
+      });
+    }
+
+    // Code guesses count towards the same lockout as password failures
+    const attempt = { email: user.email, ip: req.ip };
+    const block = await getLoginBlock(req.prisma, attempt);
+    if (block.blocked) {
+      res.set('Retry-After', String(block.retryAfter));
+      return res.status(429).json({
+        message: 'Too many failed attempts. Please wait before trying again.',
+        code: block.reason,
+        retryAfter: block.retryAfter
+      });
+    }
+
+    const method = await verifySecondFactor(req.prisma, user, { code, recoveryCode });
+    if (!method) {
+      await recordLoginFailure(req.prisma, attempt);
+      await recordSecurityEvent(req.prisma, req, {
+        userId: user.id,
+        type: SECURITY_EVENTS.TWO_FACTOR_FAILED
+      });
+
+      return res.status(401).json({
+        message: 'Invalid verification code',
+        code: 'INVALID_2FA_CODE'
+      });
+    }
+
+    await recordLoginSuccess(req.prisma, attempt);
+
+    const tokens = await issueAuthTokens(req.prisma, user, req);
+
+    await recordSecurityEvent(req.prisma, req, {
+      userId: user.id,
+      type: SECURITY_EVENTS.LOGIN_SUCCESS,
+      metadata: { method }
+    });
+
+    const response = {
+      message: 'Login successful',
+      ...deliverAuthTokens(req, res, tokens),
+      user: sanitizeUser(user)
+    };
+
+    if (method === 'recovery_code') {
+      response.recoveryCodesRemaining = await req.prisma.twoFactorRecoveryCode.count({
+        where: { userId: user.id, usedAt: null }
+      });
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    if (handleChallengeError(res, error)) return;
+
+    console.error('Two-factor verify error:', error);
+    res.status(500).json({
+      message: 'Two-factor verification failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/* POST /api/auth/2fa/recovery-codes - Regenerate recovery codes */
+router.post('/recovery-codes', codeAttemptLimiter, authenticateToken, denyImpersonation, async function(req, res, next) {
+  try {
+    const { code } = req.body;
+
+    const user = await req.prisma.user.findUnique({
+      where: { id: req.user.userId },
+      select: twoFactorUserSelect
+    });
+
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!code || !await verifyTotpCode(req.prisma, user, code)) {
+      return res.status(400).json({
+        message: 'Invalid verification code',
+        code: 'INVALID_2FA_CODE'
+      });
+    }
+
+    const recoveryCodes = await replaceRecoveryCodes(req.prisma, user.id);
+
+    res.json({
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Recovery code regeneration error:', error);
+    res.status(500).json({
+      message: 'Error generating recovery codes',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* POST /api/auth/2fa/disable - Turn off two-factor authentication */
+router.post('/disable', codeAttemptLimiter, authenticateToken, denyImpersonation, async function(req, res, next) {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        message: 'Password and a verification code or recovery code are required'
+      });
+    }
+
+    const user = await req.prisma.user.findUnique({
+      where: { id: req.user.userId },
+      select: { ...twoFactorUserSelect, password: true }
+    });
+
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (await isTwoFactorRequired(req.prisma, user)) {
+      return res.status(403).json({
+        message: 'Two-factor authentication is mandatory for your role',
+        code: 'TWO_FACTOR_REQUIRED'
+      });
+    }
+
+    const isValidPassword = await bcrypt.compare(password, user.password);
+    if (!isValidPassword) {
+      return res.status(401).json({
+        message: 'Invalid password'
+      });
+    }
+
+    if (!await verifySecondFactor(req.prisma, user, { code, recoveryCode })) {
+      return res.status(400).json({
+        message: 'Invalid verification code',
+        code: 'INVALID_2FA_CODE'
+      });
+    }
+
+    await req.prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorLastUsedStep: null,
+        twoFactorEnabledAt: null,
+        updatedAt: new Date()
+      }
+    });
+
+    await req.prisma.twoFactorRecoveryCode.deleteMany({
+      where: { userId: user.id }
+    });
+
+    console.log(`🔓 Two-factor authentication disabled for user ${user.id}`);
+
+    res.json({
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      message: 'Error disabling two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
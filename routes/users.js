@@ -1,6 +1,14 @@
 var express = require('express');
 var router = express.Router();
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, denyImpersonation } = require('../middleware/auth');
+const { getResendThrottle, issueEmailVerification } = require('../utils/userTokens');
+const { SECURITY_EVENTS, recordSecurityEvent } = require('../utils/securityEvents');
+const { revokeSession, revokeOtherSessions } = require('../utils/tokenService');
+const { getProviders, createAuthorizationRequest } = require('../utils/oidc');
+const { setOidcStateCookie } = require('../utils/authCookies');
+const { invalidateAuthState, revokeUserAccess } = require('../utils/authState');
+const { endImpersonation } = require('../utils/impersonation');
+const { findRedeemableInvitation, redeemInvitation } = require('../utils/invitations');
 
 /* GET /api/users - API info */
 router.get('/', function(req, res, next) {
@@ -10,11 +18,19 @@ router.get('/', function(req, res, next) {
     endpoints: {
       profile: 'GET /api/users/profile (requires auth)',
       updateProfile: 'PUT /api/users/profile (requires auth)',
-      upgradeToOwner: 'PUT /api/users/upgrade-to-owner (requires auth)', // 🆕 NEW
+      upgradeToOwner: 'PUT /api/users/upgrade-to-owner (requires auth and an owner inviteCode)', // 🆕 NEW
       bookings: 'GET /api/users/bookings (requires auth)',
       reviews: 'GET /api/users/reviews (requires auth)',
       stats: 'GET /api/users/stats (requires auth)',
       verification: 'PUT /api/users/verification (requires auth)',
+      securityEvents: 'GET /api/users/security/events (requires auth)',
+      sessions: 'GET /api/users/sessions (requires auth)',
+      revokeSession: 'DELETE /api/users/sessions/:id (requires auth)',
+      revokeOtherSessions: 'DELETE /api/users/sessions (requires auth)',
+      endImpersonation: 'DELETE /api/users/impersonation (requires impersonation token)',
+      identities: 'GET /api/users/identities (requires auth)',
+      linkIdentity: 'POST /api/users/identities/:provider (requires auth)',
+      unlinkIdentity: 'DELETE /api/users/identities/:id (requires auth)',
       deleteAccount: 'DELETE /api/users/account (requires auth)'
     },
     note: 'Authentication endpoints are available at /api/auth/login and /api/auth/register'
@@ -36,6 +52,7 @@ router.get('/profile', authenticateToken, async function(req, res, next) {
         role: true,
         isActive: true,
         isVerified: true,
+        twoFactorEnabled: true,
         createdAt: true,
         updatedAt: true,
         _count: {
@@ -56,7 +73,9 @@ router.get('/profile', authenticateToken, async function(req, res, next) {
 
     res.json({ 
       message: 'Profile retrieved successfully',
-      user 
+      user,
+      // Lets the frontend show that support staff is acting as this user
+      impersonatedBy: req.user.impersonatedBy
     });
 
   } catch (error) {
@@ -112,31 +131,20 @@ router.put('/profile', authenticateToken, async function(req, res, next) {
       updateData.avatar = avatar ? avatar.trim() : null;
     }
 
-    // 🆕 ENHANCED: Allow role updates for USER → OWNER upgrade
+    // Roles are not changed here: owner accounts need an invitation (PUT /upgrade-to-owner)
     if (role !== undefined) {
-      const validRoles = ['USER', 'OWNER'];
-      if (!validRoles.includes(role)) {
-        return res.status(400).json({
-          message: 'Invalid role. Allowed roles: USER, OWNER'
-        });
-      }
-      
-      // Get current user to check existing role
       const currentUser = await req.prisma.user.findUnique({
         where: { id: req.user.userId },
         select: { role: true }
       });
-      
-      // Only allow USER → OWNER upgrade (not OWNER → USER or ADMIN changes)
-      if (currentUser.role === 'USER' && role === 'OWNER') {
-        updateData.role = role;
-        console.log(`🔄 User ${req.user.userId} upgrading from USER to OWNER`);
-      } else if (currentUser.role === role) {
-        // Same role, no change needed
-        console.log(`ℹ️ User ${req.user.userId} already has role ${role}`);
-      } else {
+
+      if (currentUser.role !== role) {
+        if (req.impersonation) {
+          return denyImpersonation(req, res, next);
+        }
         return res.status(403).json({
-          message: 'Role change not permitted. Only USER to OWNER upgrade is allowed.'
+          message: 'Role change not permitted. Use PUT /api/users/upgrade-to-owner with an invitation code.',
+          code: 'INVITE_REQUIRED'
         });
       }
     }
@@ -164,11 +172,6 @@ router.put('/profile', authenticateToken, async function(req, res, next) {
       }
     });
 
-    // Log role change for monitoring
-    if (updateData.role) {
-      console.log(`✅ Role update successful: User ${req.user.userId} is now ${updateData.role}`);
-    }
-
     res.json({
       message: 'Profile updated successfully',
       user: updatedUser
@@ -183,9 +186,18 @@ router.put('/profile', authenticateToken, async function(req, res, next) {
   }
 });
 
-/* 🆕 NEW: PUT /api/users/upgrade-to-owner - Upgrade user to owner role */
-router.put('/upgrade-to-owner', authenticateToken, async function(req, res, next) {
+/* 🆕 NEW: PUT /api/users/upgrade-to-owner - Upgrade user to owner role (redeems an owner invitation) */
+router.put('/upgrade-to-owner', authenticateToken, denyImpersonation, async function(req, res, next) {
   try {
+    const { inviteCode } = req.body;
+
+    if (!inviteCode) {
+      return res.status(400).json({
+        message: 'An invitation is required to become an owner',
+        code: 'INVITE_REQUIRED'
+      });
+    }
+
     // Get current user
     const currentUser = await req.prisma.user.findUnique({
       where: { id: req.user.userId },
@@ -230,28 +242,45 @@ router.put('/upgrade-to-owner', authenticateToken, async function(req, res, next
       });
     }
 
-    // Update user role to OWNER
-    const updatedUser = await req.prisma.user.update({
-      where: { id: req.user.userId },
-      data: {
-        role: 'OWNER',
-        updatedAt: new Date()
-      },
-      select: {
-        id: true,
-        email: true,
-        firstName: true,
-        lastName: true,
-        phone: true,
-        avatar: true,
-        role: true,
-        isActive: true,
-        isVerified: true,
-        createdAt: true,
-        updatedAt: true
-      }
+    const invitation = await findRedeemableInvitation(req.prisma, inviteCode, currentUser.email);
+    if (invitation.role !== 'OWNER') {
+      return res.status(400).json({
+        message: 'This invitation is not for an owner account',
+        code: 'INVITE_ROLE_MISMATCH'
+      });
+    }
+
+    // Update user role to OWNER (and redeem the invitation in the same transaction)
+    const updatedUser = await req.prisma.$transaction(async (prisma) => {
+      await redeemInvitation(prisma, invitation.id, currentUser.id);
+
+      return prisma.user.update({
+        where: { id: req.user.userId },
+        data: {
+          role: 'OWNER',
+          updatedAt: new Date()
+        },
+        select: {
+          id: true,
+          email: true,
+          firstName: true,
+          lastName: true,
+          phone: true,
+          avatar: true,
+          role: true,
+          isActive: true,
+          isVerified: true,
+          createdAt: true,
+          updatedAt: true
+        }
+      });
     });
 
+    console.log(`✉️ Invitation ${invitation.id} redeemed by user ${updatedUser.id} (OWNER)`);
+
+    // Existing tokens pick up the new role on their next request
+    invalidateAuthState(updatedUser.id);
+
     console.log(`🎉 User upgraded to owner: ${updatedUser.email} (ID: ${updatedUser.id})`);
 
     res.json({
@@ -266,6 +295,22 @@ router.put('/upgrade-to-owner', authenticateToken, async function(req, res, next
     });
 
   } catch (error) {
+    switch (error.message) {
+      case 'INVITE_INVALID':
+      case 'INVITE_USED':
+      case 'INVITE_REVOKED':
+      case 'INVITE_EXPIRED':
+        return res.status(400).json({
+          message: 'This invitation is invalid, has expired or has already been used',
+          code: error.message
+        });
+      case 'INVITE_EMAIL_MISMATCH':
+        return res.status(400).json({
+          message: 'This invitation was issued for a different email address',
+          code: error.message
+        });
+    }
+
     console.error('Upgrade to owner error:', error);
     res.status(500).json({
       message: 'Error upgrading to owner account',
@@ -563,7 +608,7 @@ router.put('/verification', authenticateToken, async function(req, res, next) {
   try {
     const user = await req.prisma.user.findUnique({
       where: { id: req.user.userId },
-      select: { isVerified: true, email: true }
+      select: { id: true, isVerified: true, email: true, firstName: true }
     });
 
     if (!user) {
@@ -578,12 +623,23 @@ router.put('/verification', authenticateToken, async function(req, res, next) {
       });
     }
 
-    // Here you would typically send a verification email
-    // For now, we'll just return a success message
+    // Throttle resends to protect the mail transport and the user's inbox
+    const throttle = await getResendThrottle(req.prisma, user.id, 'EMAIL_VERIFICATION');
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(429).json({
+        message: 'A verification email was sent recently. Please wait before requesting another one.',
+        code: 'RATE_LIMIT_EXCEEDED',
+        retryAfter: throttle.retryAfter
+      });
+    }
+
+    const { expiresAt } = await issueEmailVerification(req.prisma, user);
     
     res.json({
       message: 'Verification email sent successfully',
-      email: user.email
+      email: user.email,
+      expiresAt
     });
 
   } catch (error) {
@@ -595,8 +651,329 @@ router.put('/verification', authenticateToken, async function(req, res, next) {
   }
 });
 
+/* GET /api/users/sessions - Devices where the user is signed in */
+router.get('/sessions', authenticateToken, async function(req, res, next) {
+  try {
+    const sessions = await req.prisma.userSession.findMany({
+      where: {
+        userId: req.user.userId,
+        revokedAt: null,
+        expiresAt: { gt: new Date() }
+      },
+      select: {
+        id: true,
+        ipAddress: true,
+        userAgent: true,
+        createdAt: true,
+        lastSeenAt: true,
+        expiresAt: true
+      },
+      orderBy: {
+        lastSeenAt: 'desc'
+      }
+    });
+
+    res.json({
+      message: 'Sessions retrieved successfully',
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.id === req.user.sessionId
+      }))
+    });
+
+  } catch (error) {
+    console.error('Sessions fetch error:', error);
+    res.status(500).json({
+      message: 'Error fetching sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* DELETE /api/users/sessions - Log out everywhere except the current session */
+router.delete('/sessions', authenticateToken, denyImpersonation, async function(req, res, next) {
+  try {
+    const revokedCount = await revokeOtherSessions(
+      req.prisma,
+      req.user.userId,
+      req.user.sessionId,
+      'SIGNED_OUT_BY_USER'
+    );
+
+    if (revokedCount > 0) {
+      await recordSecurityEvent(req.prisma, req, {
+        userId: req.user.userId,
+        type: SECURITY_EVENTS.SESSION_REVOKED,
+        metadata: { scope: 'others', count: revokedCount }
+      });
+    }
+
+    res.json({
+      message: 'Signed out of all other sessions',
+      revokedCount
+    });
+
+  } catch (error) {
+    console.error('Sessions revoke error:', error);
+    res.status(500).json({
+      message: 'Error signing out other sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* DELETE /api/users/sessions/:id - Sign out a single session */
+router.delete('/sessions/:id', authenticateToken, denyImpersonation, async function(req, res, next) {
+  try {
+    const revoked = await revokeSession(req.prisma, req.user.userId, req.params.id, 'SIGNED_OUT_BY_USER');
+
+    if (!revoked) {
+      return res.status(404).json({
+        message: 'Session not found'
+      });
+    }
+
+    await recordSecurityEvent(req.prisma, req, {
+      userId: req.user.userId,
+      type: SECURITY_EVENTS.SESSION_REVOKED,
+      metadata: { sessionId: req.params.id }
+    });
+
+    res.json({
+      message: req.params.id === req.user.sessionId
+        ? 'Signed out of the current session'
+        : 'Session signed out successfully'
+    });
+
+  } catch (error) {
+    console.error('Session revoke error:', error);
+    res.status(500).json({
+      message: 'Error signing out session',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* DELETE /api/users/impersonation - Stop impersonating (with the impersonation token) */
+router.delete('/impersonation', authenticateToken, async function(req, res, next) {
+  try {
+    if (!req.impersonation) {
+      return res.status(400).json({
+        message: 'This token is not an impersonation token'
+      });
+    }
+
+    await endImpersonation(req.prisma, req.impersonation.id);
+
+    res.json({
+      message: 'Impersonation ended'
+    });
+
+  } catch (error) {
+    console.error('Impersonation end error:', error);
+    res.status(500).json({
+      message: 'Error ending impersonation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* GET /api/users/identities - External sign-in accounts linked to the user */
+router.get('/identities', authenticateToken, async function(req, res, next) {
+  try {
+    const [identities, user] = await Promise.all([
+      req.prisma.userIdentity.findMany({
+        where: { userId: req.user.userId },
+        select: {
+          id: true,
+          provider: true,
+          email: true,
+          createdAt: true,
+          lastLoginAt: true
+        },
+        orderBy: { createdAt: 'asc' }
+      }),
+      req.prisma.user.findUnique({
+        where: { id: req.user.userId },
+        select: { hasPassword: true }
+      })
+    ]);
+
+    const linkedProviders = identities.map(identity => identity.provider);
+
+    res.json({
+      message: 'Linked accounts retrieved successfully',
+      identities,
+      hasPassword: user ? user.hasPassword : false,
+      availableProviders: Object.values(getProviders())
+        .filter(provider => !linkedProviders.includes(provider.name))
+        .map(provider => ({ name: provider.name, displayName: provider.displayName }))
+    });
+
+  } catch (error) {
+    console.error('Identities fetch error:', error);
+    res.status(500).json({
+      message: 'Error fetching linked accounts',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* POST /api/users/identities/:provider - Start linking an external account (finish with POST /api/auth/oidc/callback) */
+router.post('/identities/:provider', authenticateToken, denyImpersonation, async function(req, res, next) {
+  try {
+    const request = await createAuthorizationRequest(req.prisma, req.params.provider, {
+      userId: req.user.userId
+    });
+    setOidcStateCookie(res, request.state, request.expiresAt);
+
+    res.json({
+      message: 'Redirect the browser to the authorization URL',
+      ...request
+    });
+
+  } catch (error) {
+    if (error.message === 'OIDC_PROVIDER_UNKNOWN') {
+      return res.status(404).json({
+        message: 'Unknown or disabled identity provider',
+        code: error.message
+      });
+    }
+
+    console.error('Identity link error:', error);
+    res.status(500).json({
+      message: 'Error linking external account',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* DELETE /api/users/identities/:id - Unlink an external account */
+router.delete('/identities/:id', authenticateToken, denyImpersonation, async function(req, res, next) {
+  try {
+    const identityId = parseInt(req.params.id);
+
+    if (isNaN(identityId)) {
+      return res.status(400).json({
+        message: 'Invalid identity ID'
+      });
+    }
+
+    const identity = await req.prisma.userIdentity.findFirst({
+      where: { id: identityId, userId: req.user.userId }
+    });
+
+    if (!identity) {
+      return res.status(404).json({
+        message: 'Linked account not found'
+      });
+    }
+
+    // Keep at least one way to sign in
+    const [user, identityCount] = await Promise.all([
+      req.prisma.user.findUnique({
+        where: { id: req.user.userId },
+        select: { hasPassword: true }
+      }),
+      req.prisma.userIdentity.count({ where: { userId: req.user.userId } })
+    ]);
+
+    if (!user.hasPassword && identityCount <= 1) {
+      return res.status(400).json({
+        message: 'Set a password before unlinking your only sign-in method',
+        code: 'LAST_LOGIN_METHOD'
+      });
+    }
+
+    await req.prisma.userIdentity.delete({
+      where: { id: identity.id }
+    });
+
+    await recordSecurityEvent(req.prisma, req, {
+      userId: req.user.userId,
+      type: SECURITY_EVENTS.IDENTITY_UNLINKED,
+      metadata: { provider: identity.provider }
+    });
+
+    res.json({
+      message: 'External account unlinked successfully'
+    });
+
+  } catch (error) {
+    console.error('Identity unlink error:', error);
+    res.status(500).json({
+      message: 'Error unlinking external account',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* GET /api/users/security/events - Recent security activity on the account */
+router.get('/security/events', authenticateToken, async function(req, res, next) {
+  try {
+    const { page = 1, limit = 20, type } = req.query;
+
+    // Pagination
+    const pageNum = Math.max(1, parseInt(page));
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+    const skip = (pageNum - 1) * limitNum;
+
+    const where = { userId: req.user.userId };
+
+    if (type) {
+      if (!Object.values(SECURITY_EVENTS).includes(type)) {
+        return res.status(400).json({
+          message: 'Invalid event type',
+          validTypes: Object.values(SECURITY_EVENTS)
+        });
+      }
+      where.type = type;
+    }
+
+    const [events, total] = await Promise.all([
+      req.prisma.securityEvent.findMany({
+        where,
+        skip,
+        take: limitNum,
+        select: {
+          id: true,
+          type: true,
+          ipAddress: true,
+          userAgent: true,
+          metadata: true,
+          createdAt: true
+        },
+        orderBy: {
+          createdAt: 'desc'
+        }
+      }),
+      req.prisma.securityEvent.count({ where })
+    ]);
+
+    res.json({
+      message: 'Security events retrieved successfully',
+      events,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        totalPages: Math.ceil(total / limitNum),
+        hasNext: pageNum < Math.ceil(total / limitNum),
+        hasPrev: pageNum > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Security events fetch error:', error);
+    res.status(500).json({
+      message: 'Error fetching security events',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 /* DELETE /api/users/account - Delete user account (soft delete) */
-router.delete('/account', authenticateToken, async function(req, res, next) {
+router.delete('/account', authenticateToken, denyImpersonation, async function(req, res, next) {
   try {
     const { password, reason } = req.body;
 
@@ -654,6 +1031,11 @@ router.delete('/account', authenticateToken, async function(req, res, next) {
       }
     });
 
+    await revokeUserAccess(req.prisma, req.user.userId, {
+      reason: 'ACCOUNT_INACTIVE',
+      revokeRefreshTokens: true
+    });
+
     res.json({
       message: 'Account deleted successfully'
     });
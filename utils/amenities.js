@@ -0,0 +1,239 @@
+const { normalizeText } = require('./spotSearch');
+
+// Amenity catalogue. Amenities are admin-managed records (key, localized labels, icon, group)
+// linked to spots through spot_amenities. The spot's `amenities` JSON column is kept as a mirror
+// of the linked amenities' default labels so existing responses keep their shape.
+
+const DEFAULT_LOCALE = 'en';
+
+const AMENITY_GROUPS = ['facilities', 'utilities', 'activities', 'services', 'accommodation', 'accessibility', 'other'];
+
+const AMENITY_KEY_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const MAX_KEY_LENGTH = 50;
+const MAX_LABEL_LENGTH = 100;
+
+// Catalogue key for a free-form name ("Hot Showers" -> "hot-showers")
+function toAmenityKey(name) {
+  return normalizeText(name)
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, MAX_KEY_LENGTH)
+    .replace(/-+$/, '');
+}
+
+// Form used to compare names, ignoring case, accents, spaces and punctuation ("Wi-Fi" = "WiFi")
+function toCompactName(name) {
+  return normalizeText(name).replace(/[^a-z0-9]+/g, '');
+}
+
+// Preferred locale of the request: ?locale=, then the Accept-Language header
+function getRequestLocale(req) {
+  const requested = req.query.locale || req.get('accept-language') || DEFAULT_LOCALE;
+  return String(requested).split(/[,;-]/)[0].trim().toLowerCase() || DEFAULT_LOCALE;
+}
+
+function getAmenityLabel(amenity, locale = DEFAULT_LOCALE) {
+  const labels = amenity.labels || {};
+  return labels[locale] || labels[DEFAULT_LOCALE] || Object.values(labels)[0] || amenity.key;
+}
+
+function formatAmenity(amenity, locale) {
+  return {
+    key: amenity.key,
+    label: getAmenityLabel(amenity, locale),
+    icon: amenity.icon,
+    group: amenity.group
+  };
+}
+
+// Problems with a labels object ({ en: 'WiFi', fr: 'Wi-Fi' }), empty when valid
+function getInvalidLabels(labels) {
+  if (!labels || typeof labels !== 'object' || Array.isArray(labels)) {
+    return ['labels'];
+  }
+  if (!labels[DEFAULT_LOCALE]) {
+    return [DEFAULT_LOCALE];
+  }
+  return Object.keys(labels).filter(locale =>
+    !/^[a-z]{2}$/.test(locale) ||
+    typeof labels[locale] !== 'string' ||
+    !labels[locale].trim() ||
+    labels[locale].length > MAX_LABEL_LENGTH
+  );
+}
+
+// Amenity names sent by clients: an array, or the JSON text of one (multipart forms)
+function parseAmenityList(value) {
+  let list = value;
+  if (typeof value === 'string') {
+    try {
+      list = JSON.parse(value);
+    } catch (error) {
+      list = value.split(',');
+    }
+  }
+
+  if (!Array.isArray(list) || list.some(item => typeof item !== 'string')) {
+    return null;
+  }
+  return list.map(item => item.trim()).filter(Boolean);
+}
+
+// Find catalogue entries for keys or labels (in any locale).
+// Returns { amenities, unknown } where unknown lists the names without a match.
+async function resolveAmenities(prisma, names, { includeInactive = false } = {}) {
+  const catalogue = await prisma.amenity.findMany({
+    where: includeInactive ? {} : { isActive: true }
+  });
+
+  const byName = new Map();
+  catalogue.forEach(amenity => {
+    byName.set(toCompactName(amenity.key), amenity);
+    Object.values(amenity.labels || {}).forEach(label => {
+      const compact = toCompactName(label);
+      if (!byName.has(compact)) {
+        byName.set(compact, amenity);
+      }
+    });
+  });
+
+  const amenities = new Map();
+  const unknown = [];
+  names.forEach(name => {
+    const amenity = byName.get(toCompactName(name));
+    if (amenity) {
+      amenities.set(amenity.id, amenity);
+    } else {
+      unknown.push(name);
+    }
+  });
+
+  return { amenities: [...amenities.values()], unknown };
+}
+
+// Value for the spot's amenities JSON mirror
+function getAmenityMirror(amenities) {
+  return amenities.map(amenity => getAmenityLabel(amenity));
+}
+
+// Search filter for spots with any of some amenities. Spots not moved into the catalogue yet
+// (no links, see importLegacyAmenities) are matched on the names in their JSON amenities.
+function getAmenityFilter(amenities, extraNames = []) {
+  const legacyNames = [...new Set([...amenities.map(amenity => getAmenityLabel(amenity)), ...extraNames])];
+
+  return {
+    OR: [
+      { amenityLinks: { some: { amenityId: { in: amenities.map(amenity => amenity.id) } } } },
+      ...legacyNames.map(name => ({
+        amenityLinks: { none: {} },
+        amenities: { string_contains: name }
+      }))
+    ]
+  };
+}
+
+// Replace the amenities linked to a spot
+async function linkSpotAmenities(prisma, spotId, amenities) {
+  await prisma.$transaction([
+    prisma.spotAmenity.deleteMany({ where: { spotId } }),
+    prisma.spotAmenity.createMany({
+      data: amenities.map(amenity => ({ spotId, amenityId: amenity.id })),
+      skipDuplicates: true
+    })
+  ]);
+}
+
+// Refresh the JSON mirror of every spot linked to an amenity (after its labels change)
+async function refreshAmenityMirrors(prisma, amenityId) {
+  const links = await prisma.spotAmenity.findMany({
+    where: { amenityId },
+    select: { spotId: true }
+  });
+
+  for (const { spotId } of links) {
+    const spotLinks = await prisma.spotAmenity.findMany({
+      where: { spotId },
+      include: { amenity: true }
+    });
+    await prisma.campingSpot.update({
+      where: { id: spotId },
+      data: { amenities: getAmenityMirror(spotLinks.map(link => link.amenity)) }
+    });
+  }
+
+  return links.length;
+}
+
+// Move the free-form JSON amenities of existing spots into the catalogue. Names matching an
+// existing amenity are linked to it; the others become new amenities in the "other" group.
+// Safe to run again. Returns { spots, createdAmenities, links }.
+async function importLegacyAmenities(prisma) {
+  const spots = await prisma.campingSpot.findMany({
+    select: { id: true, amenities: true }
+  });
+
+  let createdAmenities = 0;
+  let links = 0;
+
+  for (const spot of spots) {
+    const names = parseAmenityList(spot.amenities || []) || [];
+    if (names.length === 0) continue;
+
+    const { amenities, unknown } = await resolveAmenities(prisma, names, { includeInactive: true });
+
+    // Spellings of one name in the same list ("WiFi", "Wi-Fi") become one amenity
+    const newNames = new Map();
+    unknown.forEach(name => {
+      if (!newNames.has(toCompactName(name))) newNames.set(toCompactName(name), name);
+    });
+
+    for (const name of newNames.values()) {
+      const key = toAmenityKey(name);
+      if (!key) continue;
+
+      // The key may have been created for an earlier spot
+      let amenity = await prisma.amenity.findUnique({ where: { key } });
+      if (!amenity) {
+        amenity = await prisma.amenity.create({
+          data: { key, labels: { [DEFAULT_LOCALE]: name }, group: 'other' }
+        });
+        createdAmenities++;
+      }
+      if (!amenities.some(existing => existing.id === amenity.id)) {
+        amenities.push(amenity);
+      }
+    }
+
+    const result = await prisma.spotAmenity.createMany({
+      data: amenities.map(amenity => ({ spotId: spot.id, amenityId: amenity.id })),
+      skipDuplicates: true
+    });
+    links += result.count;
+
+    await prisma.campingSpot.update({
+      where: { id: spot.id },
+      data: { amenities: getAmenityMirror(amenities) }
+    });
+  }
+
+  return { spots: spots.length, createdAmenities, links };
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  AMENITY_GROUPS,
+  AMENITY_KEY_PATTERN,
+  MAX_KEY_LENGTH,
+  toAmenityKey,
+  getRequestLocale,
+  getAmenityLabel,
+  formatAmenity,
+  getInvalidLabels,
+  parseAmenityList,
+  resolveAmenities,
+  getAmenityMirror,
+  getAmenityFilter,
+  linkSpotAmenities,
+  refreshAmenityMirrors,
+  importLegacyAmenities
+};
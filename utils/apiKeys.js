@@ -0,0 +1,159 @@
+const { generateOpaqueToken, hashToken } = require('./tokenService');
+
+// Owner API keys for server-to-server integrations (property-management software).
+// Keys look like `chk_<prefix>_<secret>`; only the hash is stored, the prefix is kept for display.
+
+const API_KEY_SCOPES = {
+  'read:spots': 'List and view your camping spots',
+  'write:spots': 'Create, update and delete your camping spots',
+  'read:bookings': 'List bookings for your spots',
+  'write:bookings': 'Update the status of bookings for your spots',
+  'read:dashboard': 'View dashboard statistics'
+};
+
+const DEFAULT_RATE_LIMIT_PER_MINUTE = 60;
+const MAX_RATE_LIMIT_PER_MINUTE = 600;
+const MAX_KEYS_PER_USER = 20;
+
+const CACHE_TTL_MS = 10 * 1000;
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+const cache = new Map();
+const requestLog = new Map();
+
+function generateApiKey() {
+  const prefix = generateOpaqueToken(4);
+  return {
+    key: `chk_${prefix}_${generateOpaqueToken(24)}`,
+    prefix: `chk_${prefix}`
+  };
+}
+
+// Scopes that are not in API_KEY_SCOPES
+function getInvalidScopes(scopes) {
+  return scopes.filter(scope => !(scope in API_KEY_SCOPES));
+}
+
+function getKeyStatus(apiKey) {
+  if (apiKey.revokedAt) return 'REVOKED';
+  if (apiKey.expiresAt && apiKey.expiresAt < new Date()) return 'EXPIRED';
+  return 'ACTIVE';
+}
+
+// Create a key. The plain key is only returned here.
+async function createApiKey(prisma, userId, { name, scopes, rateLimitPerMinute, expiresAt }) {
+  const { key, prefix } = generateApiKey();
+
+  const apiKey = await prisma.apiKey.create({
+    data: {
+      userId,
+      name,
+      prefix,
+      keyHash: hashToken(key),
+      scopes,
+      rateLimitPerMinute,
+      expiresAt
+    }
+  });
+
+  return { apiKey, key };
+}
+
+// Look up an active key (briefly cached). Returns the key record with its owner, or null.
+async function findActiveApiKey(prisma, key) {
+  const keyHash = hashToken(String(key));
+
+  const cached = cache.get(keyHash);
+  let apiKey;
+  if (cached && cached.expiresAt > Date.now()) {
+    apiKey = cached.apiKey;
+  } else {
+    apiKey = await prisma.apiKey.findUnique({
+      where: { keyHash },
+      include: {
+        user: {
+          select: { id: true, email: true }
+        }
+      }
+    });
+
+    if (cache.size >= 10000) {
+      cache.clear();
+    }
+    cache.set(keyHash, { apiKey, expiresAt: Date.now() + CACHE_TTL_MS });
+  }
+
+  if (!apiKey || getKeyStatus(apiKey) !== 'ACTIVE') {
+    return null;
+  }
+
+  return apiKey;
+}
+
+// Revoke a key of a user. Returns false if the user has no such active key.
+async function revokeApiKey(prisma, userId, apiKeyId) {
+  const apiKey = await prisma.apiKey.findFirst({
+    where: { id: apiKeyId, userId, revokedAt: null }
+  });
+
+  if (!apiKey) {
+    return false;
+  }
+
+  await prisma.apiKey.update({
+    where: { id: apiKey.id },
+    data: { revokedAt: new Date() }
+  });
+
+  cache.delete(apiKey.keyHash);
+  requestLog.delete(apiKey.id);
+  return true;
+}
+
+// Sliding one-minute window per key. Returns { allowed, remaining, retryAfter }
+function checkRateLimit(apiKey) {
+  const now = Date.now();
+  const recent = (requestLog.get(apiKey.id) || []).filter(time => now - time < 60 * 1000);
+
+  if (recent.length >= apiKey.rateLimitPerMinute) {
+    requestLog.set(apiKey.id, recent);
+    return {
+      allowed: false,
+      remaining: 0,
+      retryAfter: Math.ceil((recent[0] + 60 * 1000 - now) / 1000)
+    };
+  }
+
+  recent.push(now);
+  requestLog.set(apiKey.id, recent);
+  return { allowed: true, remaining: apiKey.rateLimitPerMinute - recent.length };
+}
+
+// Record usage at most once a minute per key. Not awaited by callers, errors are only logged.
+function markApiKeyUsed(prisma, apiKey, ip) {
+  const now = new Date();
+  if (apiKey.lastUsedAt && now - apiKey.lastUsedAt < LAST_USED_UPDATE_INTERVAL_MS) {
+    return Promise.resolve();
+  }
+
+  apiKey.lastUsedAt = now;
+  return prisma.apiKey.update({
+    where: { id: apiKey.id },
+    data: { lastUsedAt: now, lastUsedIp: ip || null }
+  }).catch(error => {
+    console.error('Failed to record API key usage:', error);
+  });
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  DEFAULT_RATE_LIMIT_PER_MINUTE,
+  MAX_RATE_LIMIT_PER_MINUTE,
+  MAX_KEYS_PER_USER,
+  getInvalidScopes,
+  getKeyStatus,
+  createApiKey,
+  findActiveApiKey,
+  revokeApiKey,
+  checkRateLimit,
+  markApiKeyUsed
+};
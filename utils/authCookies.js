@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const { generateOpaqueToken, REFRESH_TOKEN_TTL_DAYS } = require('./tokenService');
+
+// Cookie session mode for the web frontend. Clients opt in by sending `X-Auth-Mode: cookie` to the
+// endpoints that sign in (login, register, 2FA, OIDC callback); the tokens are then set as HttpOnly
+// cookies instead of being returned in the body. Requests authenticated by cookie that change state
+// must echo the CSRF cookie in the X-CSRF-Token header (double-submit).
+// The OIDC state is also kept in a cookie so a sign-in can only be finished by the browser that started it.
+
+const ACCESS_COOKIE = 'ch_access';
+const REFRESH_COOKIE = 'ch_refresh';
+const CSRF_COOKIE = 'ch_csrf';
+const CSRF_HEADER = 'x-csrf-token';
+const OIDC_STATE_COOKIE = 'ch_oidc_state';
+
+const REFRESH_COOKIE_PATH = '/api/auth'; // Only sent to refresh and logout
+const OIDC_STATE_COOKIE_PATH = '/api/auth/oidc'; // Only sent to the callback
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function getCookieOptions() {
+  return {
+    secure: process.env.AUTH_COOKIE_SECURE
+      ? process.env.AUTH_COOKIE_SECURE === 'true'
+      : process.env.NODE_ENV === 'production',
+    sameSite: process.env.AUTH_COOKIE_SAMESITE || 'lax',
+    domain: process.env.AUTH_COOKIE_DOMAIN || undefined
+  };
+}
+
+function isCookieModeRequested(req) {
+  return String(req.get('x-auth-mode') || '').toLowerCase() === 'cookie';
+}
+
+function getCookie(req, name) {
+  return (req.cookies && req.cookies[name]) || null;
+}
+
+// Set the token cookies and a fresh CSRF token. Returns the CSRF token.
+function setAuthCookies(res, tokens) {
+  const options = getCookieOptions();
+  const refreshMaxAge = REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+  const csrfToken = generateOpaqueToken();
+
+  res.cookie(ACCESS_COOKIE, tokens.token, {
+    ...options,
+    httpOnly: true,
+    path: '/',
+    maxAge: tokens.expiresIn * 1000
+  });
+  res.cookie(REFRESH_COOKIE, tokens.refreshToken, {
+    ...options,
+    httpOnly: true,
+    path: REFRESH_COOKIE_PATH,
+    maxAge: refreshMaxAge
+  });
+  // Readable by the frontend so it can send it back in the header
+  res.cookie(CSRF_COOKIE, csrfToken, {
+    ...options,
+    httpOnly: false,
+    path: '/',
+    maxAge: refreshMaxAge
+  });
+
+  return csrfToken;
+}
+
+function safeEqual(a, b) {
+  if (!a || !b || a.length !== b.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+// Remember the state of an OIDC request in the browser that starts it
+function setOidcStateCookie(res, state, expiresAt) {
+  res.cookie(OIDC_STATE_COOKIE, state, {
+    ...getCookieOptions(),
+    httpOnly: true,
+    path: OIDC_STATE_COOKIE_PATH,
+    maxAge: Math.max(0, expiresAt.getTime() - Date.now())
+  });
+}
+
+function clearOidcStateCookie(res) {
+  res.clearCookie(OIDC_STATE_COOKIE, { ...getCookieOptions(), path: OIDC_STATE_COOKIE_PATH });
+}
+
+// Whether the state sent to the callback is the one this browser started (login CSRF protection)
+function isOidcStateBound(req, state) {
+  return safeEqual(getCookie(req, OIDC_STATE_COOKIE), String(state));
+}
+
+function clearAuthCookies(res) {
+  const options = getCookieOptions();
+
+  res.clearCookie(ACCESS_COOKIE, { ...options, path: '/' });
+  res.clearCookie(REFRESH_COOKIE, { ...options, path: REFRESH_COOKIE_PATH });
+  res.clearCookie(CSRF_COOKIE, { ...options, path: '/' });
+}
+
+// Response fields for newly issued tokens: the tokens themselves, or in cookie mode
+// only the CSRF token (the tokens go into HttpOnly cookies)
+function deliverAuthTokens(req, res, tokens, cookieMode = isCookieModeRequested(req)) {
+  if (!cookieMode) {
+    return tokens;
+  }
+
+  return {
+    authMode: 'cookie',
+    csrfToken: setAuthCookies(res, tokens),
+    expiresIn: tokens.expiresIn
+  };
+}
+
+// Double-submit check: the X-CSRF-Token header must match the CSRF cookie (safe methods are exempt)
+function isCsrfValid(req) {
+  if (SAFE_METHODS.includes(req.method)) {
+    return true;
+  }
+
+  return safeEqual(getCookie(req, CSRF_COOKIE), req.get(CSRF_HEADER));
+}
+
+module.exports = {
+  ACCESS_COOKIE,
+  REFRESH_COOKIE,
+  CSRF_COOKIE,
+  getCookie,
+  isCookieModeRequested,
+  clearAuthCookies,
+  deliverAuthTokens,
+  setOidcStateCookie,
+  clearOidcStateCookie,
+  isOidcStateBound,
+  isCsrfValid
+};
@@ -0,0 +1,58 @@
+const { revokeAllUserTokens } = require('./tokenService');
+
+// Authentication state checked on every authenticated request.
+// Access tokens carry the user's token version (`tv` claim); bumping the version in the
+// database invalidates every token issued before. The state is cached briefly in memory
+// so authenticated requests don't all hit MySQL; changes made through this process
+// invalidate the cache immediately, other processes pick them up within the TTL.
+
+const CACHE_TTL_MS = (parseInt(process.env.AUTH_STATE_CACHE_TTL_SECONDS) || 10) * 1000;
+const MAX_CACHE_ENTRIES = 10000;
+const cache = new Map();
+
+// Returns { id, role, isActive, tokenVersion } or null if the user doesn't exist
+async function getAuthState(prisma, userId) {
+  const cached = cache.get(userId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.state;
+  }
+
+  const state = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, role: true, isActive: true, tokenVersion: true }
+  });
+
+  if (cache.size >= MAX_CACHE_ENTRIES) {
+    cache.clear();
+  }
+  cache.set(userId, { state, expiresAt: Date.now() + CACHE_TTL_MS });
+
+  return state;
+}
+
+// Drop the cached state after changing a user's role or status
+function invalidateAuthState(userId) {
+  cache.delete(userId);
+}
+
+// Invalidate every access token of a user. With `revokeRefreshTokens` the refresh
+// tokens are revoked too, so the user has to log in again (deactivation, password change);
+// without it clients can refresh to get a token reflecting the new role.
+async function revokeUserAccess(prisma, userId, { reason, revokeRefreshTokens = false } = {}) {
+  await prisma.user.update({
+    where: { id: userId },
+    data: { tokenVersion: { increment: 1 } }
+  });
+
+  if (revokeRefreshTokens) {
+    await revokeAllUserTokens(prisma, userId, reason);
+  }
+
+  invalidateAuthState(userId);
+}
+
+module.exports = {
+  getAuthState,
+  invalidateAuthState,
+  revokeUserAccess
+};
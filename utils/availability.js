@@ -0,0 +1,193 @@
+const { MAX_STAY_NIGHTS, toDateKey, getNightCount, getNightlyPrices, getActivePricingRules } = require('./pricing');
+const { getSpotBlocks, findBlockForNight, getNightKeys } = require('./blocks');
+const {
+  getStayRestrictions,
+  getArrivalViolation,
+  isCheckOutDayAllowed,
+  getActiveStayRules
+} = require('./stayRules');
+
+// Day-by-day availability of a spot, used by the calendar endpoint. Each night is described by
+// the date it starts on; a guest can check in on an available night and check out on the day
+// after one, as far as the stay rules in effect on that day allow.
+
+const BLOCKING_BOOKING_STATUSES = ['CONFIRMED', 'PENDING'];
+const MAX_CALENDAR_NIGHTS = 366;
+
+// Local midnight of a 'YYYY-MM-DD' key (bookings use local midnight)
+function fromDateKey(dateKey) {
+  return new Date(`${dateKey}T00:00:00`);
+}
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+// Bookings of some spots that hold a night in [start, end)
+async function getOverlappingBookings(prisma, spotIds, start, end) {
+  return prisma.booking.findMany({
+    where: {
+      spotId: { in: spotIds },
+      status: { in: BLOCKING_BOOKING_STATUSES },
+      checkIn: { lt: end },
+      checkOut: { gt: start }
+    },
+    select: { spotId: true, unitId: true, checkIn: true, checkOut: true }
+  });
+}
+
+// Bookings per night: Map of date key -> { total, unassigned, byUnit: Map of unit id -> count }
+function countBookedNights(bookings) {
+  const nights = new Map();
+  bookings.forEach(booking => {
+    getNightKeys(booking.checkIn, booking.checkOut).forEach(date => {
+      if (!nights.has(date)) {
+        nights.set(date, { total: 0, unassigned: 0, byUnit: new Map() });
+      }
+      const night = nights.get(date);
+      night.total += 1;
+      if (booking.unitId) {
+        night.byUnit.set(booking.unitId, (night.byUnit.get(booking.unitId) || 0) + 1);
+      } else {
+        night.unassigned += 1;
+      }
+    });
+  });
+  return nights;
+}
+
+// Free units of a spot on one night. Bookings without a unit (made before the spot had units)
+// take one unit out of the pool.
+function getFreeUnitsOnNight(units, occupancy) {
+  const byUnit = new Map(units.map(unit => [
+    unit.id,
+    Math.max(0, unit.quantity - (occupancy ? occupancy.byUnit.get(unit.id) || 0 : 0))
+  ]));
+  const pooled = [...byUnit.values()].reduce((sum, free) => sum + free, 0) - (occupancy ? occupancy.unassigned : 0);
+  return { byUnit, total: Math.max(0, pooled) };
+}
+
+// Free units of a spot for a whole stay (date keys of its nights):
+// { byUnit: Map of unit id -> free units of that kind, total }
+function getUnitAvailability(units, bookedNights, nightKeys) {
+  const byUnit = new Map(units.map(unit => [unit.id, unit.quantity]));
+  let pooled = units.reduce((sum, unit) => sum + unit.quantity, 0);
+
+  nightKeys.forEach(date => {
+    const free = getFreeUnitsOnNight(units, bookedNights.get(date));
+    free.byUnit.forEach((count, unitId) => byUnit.set(unitId, Math.min(byUnit.get(unitId), count)));
+    pooled = Math.min(pooled, free.total);
+  });
+
+  const total = Math.min(pooled, [...byUnit.values()].reduce((sum, free) => sum + free, 0));
+  return { byUnit, total };
+}
+
+// First of the candidate units (in order) with a unit free for the whole stay, or null
+async function findAvailableUnit(prisma, spotId, units, candidates, checkIn, checkOut) {
+  const bookings = await getOverlappingBookings(prisma, [spotId], checkIn, checkOut);
+  const availability = getUnitAvailability(units, countBookedNights(bookings), getNightKeys(checkIn, checkOut));
+
+  if (availability.total === 0) return null;
+  return candidates.find(unit => availability.byUnit.get(unit.id) > 0) || null;
+}
+
+// Units free for a whole stay at every spot with units: Map of spot id -> count.
+// Without dates, the number of units of each spot. Callers bound the stay first
+// (GET /api/spots rejects longer ones); throws STAY_TOO_LONG otherwise.
+async function getAvailableUnitCounts(prisma, checkIn, checkOut) {
+  if (checkIn && checkOut && getNightCount(checkIn, checkOut) > MAX_STAY_NIGHTS) {
+    throw new Error('STAY_TOO_LONG');
+  }
+
+  const units = await prisma.spotUnit.findMany({
+    where: { isActive: true, spot: { isActive: true } },
+    select: { id: true, spotId: true, quantity: true }
+  });
+
+  const unitsBySpot = new Map();
+  units.forEach(unit => {
+    if (!unitsBySpot.has(unit.spotId)) unitsBySpot.set(unit.spotId, []);
+    unitsBySpot.get(unit.spotId).push(unit);
+  });
+  if (unitsBySpot.size === 0) return new Map();
+
+  const [bookings, nightKeys] = checkIn && checkOut
+    ? [await getOverlappingBookings(prisma, [...unitsBySpot.keys()], checkIn, checkOut), getNightKeys(checkIn, checkOut)]
+    : [[], []];
+
+  const counts = new Map();
+  unitsBySpot.forEach((spotUnits, spotId) => {
+    const bookedNights = countBookedNights(bookings.filter(booking => booking.spotId === spotId));
+    counts.set(spotId, getUnitAvailability(spotUnits, bookedNights, nightKeys).total);
+  });
+  return counts;
+}
+
+// Nights from `from` to `to` (date keys, both inclusive):
+// [{ date, status, available, availableUnits, price, priceRule, minNights, maxNights, canCheckIn, canCheckOut }]
+// status is AVAILABLE, BLOCKED (by the owner), BOOKED (every unit, for spots with units) or PAST.
+// availableUnits is null for spots without units.
+async function getSpotCalendar(prisma, spot, from, to) {
+  // Start a night early: checking out on the first day depends on the night before it
+  const start = addDays(fromDateKey(from), -1);
+  const end = addDays(fromDateKey(to), 1);
+  const today = toDateKey(new Date());
+
+  const [bookings, units, pricingRules, blocks, stayRules] = await Promise.all([
+    getOverlappingBookings(prisma, [spot.id], start, end),
+    prisma.spotUnit.findMany({
+      where: { spotId: spot.id, isActive: true },
+      select: { id: true, quantity: true }
+    }),
+    getActivePricingRules(prisma, spot.id),
+    getSpotBlocks(prisma, spot.id, start, end),
+    getActiveStayRules(prisma, spot.id)
+  ]);
+  const bookedNights = countBookedNights(bookings);
+
+  const nights = getNightlyPrices(spot, pricingRules, start, end).map(night => {
+    const availableUnits = units.length > 0 ? getFreeUnitsOnNight(units, bookedNights.get(night.date)).total : null;
+
+    let status = 'AVAILABLE';
+    if (night.date < today) {
+      status = 'PAST';
+    } else if (findBlockForNight(blocks, night.date)) {
+      status = 'BLOCKED';
+    } else if (availableUnits === null ? bookedNights.has(night.date) : availableUnits === 0) {
+      status = 'BOOKED';
+    }
+
+    return {
+      date: night.date,
+      status,
+      available: status === 'AVAILABLE',
+      availableUnits,
+      price: night.price,
+      priceRule: night.rule ? night.rule.name : null,
+      restrictions: getStayRestrictions(stayRules, night.date)
+    };
+  });
+
+  return nights.slice(1).map(({ restrictions, ...night }, index) => ({
+    ...night,
+    minNights: restrictions.minNights,
+    maxNights: restrictions.maxNights,
+    canCheckIn: night.available && !getArrivalViolation(restrictions, night.date, today),
+    canCheckOut: nights[index].available && isCheckOutDayAllowed(restrictions, night.date)
+  }));
+}
+
+module.exports = {
+  BLOCKING_BOOKING_STATUSES,
+  MAX_CALENDAR_NIGHTS,
+  fromDateKey,
+  addDays,
+  countBookedNights,
+  getUnitAvailability,
+  findAvailableUnit,
+  getAvailableUnitCounts,
+  getSpotCalendar
+};
@@ -0,0 +1,213 @@
+const { MAX_STAY_NIGHTS, toDateKey, getNightCount: countStayNights, isValidDateKey, fromDbDate, toDbDate } = require('./pricing');
+
+// Blackout dates set by owners (maintenance, private use, seasonal closure). A block covers the
+// nights from startDate to endDate (inclusive) and can repeat every week or every year until
+// recurrenceUntil. Blocked nights cannot be booked and are unavailable in search and the calendar.
+
+const BLOCK_REASONS = ['MAINTENANCE', 'PRIVATE_USE', 'SEASONAL_CLOSURE', 'OTHER'];
+const BLOCK_RECURRENCES = ['NONE', 'WEEKLY', 'YEARLY'];
+
+const MAX_WEEKLY_NIGHTS = 6;
+const MAX_YEARLY_NIGHTS = 364;
+const MAX_NOTE_LENGTH = 255;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days since the epoch of a 'YYYY-MM-DD' key
+function toDayNumber(dateKey) {
+  return Math.round(new Date(`${dateKey}T00:00:00.000Z`).getTime() / DAY_MS);
+}
+
+function getNightCount(block) {
+  return toDayNumber(block.endDate) - toDayNumber(block.startDate) + 1;
+}
+
+// Block as returned by the API
+function formatBlock(block) {
+  return {
+    id: block.id,
+    startDate: fromDbDate(block.startDate),
+    endDate: fromDbDate(block.endDate),
+    reason: block.reason,
+    note: block.note,
+    recurrence: block.recurrence,
+    recurrenceUntil: fromDbDate(block.recurrenceUntil),
+    createdById: block.createdById,
+    createdAt: block.createdAt,
+    updatedAt: block.updatedAt
+  };
+}
+
+// Problem with a block (in API format), or null when it is valid
+function getBlockError(block) {
+  if (!isValidDateKey(block.startDate) || !isValidDateKey(block.endDate)) {
+    return 'startDate and endDate must be dates in YYYY-MM-DD format';
+  }
+
+  if (block.startDate > block.endDate) {
+    return 'startDate must not be after endDate';
+  }
+
+  if (!BLOCK_REASONS.includes(block.reason)) {
+    return `reason must be one of: ${BLOCK_REASONS.join(', ')}`;
+  }
+
+  if (block.note !== null && block.note !== undefined &&
+      (typeof block.note !== 'string' || block.note.length > MAX_NOTE_LENGTH)) {
+    return `note must be a string of at most ${MAX_NOTE_LENGTH} characters`;
+  }
+
+  if (!BLOCK_RECURRENCES.includes(block.recurrence)) {
+    return `recurrence must be one of: ${BLOCK_RECURRENCES.join(', ')}`;
+  }
+
+  if (block.recurrence === 'WEEKLY' && getNightCount(block) > MAX_WEEKLY_NIGHTS) {
+    return `A weekly block can cover at most ${MAX_WEEKLY_NIGHTS} nights`;
+  }
+
+  if (block.recurrence === 'YEARLY' && getNightCount(block) > MAX_YEARLY_NIGHTS) {
+    return `A yearly block can cover at most ${MAX_YEARLY_NIGHTS} nights`;
+  }
+
+  if (block.recurrenceUntil !== null && block.recurrenceUntil !== undefined) {
+    if (block.recurrence === 'NONE') {
+      return 'recurrenceUntil only applies to recurring blocks';
+    }
+    if (!isValidDateKey(block.recurrenceUntil) || block.recurrenceUntil < block.endDate) {
+      return 'recurrenceUntil must be a date in YYYY-MM-DD format, not before endDate';
+    }
+  }
+
+  return null;
+}
+
+// Prisma data for a valid block (in API format)
+function toBlockData(block) {
+  return {
+    startDate: toDbDate(block.startDate),
+    endDate: toDbDate(block.endDate),
+    reason: block.reason,
+    note: block.note ? block.note.trim() : null,
+    recurrence: block.recurrence,
+    recurrenceUntil: block.recurrence === 'NONE' ? null : toDbDate(block.recurrenceUntil || null)
+  };
+}
+
+// Whether a block (database record) covers the night starting on dateKey
+function isNightBlocked(block, dateKey) {
+  const startDate = fromDbDate(block.startDate);
+  const endDate = fromDbDate(block.endDate);
+  const until = fromDbDate(block.recurrenceUntil);
+
+  if (dateKey < startDate || (until && dateKey > until)) {
+    return false;
+  }
+
+  switch (block.recurrence) {
+    case 'WEEKLY': {
+      const nights = toDayNumber(endDate) - toDayNumber(startDate) + 1;
+      return (toDayNumber(dateKey) - toDayNumber(startDate)) % 7 < nights;
+    }
+    case 'YEARLY': {
+      const nights = toDayNumber(endDate) - toDayNumber(startDate) + 1;
+      const year = parseInt(dateKey.substring(0, 4));
+      const startYear = parseInt(startDate.substring(0, 4));
+
+      // The occurrence may have started the year before (e.g. a Christmas to New Year closure)
+      return [year - 1, year].some(occurrenceYear => {
+        if (occurrenceYear < startYear) return false;
+        const occurrenceStart = new Date(Date.UTC(occurrenceYear, parseInt(startDate.substring(5, 7)) - 1,
+          parseInt(startDate.substring(8, 10))));
+        const offset = toDayNumber(dateKey) - Math.round(occurrenceStart.getTime() / DAY_MS);
+        return offset >= 0 && offset < nights;
+      });
+    }
+    default:
+      return dateKey <= endDate;
+  }
+}
+
+function findBlockForNight(blocks, dateKey) {
+  return blocks.find(block => isNightBlocked(block, dateKey)) || null;
+}
+
+// Filter for blocks that may cover a night between two date keys (inclusive)
+function getOverlappingBlocksWhere(firstNight, lastNight) {
+  return {
+    startDate: { lte: toDbDate(lastNight) },
+    OR: [
+      { recurrence: 'NONE', endDate: { gte: toDbDate(firstNight) } },
+      { recurrence: { not: 'NONE' }, recurrenceUntil: null },
+      { recurrence: { not: 'NONE' }, recurrenceUntil: { gte: toDbDate(firstNight) } }
+    ]
+  };
+}
+
+// Date keys of the nights from checkIn (inclusive) to checkOut (exclusive)
+function getNightKeys(checkIn, checkOut) {
+  const keys = [];
+  const night = new Date(checkIn);
+  night.setHours(0, 0, 0, 0);
+  while (night < checkOut) {
+    keys.push(toDateKey(night));
+    night.setDate(night.getDate() + 1);
+  }
+  return keys;
+}
+
+// Blocks of a spot that may cover a night in [checkIn, checkOut)
+async function getSpotBlocks(prisma, spotId, checkIn, checkOut) {
+  const nights = getNightKeys(checkIn, checkOut);
+  if (nights.length === 0) return [];
+
+  return prisma.spotBlock.findMany({
+    where: { spotId, ...getOverlappingBlocksWhere(nights[0], nights[nights.length - 1]) }
+  });
+}
+
+// Blocked nights of a stay at a spot: [{ date, reason }]
+async function findBlockedNights(prisma, spotId, checkIn, checkOut) {
+  const blocks = await getSpotBlocks(prisma, spotId, checkIn, checkOut);
+
+  return getNightKeys(checkIn, checkOut)
+    .map(date => ({ date, block: findBlockForNight(blocks, date) }))
+    .filter(night => night.block)
+    .map(night => ({ date: night.date, reason: night.block.reason }));
+}
+
+// Ids of the spots with at least one blocked night in [checkIn, checkOut).
+// Callers bound the stay first (GET /api/spots rejects longer ones); throws STAY_TOO_LONG otherwise.
+async function getBlockedSpotIds(prisma, checkIn, checkOut) {
+  if (countStayNights(checkIn, checkOut) > MAX_STAY_NIGHTS) {
+    throw new Error('STAY_TOO_LONG');
+  }
+
+  const nights = getNightKeys(checkIn, checkOut);
+  if (nights.length === 0) return [];
+
+  const blocks = await prisma.spotBlock.findMany({
+    where: getOverlappingBlocksWhere(nights[0], nights[nights.length - 1]),
+    select: { spotId: true, startDate: true, endDate: true, recurrence: true, recurrenceUntil: true }
+  });
+
+  const spotIds = new Set();
+  blocks.forEach(block => {
+    if (!spotIds.has(block.spotId) && nights.some(date => isNightBlocked(block, date))) {
+      spotIds.add(block.spotId);
+    }
+  });
+  return [...spotIds];
+}
+
+module.exports = {
+  BLOCK_REASONS,
+  BLOCK_RECURRENCES,
+  formatBlock,
+  getBlockError,
+  toBlockData,
+  isNightBlocked,
+  findBlockForNight,
+  getNightKeys,
+  getSpotBlocks,
+  findBlockedNights,
+  getBlockedSpotIds
+};
@@ -0,0 +1,222 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FROM = 'CampingHub <noreply@campinghub.com>';
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, '..', 'tmp', 'outbox');
+
+// Outbox transport: writes every message as a JSON file (development and tests)
+function createOutboxTransport() {
+  const outboxDir = process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR;
+
+  return {
+    name: 'outbox',
+    async send(message) {
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+
+      const safeRecipient = message.to.replace(/[^a-zA-Z0-9@._-]/g, '_');
+      const fileName = `${Date.now()}-${Math.round(Math.random() * 1E6)}-${safeRecipient}.json`;
+      const filePath = path.join(outboxDir, fileName);
+
+      await fs.promises.writeFile(filePath, JSON.stringify({
+        ...message,
+        sentAt: new Date().toISOString()
+      }, null, 2));
+
+      return { id: fileName, path: filePath };
+    }
+  };
+}
+
+// Console transport: logs that a message was sent instead of delivering it. The body is left
+// out because it holds single-use links (verification, password reset, magic links).
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log(`📧 Email to ${message.to}: ${message.subject}`);
+      return { id: null };
+    }
+  };
+}
+
+// Registered transport factories, keyed by MAIL_TRANSPORT name
+const transportFactories = {
+  outbox: createOutboxTransport,
+  console: createConsoleTransport
+};
+
+// Transports that don't deliver mail; production needs a real one
+const LOCAL_TRANSPORTS = ['outbox', 'console'];
+
+let activeTransport = null;
+
+// Register an additional transport (e.g. an SMTP or API based provider)
+function registerTransport(name, factory) {
+  transportFactories[name] = factory;
+  if (activeTransport && activeTransport.name === name) {
+    activeTransport = null;
+  }
+}
+
+// Resolve the transport configured through MAIL_TRANSPORT
+function getTransport() {
+  if (activeTransport) {
+    return activeTransport;
+  }
+
+  const name = process.env.MAIL_TRANSPORT || 'outbox';
+  if (process.env.NODE_ENV === 'production' && LOCAL_TRANSPORTS.includes(name)) {
+    throw new Error('MAIL_TRANSPORT must name a delivering transport in production (see registerTransport)');
+  }
+
+  const factory = transportFactories[name];
+
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  activeTransport = factory();
+  activeTransport.name = activeTransport.name || name;
+  return activeTransport;
+}
+
+// Override the active transport instance directly (useful in tests)
+function setTransport(transport) {
+  activeTransport = transport;
+}
+
+// Send an email through the active transport
+async function sendMail({ to, subject, text, html }) {
+  const message = {
+    from: process.env.EMAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    html: html || undefined
+  };
+
+  return getTransport().send(message);
+}
+
+// Base URL used to build links in emails
+function getBaseUrl(req) {
+  if (process.env.APP_URL) {
+    return process.env.APP_URL.replace(/\/$/, '');
+  }
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+// Base URL of the web frontend, used for links handled by the client
+function getFrontendUrl() {
+  return (process.env.FRONTEND_URL || 'http://localhost:8080').replace(/\/$/, '');
+}
+
+/* ===== EMAIL TEMPLATES ===== */
+
+async function sendVerificationEmail(user, verificationUrl, expiresAt) {
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your CampingHub email address',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'Please confirm your email address by opening the link below:',
+      verificationUrl,
+      '',
+      `This link expires on ${expiresAt.toUTCString()} and can only be used once.`,
+      'If you did not create a CampingHub account, you can ignore this email.'
+    ].join('\n')
+  });
+}
+
+async function sendPasswordResetEmail(user, resetUrl, expiresAt) {
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your CampingHub password',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'We received a request to reset your password. Open the link below to choose a new one:',
+      resetUrl,
+      '',
+      `This link expires on ${expiresAt.toUTCString()} and can only be used once.`,
+      'If you did not request a password reset, you can ignore this email.'
+    ].join('\n')
+  });
+}
+
+async function sendPasswordChangedEmail(user) {
+  return sendMail({
+    to: user.email,
+    subject: 'Your CampingHub password was changed',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'The password of your CampingHub account was just changed and all your sessions were signed out.',
+      'If you did not do this, please contact support immediately.'
+    ].join('\n')
+  });
+}
+
+async function sendAccountLockedEmail(user, unlockUrl, lockDurationMinutes) {
+  return sendMail({
+    to: user.email,
+    subject: 'Your CampingHub account was temporarily locked',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      `We locked your account for ${lockDurationMinutes} minutes after too many failed login attempts.`,
+      'If this was you, you can unlock it right away with the link below:',
+      unlockUrl,
+      '',
+      'If this was not you, we recommend resetting your password.'
+    ].join('\n')
+  });
+}
+
+async function sendMagicLinkEmail(user, loginUrl, expiresAt) {
+  return sendMail({
+    to: user.email,
+    subject: 'Your CampingHub login link',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'Open the link below to log in to CampingHub without your password:',
+      loginUrl,
+      '',
+      `This link expires on ${expiresAt.toUTCString()}, can only be used once and only works in the browser or app where you requested it.`,
+      'If you did not request a login link, you can ignore this email.'
+    ].join('\n')
+  });
+}
+
+async function sendInvitationEmail(email, inviteUrl, role, expiresAt) {
+  return sendMail({
+    to: email,
+    subject: 'You have been invited to CampingHub',
+    text: [
+      'Hi,',
+      '',
+      `You have been invited to join CampingHub as ${role === 'ADMIN' ? 'an administrator' : 'a camping spot owner'}.`,
+      'Create your account with the link below:',
+      inviteUrl,
+      '',
+      `This invitation can be used once and expires on ${expiresAt.toUTCString()}.`
+    ].join('\n')
+  });
+}
+
+module.exports = {
+  registerTransport,
+  getTransport,
+  setTransport,
+  sendMail,
+  getBaseUrl,
+  getFrontendUrl,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail,
+  sendAccountLockedEmail,
+  sendMagicLinkEmail,
+  sendInvitationEmail
+};
@@ -0,0 +1,113 @@
+// Geographic helpers for spot search (coordinates in degrees, distances in kilometres)
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LATITUDE = 111.32;
+const MAX_RADIUS_KM = 500;
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+function isLatitude(value) {
+  return Number.isFinite(value) && value >= -90 && value <= 90;
+}
+
+function isLongitude(value) {
+  return Number.isFinite(value) && value >= -180 && value <= 180;
+}
+
+// Great-circle distance (haversine formula)
+function getDistanceKm(from, to) {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Smallest box containing the circle, used to narrow the database query before measuring distances
+function getBoundingBox(center, radiusKm) {
+  const latDelta = radiusKm / KM_PER_DEGREE_LATITUDE;
+  const minLat = Math.max(-90, center.lat - latDelta);
+  const maxLat = Math.min(90, center.lat + latDelta);
+
+  // Near the poles the circle covers every longitude
+  const cosLat = Math.cos(toRadians(center.lat));
+  if (minLat === -90 || maxLat === 90 || cosLat < 0.01) {
+    return { minLng: -180, minLat, maxLng: 180, maxLat };
+  }
+
+  const lngDelta = Math.min(180, radiusKm / (KM_PER_DEGREE_LATITUDE * cosLat));
+  let minLng = center.lng - lngDelta;
+  let maxLng = center.lng + lngDelta;
+
+  // Wrap around the antimeridian (minLng > maxLng means the box crosses it)
+  if (minLng < -180) minLng += 360;
+  if (maxLng > 180) maxLng -= 360;
+
+  return { minLng, minLat, maxLng, maxLat };
+}
+
+// Prisma filter for spots whose coordinates lie in a box
+function getCoordinateFilter(box) {
+  const latitude = { gte: box.minLat, lte: box.maxLat };
+
+  if (box.minLng <= box.maxLng) {
+    return { latitude, longitude: { gte: box.minLng, lte: box.maxLng } };
+  }
+
+  return {
+    latitude,
+    OR: [
+      { longitude: { gte: box.minLng } },
+      { longitude: { lte: box.maxLng } }
+    ]
+  };
+}
+
+// Parse the geographic search parameters. Returns { center, radiusKm, bbox } (each may be null);
+// throws GEO_INVALID_CENTER, GEO_INVALID_RADIUS, GEO_RADIUS_REQUIRES_CENTER or GEO_INVALID_BBOX
+function parseGeoQuery({ lat, lng, radiusKm, bbox }) {
+  let center = null;
+  if (lat !== undefined || lng !== undefined) {
+    center = { lat: parseFloat(lat), lng: parseFloat(lng) };
+    if (!isLatitude(center.lat) || !isLongitude(center.lng)) {
+      throw new Error('GEO_INVALID_CENTER');
+    }
+  }
+
+  let radius = null;
+  if (radiusKm !== undefined) {
+    radius = parseFloat(radiusKm);
+    if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_RADIUS_KM) {
+      throw new Error('GEO_INVALID_RADIUS');
+    }
+    if (!center) {
+      throw new Error('GEO_RADIUS_REQUIRES_CENTER');
+    }
+  }
+
+  // bbox=minLng,minLat,maxLng,maxLat (GeoJSON order)
+  let box = null;
+  if (bbox !== undefined) {
+    const parts = String(bbox).split(',').map(part => parseFloat(part));
+    const [minLng, minLat, maxLng, maxLat] = parts;
+
+    if (parts.length !== 4 || !isLongitude(minLng) || !isLongitude(maxLng) ||
+        !isLatitude(minLat) || !isLatitude(maxLat) || minLat > maxLat) {
+      throw new Error('GEO_INVALID_BBOX');
+    }
+    box = { minLng, minLat, maxLng, maxLat };
+  }
+
+  return { center, radiusKm: radius, bbox: box };
+}
+
+module.exports = {
+  MAX_RADIUS_KM,
+  getDistanceKm,
+  getBoundingBox,
+  getCoordinateFilter,
+  parseGeoQuery
+};
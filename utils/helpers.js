@@ -0,0 +1,17 @@
+// Fields that must never be returned by the API
+const PRIVATE_USER_FIELDS = ['password', 'twoFactorSecret', 'twoFactorLastUsedStep'];
+
+// Remove credentials and secrets from a user record before sending it to a client
+function sanitizeUser(user) {
+  if (!user) return user;
+
+  const safeUser = { ...user };
+  PRIVATE_USER_FIELDS.forEach(field => {
+    delete safeUser[field];
+  });
+  return safeUser;
+}
+
+module.exports = {
+  sanitizeUser
+};
@@ -0,0 +1,159 @@
+// Public holiday calendars used by HOLIDAY pricing rules. Dates are 'YYYY-MM-DD' keys.
+// Each holiday is a fixed month/day or an offset in days from Easter Sunday.
+
+const HOLIDAY_CALENDARS = {
+  BE: {
+    name: 'Belgium',
+    holidays: [
+      { name: "New Year's Day", month: 1, day: 1 },
+      { name: 'Easter Monday', easterOffset: 1 },
+      { name: 'Labour Day', month: 5, day: 1 },
+      { name: 'Ascension Day', easterOffset: 39 },
+      { name: 'Whit Monday', easterOffset: 50 },
+      { name: 'National Day', month: 7, day: 21 },
+      { name: 'Assumption Day', month: 8, day: 15 },
+      { name: "All Saints' Day", month: 11, day: 1 },
+      { name: 'Armistice Day', month: 11, day: 11 },
+      { name: 'Christmas Day', month: 12, day: 25 }
+    ]
+  },
+  NL: {
+    name: 'Netherlands',
+    holidays: [
+      { name: "New Year's Day", month: 1, day: 1 },
+      { name: 'Easter Sunday', easterOffset: 0 },
+      { name: 'Easter Monday', easterOffset: 1 },
+      { name: "King's Day", month: 4, day: 27, sundayShift: -1 },
+      { name: 'Liberation Day', month: 5, day: 5 },
+      { name: 'Ascension Day', easterOffset: 39 },
+      { name: 'Whit Sunday', easterOffset: 49 },
+      { name: 'Whit Monday', easterOffset: 50 },
+      { name: 'Christmas Day', month: 12, day: 25 },
+      { name: 'Boxing Day', month: 12, day: 26 }
+    ]
+  },
+  FR: {
+    name: 'France',
+    holidays: [
+      { name: "New Year's Day", month: 1, day: 1 },
+      { name: 'Easter Monday', easterOffset: 1 },
+      { name: 'Labour Day', month: 5, day: 1 },
+      { name: 'Victory in Europe Day', month: 5, day: 8 },
+      { name: 'Ascension Day', easterOffset: 39 },
+      { name: 'Whit Monday', easterOffset: 50 },
+      { name: 'Bastille Day', month: 7, day: 14 },
+      { name: 'Assumption Day', month: 8, day: 15 },
+      { name: "All Saints' Day", month: 11, day: 1 },
+      { name: 'Armistice Day', month: 11, day: 11 },
+      { name: 'Christmas Day', month: 12, day: 25 }
+    ]
+  },
+  DE: {
+    name: 'Germany',
+    holidays: [
+      { name: "New Year's Day", month: 1, day: 1 },
+      { name: 'Good Friday', easterOffset: -2 },
+      { name: 'Easter Monday', easterOffset: 1 },
+      { name: 'Labour Day', month: 5, day: 1 },
+      { name: 'Ascension Day', easterOffset: 39 },
+      { name: 'Whit Monday', easterOffset: 50 },
+      { name: 'German Unity Day', month: 10, day: 3 },
+      { name: 'Christmas Day', month: 12, day: 25 },
+      { name: 'Boxing Day', month: 12, day: 26 }
+    ]
+  },
+  LU: {
+    name: 'Luxembourg',
+    holidays: [
+      { name: "New Year's Day", month: 1, day: 1 },
+      { name: 'Easter Monday', easterOffset: 1 },
+      { name: 'Labour Day', month: 5, day: 1 },
+      { name: 'Europe Day', month: 5, day: 9 },
+      { name: 'Ascension Day', easterOffset: 39 },
+      { name: 'Whit Monday', easterOffset: 50 },
+      { name: 'National Day', month: 6, day: 23 },
+      { name: 'Assumption Day', month: 8, day: 15 },
+      { name: "All Saints' Day", month: 11, day: 1 },
+      { name: 'Christmas Day', month: 12, day: 25 },
+      { name: 'Boxing Day', month: 12, day: 26 }
+    ]
+  }
+};
+
+const cache = new Map();
+
+function toKey(date) {
+  return date.toISOString().substring(0, 10);
+}
+
+// Easter Sunday (anonymous Gregorian algorithm), as a UTC date
+function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+// Holidays of a calendar in a year, as a Map of date key -> name
+function getHolidays(calendar, year) {
+  const cacheKey = `${calendar}:${year}`;
+  if (cache.has(cacheKey)) {
+    return cache.get(cacheKey);
+  }
+
+  const holidays = new Map();
+  const definition = HOLIDAY_CALENDARS[calendar];
+
+  if (definition) {
+    const easter = getEasterSunday(year);
+    definition.holidays.forEach(holiday => {
+      let date;
+      if (holiday.easterOffset !== undefined) {
+        date = new Date(easter.getTime() + holiday.easterOffset * 24 * 60 * 60 * 1000);
+      } else {
+        date = new Date(Date.UTC(year, holiday.month - 1, holiday.day));
+        if (holiday.sundayShift && date.getUTCDay() === 0) {
+          date.setUTCDate(date.getUTCDate() + holiday.sundayShift);
+        }
+      }
+      holidays.set(toKey(date), holiday.name);
+    });
+  }
+
+  cache.set(cacheKey, holidays);
+  return holidays;
+}
+
+// Name of the holiday on a date key, or null
+function getHolidayName(calendar, dateKey) {
+  return getHolidays(calendar, parseInt(dateKey.substring(0, 4))).get(dateKey) || null;
+}
+
+function isHolidayCalendar(calendar) {
+  return Object.prototype.hasOwnProperty.call(HOLIDAY_CALENDARS, calendar);
+}
+
+// Calendars for API responses: [{ code, name }]
+function listHolidayCalendars() {
+  return Object.keys(HOLIDAY_CALENDARS).map(code => ({ code, name: HOLIDAY_CALENDARS[code].name }));
+}
+
+module.exports = {
+  getEasterSunday,
+  getHolidays,
+  getHolidayName,
+  isHolidayCalendar,
+  listHolidayCalendars
+};
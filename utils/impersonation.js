@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getClientInfo } = require('./tokenService');
+
+// Admin impersonation for customer support. The admin receives a short-lived access token
+// for the target user that also carries the admin (`act`) and the impersonation session (`imp`).
+// There is no refresh token; every request made with it is written to impersonation_requests.
+
+const TOKEN_TTL_MINUTES = parseInt(process.env.IMPERSONATION_TOKEN_TTL_MINUTES) || 15;
+const CACHE_TTL_MS = (parseInt(process.env.AUTH_STATE_CACHE_TTL_SECONDS) || 10) * 1000;
+const MAX_CACHE_ENTRIES = 10000;
+const cache = new Map();
+
+// Start impersonating a user. Returns { impersonation, accessToken, expiresIn }
+async function startImpersonation(prisma, req, admin, targetUser, reason) {
+  const { createdByIp, userAgent } = getClientInfo(req);
+
+  const impersonation = await prisma.impersonationSession.create({
+    data: {
+      id: crypto.randomUUID(),
+      adminId: admin.id,
+      targetUserId: targetUser.id,
+      reason,
+      ipAddress: createdByIp,
+      userAgent,
+      expiresAt: new Date(Date.now() + TOKEN_TTL_MINUTES * 60 * 1000)
+    }
+  });
+
+  const accessToken = jwt.sign(
+    {
+      userId: targetUser.id,
+      email: targetUser.email,
+      role: targetUser.role,
+      tv: targetUser.tokenVersion || 0,
+      imp: impersonation.id,
+      act: { userId: admin.id, email: admin.email },
+      type: 'access'
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: TOKEN_TTL_MINUTES * 60 }
+  );
+
+  return { impersonation, accessToken, expiresIn: TOKEN_TTL_MINUTES * 60 };
+}
+
+// Returns { id, adminId, targetUserId, expiresAt, endedAt } or null (briefly cached)
+async function getImpersonationState(prisma, impersonationId) {
+  const cached = cache.get(impersonationId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.state;
+  }
+
+  const state = await prisma.impersonationSession.findUnique({
+    where: { id: impersonationId },
+    select: { id: true, adminId: true, targetUserId: true, expiresAt: true, endedAt: true }
+  });
+
+  if (cache.size >= MAX_CACHE_ENTRIES) {
+    cache.clear();
+  }
+  cache.set(impersonationId, { state, expiresAt: Date.now() + CACHE_TTL_MS });
+
+  return state;
+}
+
+function isImpersonationActive(state) {
+  return Boolean(state && !state.endedAt && state.expiresAt > new Date());
+}
+
+// End an impersonation session. Returns false if it was not active.
+async function endImpersonation(prisma, impersonationId) {
+  const result = await prisma.impersonationSession.updateMany({
+    where: { id: impersonationId, endedAt: null, expiresAt: { gt: new Date() } },
+    data: { endedAt: new Date() }
+  });
+
+  cache.delete(impersonationId);
+  return result.count > 0;
+}
+
+// Write the request to the audit trail once the response has been sent. Errors are only logged.
+function auditImpersonatedRequest(prisma, req, res) {
+  const startedAt = Date.now();
+
+  res.on('finish', () => {
+    prisma.impersonationRequest.create({
+      data: {
+        impersonationId: req.impersonation.id,
+        method: req.method,
+        path: req.originalUrl.substring(0, 500),
+        statusCode: res.statusCode,
+        blocked: Boolean(req.impersonation.blocked),
+        ipAddress: req.ip || null,
+        durationMs: Date.now() - startedAt
+      }
+    }).catch(error => {
+      console.error('Failed to record impersonated request:', error);
+    });
+  });
+}
+
+module.exports = {
+  TOKEN_TTL_MINUTES,
+  startImpersonation,
+  getImpersonationState,
+  isImpersonationActive,
+  endImpersonation,
+  auditImpersonatedRequest
+};
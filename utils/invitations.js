@@ -0,0 +1,96 @@
+const { generateOpaqueToken, hashToken } = require('./tokenService');
+const { getFrontendUrl, sendInvitationEmail } = require('./emailService');
+
+// Roles that can only be obtained through an invitation
+const INVITABLE_ROLES = ['OWNER', 'ADMIN'];
+const DEFAULT_EXPIRY_DAYS = 7;
+const MAX_EXPIRY_DAYS = 30;
+
+function normalizeEmail(email) {
+  return email ? String(email).toLowerCase().trim() : null;
+}
+
+// PENDING, USED, REVOKED or EXPIRED
+function getInvitationStatus(invitation) {
+  if (invitation.usedAt) return 'USED';
+  if (invitation.revokedAt) return 'REVOKED';
+  if (invitation.expiresAt < new Date()) return 'EXPIRED';
+  return 'PENDING';
+}
+
+// Create an invitation. The plain code is only returned here; the database keeps its hash.
+async function createInvitation(prisma, { role, email, expiresInDays = DEFAULT_EXPIRY_DAYS, createdById }) {
+  const code = generateOpaqueToken(16);
+  const expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+
+  const invitation = await prisma.invitation.create({
+    data: {
+      codeHash: hashToken(code),
+      role,
+      email: normalizeEmail(email),
+      expiresAt,
+      createdById
+    }
+  });
+
+  const inviteUrl = `${getFrontendUrl()}/register?invite=${code}`;
+
+  // Invites bound to an address are emailed; others are handed out by the admin
+  if (invitation.email) {
+    sendInvitationEmail(invitation.email, inviteUrl, role, expiresAt).catch(error => {
+      console.error('Failed to send invitation email:', error);
+    });
+  }
+
+  return { invitation, code, inviteUrl };
+}
+
+// Look up a redeemable invitation for an email address.
+// Throws INVITE_INVALID, INVITE_USED, INVITE_REVOKED, INVITE_EXPIRED or INVITE_EMAIL_MISMATCH.
+async function findRedeemableInvitation(prisma, code, email) {
+  const invitation = await prisma.invitation.findUnique({
+    where: { codeHash: hashToken(String(code)) }
+  });
+
+  if (!invitation) {
+    throw new Error('INVITE_INVALID');
+  }
+
+  const status = getInvitationStatus(invitation);
+  if (status !== 'PENDING') {
+    throw new Error(`INVITE_${status}`);
+  }
+
+  if (invitation.email && invitation.email !== normalizeEmail(email)) {
+    throw new Error('INVITE_EMAIL_MISMATCH');
+  }
+
+  return invitation;
+}
+
+// Mark an invitation as used by a new user. Only one registration can redeem it.
+async function redeemInvitation(prisma, invitationId, userId) {
+  const redeemed = await prisma.invitation.updateMany({
+    where: {
+      id: invitationId,
+      usedAt: null,
+      revokedAt: null,
+      expiresAt: { gt: new Date() }
+    },
+    data: { usedAt: new Date(), usedById: userId }
+  });
+
+  if (redeemed.count === 0) {
+    throw new Error('INVITE_USED');
+  }
+}
+
+module.exports = {
+  INVITABLE_ROLES,
+  DEFAULT_EXPIRY_DAYS,
+  MAX_EXPIRY_DAYS,
+  getInvitationStatus,
+  createInvitation,
+  findRedeemableInvitation,
+  redeemInvitation
+};
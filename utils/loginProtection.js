@@ -0,0 +1,126 @@
+// Brute-force protection for password logins.
+// Failed attempts are counted per account (normalized email) and per IP address.
+// After a few free attempts every new attempt has to wait an exponentially growing delay,
+// and reaching the threshold locks the account (or IP) temporarily.
+
+const ACCOUNT_LOCK_THRESHOLD = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 10;
+const IP_LOCK_THRESHOLD = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS_PER_IP) || 50;
+const LOCK_DURATION_MINUTES = parseInt(process.env.LOGIN_LOCK_DURATION_MINUTES) || 15;
+const FREE_ATTEMPTS = 3;
+const MAX_DELAY_SECONDS = 30;
+const FAILURE_WINDOW_MS = 60 * 60 * 1000; // Counters reset after an hour without failures
+
+function normalizeEmail(email) {
+  return String(email || '').toLowerCase().trim();
+}
+
+function getThrottleKeys({ email, ip }) {
+  const keys = [{ scope: 'ACCOUNT', key: normalizeEmail(email) }];
+  if (ip) {
+    keys.push({ scope: 'IP', key: ip });
+  }
+  return keys;
+}
+
+// Seconds a client has to wait after `failedCount` consecutive failures
+function getProgressiveDelay(failedCount) {
+  if (failedCount < FREE_ATTEMPTS) {
+    return 0;
+  }
+  return Math.min(2 ** (failedCount - FREE_ATTEMPTS), MAX_DELAY_SECONDS);
+}
+
+// Check whether a login attempt is currently allowed.
+// Returns { blocked: false } or { blocked: true, reason, retryAfter }
+async function getLoginBlock(prisma, { email, ip }) {
+  const now = Date.now();
+  const throttles = await prisma.loginThrottle.findMany({
+    where: { OR: getThrottleKeys({ email, ip }) }
+  });
+
+  for (const throttle of throttles) {
+    if (throttle.lockedUntil && throttle.lockedUntil.getTime() > now) {
+      return {
+        blocked: true,
+        reason: throttle.scope === 'ACCOUNT' ? 'ACCOUNT_LOCKED' : 'IP_LOCKED',
+        retryAfter: Math.ceil((throttle.lockedUntil.getTime() - now) / 1000)
+      };
+    }
+  }
+
+  // Progressive delays only apply per account; shared IPs (NAT, offices) are only locked at the threshold
+  for (const throttle of throttles) {
+    if (throttle.scope !== 'ACCOUNT' || !throttle.lastFailedAt ||
+        now - throttle.lastFailedAt.getTime() > FAILURE_WINDOW_MS) {
+      continue;
+    }
+
+    const delayMs = getProgressiveDelay(throttle.failedCount) * 1000;
+    const waitedMs = now - throttle.lastFailedAt.getTime();
+    if (waitedMs < delayMs) {
+      return {
+        blocked: true,
+        reason: 'TOO_MANY_ATTEMPTS',
+        retryAfter: Math.ceil((delayMs - waitedMs) / 1000)
+      };
+    }
+  }
+
+  return { blocked: false };
+}
+
+// Count a failed attempt. Returns { accountLocked, ipLocked } for the locks triggered by this failure.
+async function recordLoginFailure(prisma, { email, ip }) {
+  const now = new Date();
+  const result = { accountLocked: false, ipLocked: false };
+
+  for (const { scope, key } of getThrottleKeys({ email, ip })) {
+    const existing = await prisma.loginThrottle.findUnique({
+      where: { scope_key: { scope, key } }
+    });
+
+    const withinWindow = existing && existing.lastFailedAt &&
+      now.getTime() - existing.lastFailedAt.getTime() <= FAILURE_WINDOW_MS;
+    const failedCount = withinWindow ? existing.failedCount + 1 : 1;
+    const threshold = scope === 'ACCOUNT' ? ACCOUNT_LOCK_THRESHOLD : IP_LOCK_THRESHOLD;
+
+    const data = { failedCount, lastFailedAt: now };
+    if (failedCount >= threshold) {
+      data.lockedUntil = new Date(now.getTime() + LOCK_DURATION_MINUTES * 60 * 1000);
+      data.failedCount = 0;
+      result[scope === 'ACCOUNT' ? 'accountLocked' : 'ipLocked'] = true;
+    }
+
+    await prisma.loginThrottle.upsert({
+      where: { scope_key: { scope, key } },
+      create: { scope, key, ...data },
+      update: data
+    });
+  }
+
+  return result;
+}
+
+// Reset the account counter after a successful login.
+// The IP counter is left to decay so one valid account can't be used to reset it.
+async function recordLoginSuccess(prisma, { email }) {
+  await prisma.loginThrottle.deleteMany({
+    where: { scope: 'ACCOUNT', key: normalizeEmail(email) }
+  });
+}
+
+// Clear the lock and failed attempts of an account (unlock link, password reset)
+async function unlockAccount(prisma, email) {
+  await prisma.loginThrottle.deleteMany({
+    where: { scope: 'ACCOUNT', key: normalizeEmail(email) }
+  });
+}
+
+module.exports = {
+  LOCK_DURATION_MINUTES,
+  getProgressiveDelay,
+  getLoginBlock,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount
+};
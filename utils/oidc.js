@@ -0,0 +1,322 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const jwt = require('jsonwebtoken');
+const { generateOpaqueToken, hashToken } = require('./tokenService');
+const { getFrontendUrl } = require('./emailService');
+
+// OpenID Connect login (authorization code flow with PKCE).
+// Providers are configured through the environment:
+//   OIDC_PROVIDERS=google,apple
+//   OIDC_GOOGLE_CLIENT_ID=...  OIDC_GOOGLE_CLIENT_SECRET=...  OIDC_GOOGLE_ISSUER=... (optional for known providers)
+// OIDC_MOCK_ENABLED=true adds the local mock identity provider (routes/oidcMock.js); never in production.
+
+const AUTH_REQUEST_TTL_MS = 10 * 60 * 1000;
+const METADATA_CACHE_TTL_MS = 60 * 60 * 1000;
+const HTTP_TIMEOUT_MS = 10 * 1000;
+
+const KNOWN_ISSUERS = {
+  google: 'https://accounts.google.com',
+  apple: 'https://appleid.apple.com'
+};
+
+const DISPLAY_NAMES = {
+  google: 'Google',
+  apple: 'Apple',
+  mock: 'Local test provider'
+};
+
+const MOCK_CLIENT_ID = 'campinghub-local';
+
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+/* ===== CONFIGURATION ===== */
+
+function getServerUrl() {
+  return (process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+}
+
+// The mock provider signs in any email address, so it is never served in production
+function isMockProviderEnabled() {
+  return process.env.OIDC_MOCK_ENABLED === 'true' && process.env.NODE_ENV !== 'production';
+}
+
+// Where providers send the browser back to; the frontend posts code + state to /api/auth/oidc/callback
+function getRedirectUri() {
+  return process.env.OIDC_REDIRECT_URI || `${getFrontendUrl()}/auth/oidc/callback`;
+}
+
+function getProviders() {
+  const providers = {};
+
+  const names = (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  names.forEach(name => {
+    const prefix = `OIDC_${name.toUpperCase()}_`;
+    const issuer = process.env[`${prefix}ISSUER`] || KNOWN_ISSUERS[name];
+    const clientId = process.env[`${prefix}CLIENT_ID`];
+
+    if (!issuer || !clientId) {
+      console.warn(`⚠️ OIDC provider "${name}" is missing its issuer or client id and was skipped`);
+      return;
+    }
+
+    providers[name] = {
+      name,
+      displayName: process.env[`${prefix}DISPLAY_NAME`] || DISPLAY_NAMES[name] || name,
+      issuer: issuer.replace(/\/$/, ''),
+      clientId,
+      clientSecret: process.env[`${prefix}CLIENT_SECRET`] || null,
+      scope: process.env[`${prefix}SCOPE`] || 'openid email profile'
+    };
+  });
+
+  if (isMockProviderEnabled()) {
+    providers.mock = {
+      name: 'mock',
+      displayName: DISPLAY_NAMES.mock,
+      issuer: process.env.OIDC_MOCK_ISSUER || `${getServerUrl()}/api/oidc-mock`,
+      clientId: MOCK_CLIENT_ID,
+      clientSecret: null,
+      scope: 'openid email profile'
+    };
+  }
+
+  return providers;
+}
+
+function getProvider(name) {
+  const provider = getProviders()[String(name).toLowerCase()];
+  if (!provider) {
+    throw new Error('OIDC_PROVIDER_UNKNOWN');
+  }
+  return provider;
+}
+
+/* ===== HTTP ===== */
+
+// Minimal JSON client (GET, or POST with a form body)
+function requestJson(url, { form } = {}) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    const body = form ? new URLSearchParams(form).toString() : null;
+
+    const req = client.request(target, {
+      method: body ? 'POST' : 'GET',
+      headers: {
+        Accept: 'application/json',
+        ...(body && {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Content-Length': Buffer.byteLength(body)
+        })
+      },
+      timeout: HTTP_TIMEOUT_MS
+    }, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => {
+        let json;
+        try {
+          json = JSON.parse(data);
+        } catch (error) {
+          return reject(new Error(`Invalid JSON from ${target.origin}${target.pathname}`));
+        }
+
+        if (res.statusCode >= 400) {
+          const error = new Error(`HTTP ${res.statusCode} from ${target.origin}${target.pathname}`);
+          error.response = json;
+          return reject(error);
+        }
+
+        resolve(json);
+      });
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`Request to ${target.origin} timed out`)));
+    req.on('error', reject);
+
+    if (body) {
+      req.write(body);
+    }
+    req.end();
+  });
+}
+
+/* ===== DISCOVERY ===== */
+
+async function getProviderMetadata(provider) {
+  const cached = metadataCache.get(provider.issuer);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.metadata;
+  }
+
+  const metadata = await requestJson(`${provider.issuer}/.well-known/openid-configuration`);
+  if (String(metadata.issuer).replace(/\/$/, '') !== provider.issuer) {
+    throw new Error(`OIDC issuer mismatch for provider ${provider.name}`);
+  }
+
+  metadataCache.set(provider.issuer, { metadata, expiresAt: Date.now() + METADATA_CACHE_TTL_MS });
+  return metadata;
+}
+
+// Signing key for an ID token; the key set is refetched once when the key id is unknown (key rotation)
+async function getSigningKey(metadata, kid) {
+  for (const refresh of [false, true]) {
+    let keys = jwksCache.get(metadata.jwks_uri);
+    if (!keys || refresh) {
+      ({ keys } = await requestJson(metadata.jwks_uri));
+      jwksCache.set(metadata.jwks_uri, keys);
+    }
+
+    const jwk = keys.find(key => !kid || key.kid === kid);
+    if (jwk) {
+      return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    }
+  }
+
+  throw new Error('OIDC_ID_TOKEN_INVALID');
+}
+
+/* ===== PKCE ===== */
+
+function createCodeChallenge(codeVerifier) {
+  return crypto.createHash('sha256').update(codeVerifier).digest('base64')
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/* ===== FLOW ===== */
+
+// Start a login (or, with userId, an account link). Returns the URL to send the browser to.
+async function createAuthorizationRequest(prisma, providerName, { userId = null } = {}) {
+  const provider = getProvider(providerName);
+  const metadata = await getProviderMetadata(provider);
+
+  const state = generateOpaqueToken();
+  const nonce = generateOpaqueToken(16);
+  const codeVerifier = generateOpaqueToken();
+  const expiresAt = new Date(Date.now() + AUTH_REQUEST_TTL_MS);
+
+  await prisma.oidcAuthRequest.create({
+    data: {
+      stateHash: hashToken(state),
+      provider: provider.name,
+      codeVerifier,
+      nonce,
+      userId,
+      expiresAt
+    }
+  });
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: getRedirectUri(),
+    scope: provider.scope,
+    state,
+    nonce,
+    code_challenge: createCodeChallenge(codeVerifier),
+    code_challenge_method: 'S256'
+  });
+
+  return {
+    provider: provider.name,
+    authorizationUrl: `${metadata.authorization_endpoint}?${params.toString()}`,
+    state,
+    expiresAt
+  };
+}
+
+// Finish the flow: consume the state, exchange the code and validate the ID token.
+// Returns { authRequest, identity: { provider, subject, email, emailVerified, firstName, lastName } }
+async function completeAuthorization(prisma, { code, state }) {
+  const authRequest = await prisma.oidcAuthRequest.findUnique({
+    where: { stateHash: hashToken(String(state)) }
+  });
+
+  if (!authRequest || authRequest.expiresAt < new Date()) {
+    throw new Error('OIDC_STATE_INVALID');
+  }
+
+  // Each state can only be used once
+  const consumed = await prisma.oidcAuthRequest.updateMany({
+    where: { id: authRequest.id, usedAt: null },
+    data: { usedAt: new Date() }
+  });
+
+  if (consumed.count === 0) {
+    throw new Error('OIDC_STATE_INVALID');
+  }
+
+  const provider = getProvider(authRequest.provider);
+  const metadata = await getProviderMetadata(provider);
+
+  let tokenResponse;
+  try {
+    tokenResponse = await requestJson(metadata.token_endpoint, {
+      form: {
+        grant_type: 'authorization_code',
+        code: String(code),
+        redirect_uri: getRedirectUri(),
+        client_id: provider.clientId,
+        ...(provider.clientSecret && { client_secret: provider.clientSecret }),
+        code_verifier: authRequest.codeVerifier
+      }
+    });
+  } catch (error) {
+    console.error(`OIDC token exchange with ${provider.name} failed:`, error.message, error.response || '');
+    throw new Error('OIDC_TOKEN_EXCHANGE_FAILED');
+  }
+
+  if (!tokenResponse.id_token) {
+    throw new Error('OIDC_TOKEN_EXCHANGE_FAILED');
+  }
+
+  let claims;
+  try {
+    const { header } = jwt.decode(tokenResponse.id_token, { complete: true }) || {};
+    const key = await getSigningKey(metadata, header && header.kid);
+
+    claims = jwt.verify(tokenResponse.id_token, key, {
+      algorithms: ['RS256', 'ES256'],
+      issuer: metadata.issuer,
+      audience: provider.clientId
+    });
+  } catch (error) {
+    console.error(`OIDC ID token from ${provider.name} rejected:`, error.message);
+    throw new Error('OIDC_ID_TOKEN_INVALID');
+  }
+
+  if (claims.nonce !== authRequest.nonce || !claims.sub) {
+    throw new Error('OIDC_ID_TOKEN_INVALID');
+  }
+
+  return {
+    authRequest,
+    identity: {
+      provider: provider.name,
+      subject: String(claims.sub),
+      email: claims.email ? String(claims.email).toLowerCase() : null,
+      // Apple sends the flag as a string
+      emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+      firstName: claims.given_name || (claims.name ? String(claims.name).split(' ')[0] : null),
+      lastName: claims.family_name || null
+    }
+  };
+}
+
+module.exports = {
+  MOCK_CLIENT_ID,
+  isMockProviderEnabled,
+  getRedirectUri,
+  getProviders,
+  getProvider,
+  createCodeChallenge,
+  createAuthorizationRequest,
+  completeAuthorization
+};
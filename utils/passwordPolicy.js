@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getSetting } = require('./settings');
+
+// Password policy applied to registration, password reset and password change.
+// The policy is an admin setting (security.passwordPolicy); stored values override the defaults.
+
+const DEFAULT_PASSWORD_POLICY = {
+  minLength: 8,
+  requireLowercase: true,
+  requireUppercase: true,
+  requireNumber: true,
+  requireSymbol: false,
+  disallowEmail: true,
+  checkBreached: true
+};
+
+const MIN_ALLOWED_LENGTH = 6;
+const MAX_PASSWORD_BYTES = 72; // bcrypt ignores everything after 72 bytes
+
+const BREACHED_LIST_PATH = process.env.PASSWORD_BREACHED_LIST_PATH ||
+  path.join(__dirname, '..', 'data', 'breached-password-hashes.txt');
+
+// SHA-1 hash suffixes of breached passwords, keyed by their 5 character prefix
+let breachedIndex = null;
+
+function loadBreachedIndex() {
+  if (breachedIndex) {
+    return breachedIndex;
+  }
+
+  breachedIndex = new Map();
+  try {
+    fs.readFileSync(BREACHED_LIST_PATH, 'utf8').split('\n').forEach(line => {
+      const hash = line.trim().split(':')[0].toUpperCase();
+      if (!/^[0-9A-F]{40}$/.test(hash)) return;
+
+      const prefix = hash.substring(0, 5);
+      if (!breachedIndex.has(prefix)) {
+        breachedIndex.set(prefix, new Set());
+      }
+      breachedIndex.get(prefix).add(hash.substring(5));
+    });
+  } catch (error) {
+    console.warn(`⚠️ Breached password list could not be loaded from ${BREACHED_LIST_PATH}:`, error.message);
+  }
+
+  return breachedIndex;
+}
+
+function isBreachedPassword(password) {
+  const hash = crypto.createHash('sha1').update(password).digest('hex').toUpperCase();
+  const suffixes = loadBreachedIndex().get(hash.substring(0, 5));
+  return Boolean(suffixes && suffixes.has(hash.substring(5)));
+}
+
+async function getPasswordPolicy(prisma) {
+  const stored = await getSetting(prisma, 'security.passwordPolicy');
+  return { ...DEFAULT_PASSWORD_POLICY, ...(stored || {}) };
+}
+
+// Fields of a policy update that are unknown or have an invalid value
+function getInvalidPolicyFields(policy) {
+  return Object.keys(policy).filter(field => {
+    if (!(field in DEFAULT_PASSWORD_POLICY)) return true;
+    if (field === 'minLength') {
+      return !Number.isInteger(policy.minLength) ||
+        policy.minLength < MIN_ALLOWED_LENGTH || policy.minLength > MAX_PASSWORD_BYTES;
+    }
+    return typeof policy[field] !== 'boolean';
+  });
+}
+
+// Check a password against a policy. `email` is the account's address.
+// Returns a list of { code, message }, empty when the password is acceptable.
+function getPasswordViolations(password, policy, { email } = {}) {
+  const violations = [];
+  const value = String(password);
+
+  if (value.length < policy.minLength) {
+    violations.push({
+      code: 'PASSWORD_TOO_SHORT',
+      message: `Password must be at least ${policy.minLength} characters long`
+    });
+  }
+
+  if (Buffer.byteLength(value) > MAX_PASSWORD_BYTES) {
+    violations.push({
+      code: 'PASSWORD_TOO_LONG',
+      message: `Password must be at most ${MAX_PASSWORD_BYTES} bytes long`
+    });
+  }
+
+  if (policy.requireLowercase && !/[a-z]/.test(value)) {
+    violations.push({ code: 'PASSWORD_LOWERCASE_REQUIRED', message: 'Password must contain a lowercase letter' });
+  }
+
+  if (policy.requireUppercase && !/[A-Z]/.test(value)) {
+    violations.push({ code: 'PASSWORD_UPPERCASE_REQUIRED', message: 'Password must contain an uppercase letter' });
+  }
+
+  if (policy.requireNumber && !/[0-9]/.test(value)) {
+    violations.push({ code: 'PASSWORD_NUMBER_REQUIRED', message: 'Password must contain a number' });
+  }
+
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+    violations.push({ code: 'PASSWORD_SYMBOL_REQUIRED', message: 'Password must contain a symbol' });
+  }
+
+  if (policy.disallowEmail && email) {
+    const lowerValue = value.toLowerCase();
+    const localPart = String(email).toLowerCase().split('@')[0];
+
+    if (lowerValue.includes(String(email).toLowerCase()) || (localPart.length >= 3 && lowerValue.includes(localPart))) {
+      violations.push({ code: 'PASSWORD_CONTAINS_EMAIL', message: 'Password must not contain your email address' });
+    }
+  }
+
+  if (policy.checkBreached && isBreachedPassword(value)) {
+    violations.push({
+      code: 'PASSWORD_BREACHED',
+      message: 'This password has appeared in a data breach and cannot be used'
+    });
+  }
+
+  return violations;
+}
+
+async function validatePassword(prisma, password, context) {
+  const policy = await getPasswordPolicy(prisma);
+  return getPasswordViolations(password, policy, context);
+}
+
+module.exports = {
+  DEFAULT_PASSWORD_POLICY,
+  MIN_ALLOWED_LENGTH,
+  MAX_PASSWORD_BYTES,
+  isBreachedPassword,
+  getPasswordPolicy,
+  getInvalidPolicyFields,
+  getPasswordViolations,
+  validatePassword
+};
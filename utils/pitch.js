@@ -0,0 +1,225 @@
+const { Prisma } = require('@prisma/client');
+
+// Pitch attributes of a spot (the setups it takes, vehicle length, electricity, hookups, surface)
+// and the vehicle guests bring. A spot without pitch types or length limit takes any vehicle, and
+// the vehicle filters of the search keep it; the other filters only match spots that state the attribute.
+
+const PITCH_TYPES = ['TENT', 'CARAVAN', 'CAMPER', 'GLAMPING'];
+const SURFACE_TYPES = ['GRASS', 'GRAVEL', 'HARDSTANDING', 'SAND'];
+const VEHICLE_TYPES = ['CAR', 'CARAVAN', 'CAMPER'];
+
+// Pitch types that take each vehicle (guests come by car for a tent or a glamping stay)
+const VEHICLE_PITCH_TYPES = {
+  CAR: ['TENT', 'GLAMPING'],
+  CARAVAN: ['CARAVAN'],
+  CAMPER: ['CAMPER']
+};
+
+const MAX_VEHICLE_LENGTH = 25; // metres
+const MAX_ELECTRICITY_AMPS = 63;
+
+// Upper-cased values of a list sent as an array or a comma-separated string, or null if invalid
+function parseValueList(value) {
+  if (Array.isArray(value)) {
+    return value.every(item => typeof item === 'string') ? value.map(item => item.trim().toUpperCase()) : null;
+  }
+  if (typeof value === 'string') {
+    return value.split(',').map(item => item.trim().toUpperCase()).filter(Boolean);
+  }
+  return null;
+}
+
+function parseBooleanInput(value) {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  return null;
+}
+
+// Pitch attributes as returned by the API
+function formatPitch(spot) {
+  return {
+    pitchTypes: Array.isArray(spot.pitchTypes) ? spot.pitchTypes : [],
+    maxVehicleLength: spot.maxVehicleLength,
+    electricityAmps: spot.electricityAmps,
+    hasWaterHookup: spot.hasWaterHookup,
+    hasDrainHookup: spot.hasDrainHookup,
+    surfaceType: spot.surfaceType
+  };
+}
+
+// Prisma data for the pitch attributes present in a request body: { data, error }
+function parsePitchInput(body) {
+  const data = {};
+
+  if (body.pitchTypes !== undefined) {
+    const types = body.pitchTypes === null ? [] : parseValueList(body.pitchTypes);
+    if (!types || types.some(type => !PITCH_TYPES.includes(type))) {
+      return { error: `pitchTypes must be a list of: ${PITCH_TYPES.join(', ')}` };
+    }
+    data.pitchTypes = [...new Set(types)];
+  }
+
+  if (body.maxVehicleLength !== undefined) {
+    const length = body.maxVehicleLength === null || body.maxVehicleLength === '' ? null : Number(body.maxVehicleLength);
+    if (length !== null && !(length > 0 && length <= MAX_VEHICLE_LENGTH)) {
+      return { error: `maxVehicleLength must be a length in metres, at most ${MAX_VEHICLE_LENGTH} (or null for no limit)` };
+    }
+    data.maxVehicleLength = length;
+  }
+
+  if (body.electricityAmps !== undefined) {
+    const amps = body.electricityAmps === null || body.electricityAmps === '' ? null : Number(body.electricityAmps);
+    if (amps !== null && !(Number.isInteger(amps) && amps > 0 && amps <= MAX_ELECTRICITY_AMPS)) {
+      return { error: `electricityAmps must be a whole number of amperes up to ${MAX_ELECTRICITY_AMPS} (or null for no electricity)` };
+    }
+    data.electricityAmps = amps;
+  }
+
+  for (const field of ['hasWaterHookup', 'hasDrainHookup']) {
+    if (body[field] !== undefined) {
+      const value = parseBooleanInput(body[field]);
+      if (value === null) {
+        return { error: `${field} must be true or false` };
+      }
+      data[field] = value;
+    }
+  }
+
+  if (body.surfaceType !== undefined) {
+    const surface = body.surfaceType === null || body.surfaceType === '' ? null : String(body.surfaceType).toUpperCase();
+    if (surface !== null && !SURFACE_TYPES.includes(surface)) {
+      return { error: `surfaceType must be one of: ${SURFACE_TYPES.join(', ')}` };
+    }
+    data.surfaceType = surface;
+  }
+
+  return { data };
+}
+
+// Vehicle of a booking from a request body: { vehicle: { vehicleType, vehicleLength }, error }
+function parseVehicleInput(body) {
+  const vehicleType = body.vehicleType === undefined || body.vehicleType === null || body.vehicleType === ''
+    ? null
+    : String(body.vehicleType).toUpperCase();
+  const vehicleLength = body.vehicleLength === undefined || body.vehicleLength === null || body.vehicleLength === ''
+    ? null
+    : Number(body.vehicleLength);
+
+  if (vehicleType !== null && !VEHICLE_TYPES.includes(vehicleType)) {
+    return { error: `vehicleType must be one of: ${VEHICLE_TYPES.join(', ')}` };
+  }
+
+  if (vehicleLength !== null && !(vehicleLength > 0 && vehicleLength <= MAX_VEHICLE_LENGTH)) {
+    return { error: `vehicleLength must be a length in metres, at most ${MAX_VEHICLE_LENGTH}` };
+  }
+
+  if (vehicleLength !== null && vehicleType === null) {
+    return { error: 'vehicleLength requires a vehicleType' };
+  }
+
+  return { vehicle: { vehicleType, vehicleLength } };
+}
+
+// Problem with bringing a vehicle to a spot, or null: { code, message }
+function getVehicleViolation(spot, vehicle) {
+  if (!vehicle.vehicleType) {
+    return null;
+  }
+
+  const pitchTypes = Array.isArray(spot.pitchTypes) ? spot.pitchTypes : [];
+  if (pitchTypes.length > 0 && !VEHICLE_PITCH_TYPES[vehicle.vehicleType].some(type => pitchTypes.includes(type))) {
+    return {
+      code: 'VEHICLE_TYPE_NOT_ALLOWED',
+      message: `This spot takes: ${pitchTypes.join(', ')}. A ${vehicle.vehicleType.toLowerCase()} does not fit.`
+    };
+  }
+
+  if (spot.maxVehicleLength !== null && spot.maxVehicleLength !== undefined) {
+    if (vehicle.vehicleLength === null && vehicle.vehicleType !== 'CAR') {
+      return {
+        code: 'VEHICLE_LENGTH_REQUIRED',
+        message: `This spot takes vehicles up to ${spot.maxVehicleLength} m. Please provide vehicleLength.`
+      };
+    }
+    if (vehicle.vehicleLength !== null && vehicle.vehicleLength > spot.maxVehicleLength) {
+      return {
+        code: 'VEHICLE_TOO_LONG',
+        message: `This spot takes vehicles up to ${spot.maxVehicleLength} m`
+      };
+    }
+  }
+
+  return null;
+}
+
+// Prisma filters for the pitch query parameters of the spot search. Returns { filters, error }.
+function parsePitchFilters(query) {
+  const filters = [];
+
+  if (query.pitchType !== undefined) {
+    const types = parseValueList(query.pitchType);
+    if (!types || types.length === 0 || types.some(type => !PITCH_TYPES.includes(type))) {
+      return { error: `pitchType must be a list of: ${PITCH_TYPES.join(', ')}` };
+    }
+    filters.push({ OR: types.map(type => ({ pitchTypes: { array_contains: [type] } })) });
+  }
+
+  if (query.vehicleType !== undefined) {
+    const vehicleType = String(query.vehicleType).toUpperCase();
+    if (!VEHICLE_TYPES.includes(vehicleType)) {
+      return { error: `vehicleType must be one of: ${VEHICLE_TYPES.join(', ')}` };
+    }
+    filters.push({
+      OR: [
+        { pitchTypes: { equals: Prisma.DbNull } },
+        { pitchTypes: { equals: [] } },
+        ...VEHICLE_PITCH_TYPES[vehicleType].map(type => ({ pitchTypes: { array_contains: [type] } }))
+      ]
+    });
+  }
+
+  if (query.vehicleLength !== undefined) {
+    const length = Number(query.vehicleLength);
+    if (!(length > 0 && length <= MAX_VEHICLE_LENGTH)) {
+      return { error: `vehicleLength must be a length in metres, at most ${MAX_VEHICLE_LENGTH}` };
+    }
+    filters.push({ OR: [{ maxVehicleLength: null }, { maxVehicleLength: { gte: length } }] });
+  }
+
+  if (query.minAmps !== undefined || parseBooleanInput(query.electricity) === true) {
+    const amps = query.minAmps === undefined ? 1 : Number(query.minAmps);
+    if (!(Number.isInteger(amps) && amps > 0 && amps <= MAX_ELECTRICITY_AMPS)) {
+      return { error: `minAmps must be a whole number of amperes up to ${MAX_ELECTRICITY_AMPS}` };
+    }
+    filters.push({ electricityAmps: { gte: amps } });
+  }
+
+  if (parseBooleanInput(query.water) === true) {
+    filters.push({ hasWaterHookup: true });
+  }
+
+  if (parseBooleanInput(query.drain) === true) {
+    filters.push({ hasDrainHookup: true });
+  }
+
+  if (query.surface !== undefined) {
+    const surfaces = parseValueList(query.surface);
+    if (!surfaces || surfaces.length === 0 || surfaces.some(surface => !SURFACE_TYPES.includes(surface))) {
+      return { error: `surface must be a list of: ${SURFACE_TYPES.join(', ')}` };
+    }
+    filters.push({ surfaceType: { in: surfaces } });
+  }
+
+  return { filters };
+}
+
+module.exports = {
+  PITCH_TYPES,
+  SURFACE_TYPES,
+  VEHICLE_TYPES,
+  formatPitch,
+  parsePitchInput,
+  parseVehicleInput,
+  getVehicleViolation,
+  parsePitchFilters
+};
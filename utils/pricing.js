@@ -0,0 +1,231 @@
+const { getHolidayName, isHolidayCalendar } = require('./holidays');
+
+// Nightly prices of a spot. The base price (CampingSpot.price) applies unless a pricing rule
+// covers the night. Rules are date ranges (seasons), days of the week (weekends) or the public
+// holidays of a calendar, and set either a fixed nightly price or a percentage of the base price.
+// When several rules cover a night the highest priority wins; on a tie holidays beat days of the
+// week, which beat date ranges. A night is priced by the date it starts on.
+
+const PRICING_RULE_TYPES = ['DATE_RANGE', 'DAY_OF_WEEK', 'HOLIDAY'];
+const TYPE_PRECEDENCE = { HOLIDAY: 3, DAY_OF_WEEK: 2, DATE_RANGE: 1 };
+
+const MIN_ADJUSTMENT_PERCENT = -90;
+const MAX_ADJUSTMENT_PERCENT = 500;
+const MAX_PRIORITY = 100;
+
+// Longest stay that is priced or checked night by night
+const MAX_STAY_NIGHTS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function roundPrice(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// 'YYYY-MM-DD' of a local date (bookings normalize dates to local midnight)
+function toDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Nights from checkIn to checkOut (local midnights), without walking them
+function getNightCount(checkIn, checkOut) {
+  return Math.round((checkOut.getTime() - checkIn.getTime()) / DAY_MS);
+}
+
+function isValidDateKey(value) {
+  return typeof value === 'string' && DATE_KEY_PATTERN.test(value) &&
+    !isNaN(new Date(`${value}T00:00:00.000Z`).getTime()) &&
+    new Date(`${value}T00:00:00.000Z`).toISOString().startsWith(value);
+}
+
+// DATE columns come back as UTC midnight
+function fromDbDate(date) {
+  return date ? date.toISOString().substring(0, 10) : null;
+}
+
+function toDbDate(dateKey) {
+  return dateKey ? new Date(`${dateKey}T00:00:00.000Z`) : null;
+}
+
+// Rule as returned by the API
+function formatPricingRule(rule) {
+  return {
+    id: rule.id,
+    name: rule.name,
+    type: rule.type,
+    startDate: fromDbDate(rule.startDate),
+    endDate: fromDbDate(rule.endDate),
+    daysOfWeek: rule.daysOfWeek || null,
+    holidayCalendar: rule.holidayCalendar,
+    nightlyPrice: rule.nightlyPrice === null ? null : parseFloat(rule.nightlyPrice),
+    adjustmentPercent: rule.adjustmentPercent === null ? null : parseFloat(rule.adjustmentPercent),
+    priority: rule.priority,
+    isActive: rule.isActive,
+    createdAt: rule.createdAt,
+    updatedAt: rule.updatedAt
+  };
+}
+
+// Problem with a rule (in API format), or null when it is valid
+function getPricingRuleError(rule) {
+  if (!rule.name || typeof rule.name !== 'string' || rule.name.trim().length > 100) {
+    return 'name is required (at most 100 characters)';
+  }
+
+  if (!PRICING_RULE_TYPES.includes(rule.type)) {
+    return `type must be one of: ${PRICING_RULE_TYPES.join(', ')}`;
+  }
+
+  for (const field of ['startDate', 'endDate']) {
+    if (rule[field] !== null && rule[field] !== undefined && !isValidDateKey(rule[field])) {
+      return `${field} must be a date in YYYY-MM-DD format`;
+    }
+  }
+
+  if (rule.type === 'DATE_RANGE' && (!rule.startDate || !rule.endDate)) {
+    return 'startDate and endDate are required for DATE_RANGE rules';
+  }
+
+  if (rule.startDate && rule.endDate && rule.startDate > rule.endDate) {
+    return 'startDate must not be after endDate';
+  }
+
+  if (rule.type === 'DAY_OF_WEEK') {
+    const days = rule.daysOfWeek;
+    if (!Array.isArray(days) || days.length === 0 ||
+        days.some(day => !Number.isInteger(day) || day < 0 || day > 6) ||
+        new Set(days).size !== days.length) {
+      return 'daysOfWeek must be a list of distinct days from 0 (Sunday) to 6 (Saturday)';
+    }
+  }
+
+  if (rule.type === 'HOLIDAY' && !isHolidayCalendar(rule.holidayCalendar)) {
+    return 'holidayCalendar must be a supported calendar code (see the holidayCalendars list)';
+  }
+
+  const hasPrice = rule.nightlyPrice !== null && rule.nightlyPrice !== undefined;
+  const hasPercent = rule.adjustmentPercent !== null && rule.adjustmentPercent !== undefined;
+  if (hasPrice === hasPercent) {
+    return 'Provide either nightlyPrice or adjustmentPercent';
+  }
+
+  if (hasPrice && !(typeof rule.nightlyPrice === 'number' && rule.nightlyPrice > 0)) {
+    return 'nightlyPrice must be greater than 0';
+  }
+
+  if (hasPercent && !(typeof rule.adjustmentPercent === 'number' &&
+      rule.adjustmentPercent >= MIN_ADJUSTMENT_PERCENT && rule.adjustmentPercent <= MAX_ADJUSTMENT_PERCENT)) {
+    return `adjustmentPercent must be between ${MIN_ADJUSTMENT_PERCENT} and ${MAX_ADJUSTMENT_PERCENT}`;
+  }
+
+  if (!Number.isInteger(rule.priority) || Math.abs(rule.priority) > MAX_PRIORITY) {
+    return `priority must be a whole number between -${MAX_PRIORITY} and ${MAX_PRIORITY}`;
+  }
+
+  return null;
+}
+
+// Prisma data for a valid rule (in API format). Fields that don't apply to the type are cleared.
+function toPricingRuleData(rule) {
+  return {
+    name: rule.name.trim(),
+    type: rule.type,
+    startDate: toDbDate(rule.startDate),
+    endDate: toDbDate(rule.endDate),
+    daysOfWeek: rule.type === 'DAY_OF_WEEK' ? [...rule.daysOfWeek].sort() : null,
+    holidayCalendar: rule.type === 'HOLIDAY' ? rule.holidayCalendar : null,
+    nightlyPrice: rule.nightlyPrice === undefined ? null : rule.nightlyPrice,
+    adjustmentPercent: rule.adjustmentPercent === undefined ? null : rule.adjustmentPercent,
+    priority: rule.priority,
+    isActive: Boolean(rule.isActive)
+  };
+}
+
+function ruleAppliesTo(rule, dateKey, dayOfWeek) {
+  if (!rule.isActive) return false;
+
+  const startDate = fromDbDate(rule.startDate);
+  const endDate = fromDbDate(rule.endDate);
+  if (startDate && dateKey < startDate) return false;
+  if (endDate && dateKey > endDate) return false;
+
+  switch (rule.type) {
+    case 'DAY_OF_WEEK':
+      return Array.isArray(rule.daysOfWeek) && rule.daysOfWeek.includes(dayOfWeek);
+    case 'HOLIDAY':
+      return Boolean(getHolidayName(rule.holidayCalendar, dateKey));
+    default:
+      return true;
+  }
+}
+
+function getRulePrice(basePrice, rule) {
+  if (rule.nightlyPrice !== null) {
+    return parseFloat(rule.nightlyPrice);
+  }
+  return roundPrice(basePrice * (1 + parseFloat(rule.adjustmentPercent) / 100));
+}
+
+// Price of each night from checkIn (inclusive) to checkOut (exclusive).
+// Returns [{ date, price, rule: { id, name } | null }]
+function getNightlyPrices(spot, rules, checkIn, checkOut) {
+  const basePrice = parseFloat(spot.price);
+  const sortedRules = [...rules].sort((a, b) =>
+    b.priority - a.priority || TYPE_PRECEDENCE[b.type] - TYPE_PRECEDENCE[a.type] || a.id - b.id
+  );
+
+  const nights = [];
+  const night = new Date(checkIn);
+  night.setHours(0, 0, 0, 0);
+
+  while (night < checkOut) {
+    const date = toDateKey(night);
+    const rule = sortedRules.find(candidate => ruleAppliesTo(candidate, date, night.getDay()));
+
+    nights.push({
+      date,
+      price: rule ? getRulePrice(basePrice, rule) : basePrice,
+      rule: rule ? { id: rule.id, name: rule.name } : null
+    });
+    night.setDate(night.getDate() + 1);
+  }
+
+  return nights;
+}
+
+// Price of a stay: { nights, totalPrice, averageNightlyPrice }
+function quoteStay(spot, rules, checkIn, checkOut) {
+  const nights = getNightlyPrices(spot, rules, checkIn, checkOut);
+  const totalPrice = roundPrice(nights.reduce((sum, night) => sum + night.price, 0));
+
+  return {
+    nights,
+    totalPrice,
+    averageNightlyPrice: nights.length > 0 ? roundPrice(totalPrice / nights.length) : parseFloat(spot.price)
+  };
+}
+
+async function getActivePricingRules(prisma, spotId) {
+  return prisma.spotPricingRule.findMany({
+    where: { spotId, isActive: true }
+  });
+}
+
+module.exports = {
+  PRICING_RULE_TYPES,
+  MAX_STAY_NIGHTS,
+  toDateKey,
+  getNightCount,
+  isValidDateKey,
+  fromDbDate,
+  toDbDate,
+  formatPricingRule,
+  getPricingRuleError,
+  toPricingRuleData,
+  getNightlyPrices,
+  quoteStay,
+  getActivePricingRules
+};
@@ -0,0 +1,41 @@
+const { getClientInfo } = require('./tokenService');
+
+// Security event types recorded in the security_events table
+const SECURITY_EVENTS = {
+  LOGIN_SUCCESS: 'LOGIN_SUCCESS',
+  LOGIN_FAILED: 'LOGIN_FAILED',
+  LOGIN_BLOCKED: 'LOGIN_BLOCKED',
+  TWO_FACTOR_FAILED: 'TWO_FACTOR_FAILED',
+  ACCOUNT_LOCKED: 'ACCOUNT_LOCKED',
+  ACCOUNT_UNLOCKED: 'ACCOUNT_UNLOCKED',
+  PASSWORD_RESET: 'PASSWORD_RESET',
+  PASSWORD_CHANGED: 'PASSWORD_CHANGED',
+  SESSION_REVOKED: 'SESSION_REVOKED',
+  IDENTITY_LINKED: 'IDENTITY_LINKED',
+  IDENTITY_UNLINKED: 'IDENTITY_UNLINKED',
+  IMPERSONATION_STARTED: 'IMPERSONATION_STARTED'
+};
+
+// Record a security event. Failures are logged but never break the calling request.
+async function recordSecurityEvent(prisma, req, { userId = null, type, metadata = null }) {
+  try {
+    const { createdByIp, userAgent } = getClientInfo(req);
+
+    await prisma.securityEvent.create({
+      data: {
+        userId,
+        type,
+        ipAddress: createdByIp,
+        userAgent,
+        metadata: metadata || undefined
+      }
+    });
+  } catch (error) {
+    console.error(`Failed to record security event ${type}:`, error);
+  }
+}
+
+module.exports = {
+  SECURITY_EVENTS,
+  recordSecurityEvent
+};
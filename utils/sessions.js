@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+
+// Login sessions (one per device). A session shares its id with the familyId of its
+// refresh tokens and access tokens carry it as the `sid` claim, so revoking a session
+// signs that device out. Session state is cached briefly like the user auth state.
+
+const CACHE_TTL_MS = (parseInt(process.env.AUTH_STATE_CACHE_TTL_SECONDS) || 10) * 1000;
+const MAX_CACHE_ENTRIES = 10000;
+const LAST_SEEN_UPDATE_INTERVAL_MS = 5 * 60 * 1000; // Limit writes from busy clients
+const cache = new Map();
+
+async function createSession(prisma, userId, { ipAddress, userAgent, expiresAt }) {
+  return prisma.userSession.create({
+    data: {
+      id: crypto.randomUUID(),
+      userId,
+      ipAddress,
+      userAgent,
+      expiresAt
+    }
+  });
+}
+
+// Returns { id, userId, expiresAt, revokedAt, lastSeenAt } or null if the session doesn't exist
+async function getSessionState(prisma, sessionId) {
+  const cached = cache.get(sessionId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.state;
+  }
+
+  const state = await prisma.userSession.findUnique({
+    where: { id: sessionId },
+    select: { id: true, userId: true, expiresAt: true, revokedAt: true, lastSeenAt: true }
+  });
+
+  if (cache.size >= MAX_CACHE_ENTRIES) {
+    cache.clear();
+  }
+  cache.set(sessionId, { state, expiresAt: Date.now() + CACHE_TTL_MS });
+
+  return state;
+}
+
+// Record activity on a session. Not awaited by callers, errors are only logged.
+function touchSession(prisma, state) {
+  const now = new Date();
+  if (now - state.lastSeenAt < LAST_SEEN_UPDATE_INTERVAL_MS) {
+    return Promise.resolve();
+  }
+
+  state.lastSeenAt = now;
+  return prisma.userSession.update({
+    where: { id: state.id },
+    data: { lastSeenAt: now }
+  }).catch(error => {
+    console.error('Failed to update session activity:', error);
+  });
+}
+
+// Mark active sessions as revoked. `where` is a userSession filter.
+// Returns the ids of the sessions that were revoked.
+async function markSessionsRevoked(prisma, where, reason) {
+  const sessions = await prisma.userSession.findMany({
+    where: { ...where, revokedAt: null },
+    select: { id: true }
+  });
+
+  if (sessions.length === 0) {
+    return [];
+  }
+
+  const ids = sessions.map(session => session.id);
+  await prisma.userSession.updateMany({
+    where: { id: { in: ids }, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+
+  ids.forEach(id => cache.delete(id));
+  return ids;
+}
+
+module.exports = {
+  createSession,
+  getSessionState,
+  touchSession,
+  markSessionsRevoked
+};
@@ -0,0 +1,50 @@
+// Admin-configurable platform settings, stored in the system_settings table
+
+const DEFAULT_SETTINGS = {
+  'security.requireTwoFactorForAdmins': false,
+  'security.passwordPolicy': null // See utils/passwordPolicy.js
+};
+
+// Settings are read on hot paths (login), so keep them in memory briefly
+const CACHE_TTL_MS = 30 * 1000;
+const cache = new Map();
+
+async function getSetting(prisma, key) {
+  if (!(key in DEFAULT_SETTINGS)) {
+    throw new Error(`Unknown setting: ${key}`);
+  }
+
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  const setting = await prisma.systemSetting.findUnique({
+    where: { key }
+  });
+
+  const value = setting ? setting.value : DEFAULT_SETTINGS[key];
+  cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+  return value;
+}
+
+async function setSetting(prisma, key, value, updatedById = null) {
+  if (!(key in DEFAULT_SETTINGS)) {
+    throw new Error(`Unknown setting: ${key}`);
+  }
+
+  await prisma.systemSetting.upsert({
+    where: { key },
+    create: { key, value, updatedById },
+    update: { value, updatedById }
+  });
+
+  cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+  return value;
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  getSetting,
+  setSetting
+};
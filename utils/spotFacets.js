@@ -0,0 +1,168 @@
+const { formatAmenity } = require('./amenities');
+
+// Aggregated counts for the spot search page, computed over the same filter as the results.
+// Requested with GET /api/spots?facets=amenities,cities,instantBook,capacity,price (or facets=all).
+
+const FACETS = ['amenities', 'cities', 'instantBook', 'capacity', 'price'];
+
+const CAPACITY_RANGES = [
+  { min: 1, max: 2 },
+  { min: 3, max: 4 },
+  { min: 5, max: 6 },
+  { min: 7, max: 10 },
+  { min: 11, max: null }
+];
+
+const MAX_CITIES = 20;
+const PRICE_BUCKETS = 10;
+
+// Requested facet names. Returns { facets, invalid }.
+function parseFacets(value) {
+  const names = String(value).split(',').map(name => name.trim()).filter(Boolean);
+
+  if (names.includes('all') || names.includes('true')) {
+    return { facets: FACETS, invalid: [] };
+  }
+
+  return {
+    facets: FACETS.filter(facet => names.includes(facet)),
+    invalid: names.filter(name => !FACETS.includes(name))
+  };
+}
+
+// 1, 2 or 5 times a power of ten, so bucket bounds are round numbers
+function getNiceStep(rawStep) {
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+  const step = [1, 2, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= rawStep);
+  return Math.max(1, step);
+}
+
+async function getAmenityFacet(prisma, where, locale) {
+  const groups = await prisma.spotAmenity.groupBy({
+    by: ['amenityId'],
+    where: { spot: where },
+    _count: { _all: true }
+  });
+
+  const amenities = await prisma.amenity.findMany({
+    where: { id: { in: groups.map(group => group.amenityId) }, isActive: true }
+  });
+  const byId = new Map(amenities.map(amenity => [amenity.id, amenity]));
+
+  return groups
+    .filter(group => byId.has(group.amenityId))
+    .map(group => ({
+      ...formatAmenity(byId.get(group.amenityId), locale),
+      count: group._count._all
+    }))
+    .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+}
+
+async function getCityFacet(prisma, where) {
+  const groups = await prisma.campingSpot.groupBy({
+    by: ['city'],
+    where: { AND: [where, { city: { not: null } }] },
+    _count: { _all: true }
+  });
+
+  return groups
+    .map(group => ({ city: group.city, count: group._count._all }))
+    .sort((a, b) => b.count - a.count || a.city.localeCompare(b.city))
+    .slice(0, MAX_CITIES);
+}
+
+async function getInstantBookFacet(prisma, where) {
+  const groups = await prisma.campingSpot.groupBy({
+    by: ['isInstantBook'],
+    where,
+    _count: { _all: true }
+  });
+
+  const counts = { true: 0, false: 0 };
+  groups.forEach(group => {
+    counts[group.isInstantBook] = group._count._all;
+  });
+  return counts;
+}
+
+async function getCapacityFacet(prisma, where) {
+  const groups = await prisma.campingSpot.groupBy({
+    by: ['capacity'],
+    where,
+    _count: { _all: true }
+  });
+
+  return CAPACITY_RANGES.map(range => ({
+    ...range,
+    count: groups
+      .filter(group => group.capacity >= range.min && (range.max === null || group.capacity <= range.max))
+      .reduce((sum, group) => sum + group._count._all, 0)
+  }));
+}
+
+// Histogram of nightly prices in about PRICE_BUCKETS buckets of equal, round width.
+// Each bucket includes its min and excludes its max, except the last one.
+// `stayPrices` (average nightly prices of a stay, one per spot) replace the base prices when
+// the search has stay dates, so the buckets match the price filter.
+async function getPriceFacet(prisma, where, stayPrices) {
+  let prices;
+  if (stayPrices) {
+    prices = stayPrices.map(price => ({ price, count: 1 }));
+  } else {
+    const groups = await prisma.campingSpot.groupBy({
+      by: ['price'],
+      where,
+      _count: { _all: true }
+    });
+    prices = groups.map(group => ({ price: parseFloat(group.price), count: group._count._all }));
+  }
+
+  if (prices.length === 0) {
+    return { min: null, max: null, buckets: [] };
+  }
+
+  const min = Math.min(...prices.map(entry => entry.price));
+  const max = Math.max(...prices.map(entry => entry.price));
+  const step = getNiceStep((max - min) / PRICE_BUCKETS || 1);
+  const start = Math.floor(min / step) * step;
+  const bucketCount = Math.max(1, Math.ceil((max - start) / step) + (max === start ? 1 : 0));
+
+  const buckets = Array.from({ length: bucketCount }, (_, index) => ({
+    min: start + index * step,
+    max: start + (index + 1) * step,
+    count: 0
+  }));
+
+  prices.forEach(entry => {
+    const index = Math.min(bucketCount - 1, Math.floor((entry.price - start) / step));
+    buckets[index].count += entry.count;
+  });
+
+  return { min, max, buckets };
+}
+
+// Compute the requested facets for a Prisma where filter on camping spots
+async function computeSpotFacets(prisma, where, facets, { locale, stayPrices } = {}) {
+  const builders = {
+    amenities: () => getAmenityFacet(prisma, where, locale),
+    cities: () => getCityFacet(prisma, where),
+    instantBook: () => getInstantBookFacet(prisma, where),
+    capacity: () => getCapacityFacet(prisma, where),
+    price: () => getPriceFacet(prisma, where, stayPrices)
+  };
+
+  const values = await Promise.all(facets.map(facet => builders[facet]()));
+
+  const result = {};
+  facets.forEach((facet, index) => {
+    result[facet] = values[index];
+  });
+  return result;
+}
+
+module.exports = {
+  FACETS,
+  CAPACITY_RANGES,
+  parseFacets,
+  computeSpotFacets
+};
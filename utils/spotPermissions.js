@@ -0,0 +1,119 @@
+// Per-spot permissions. The spot owner can do everything; co-hosts and staff
+// (SpotMember records) get the capabilities of their role, or an explicit list.
+
+const SPOT_CAPABILITIES = {
+  'spot.view': 'View the listing and its settings',
+  'spot.edit': 'Edit the listing',
+  'spot.delete': 'Deactivate the listing',
+  'bookings.view': 'See bookings and guest contact details',
+  'bookings.manage': 'Approve and reject bookings',
+  'dashboard.view': 'See revenue and booking statistics',
+  'members.manage': 'Add, change and remove team members'
+};
+
+// Capabilities that are never delegated to members
+const OWNER_ONLY_CAPABILITIES = ['spot.delete', 'members.manage'];
+
+const ROLE_CAPABILITIES = {
+  CO_HOST: ['spot.view', 'spot.edit', 'bookings.view', 'bookings.manage', 'dashboard.view'],
+  MANAGER: ['spot.view', 'spot.edit', 'bookings.view', 'bookings.manage'],
+  FRONT_DESK: ['spot.view', 'bookings.view', 'bookings.manage']
+};
+
+const MEMBER_ROLES = Object.keys(ROLE_CAPABILITIES);
+const ALL_CAPABILITIES = Object.keys(SPOT_CAPABILITIES);
+
+// Capabilities that cannot be given to a member
+function getInvalidMemberCapabilities(capabilities) {
+  return capabilities.filter(capability =>
+    !(capability in SPOT_CAPABILITIES) || OWNER_ONLY_CAPABILITIES.includes(capability)
+  );
+}
+
+function getMemberCapabilities(member) {
+  if (Array.isArray(member.capabilities)) {
+    return member.capabilities.filter(capability => !OWNER_ONLY_CAPABILITIES.includes(capability));
+  }
+  return ROLE_CAPABILITIES[member.role] || [];
+}
+
+function buildOwnerAccess(spotId) {
+  return { spotId, isOwner: true, role: 'OWNER', capabilities: ALL_CAPABILITIES };
+}
+
+function buildMemberAccess(member) {
+  return {
+    spotId: member.spotId,
+    isOwner: false,
+    role: member.role,
+    capabilities: getMemberCapabilities(member)
+  };
+}
+
+// Access of a user to one spot: { spotId, isOwner, role, capabilities },
+// null if the user has no access, undefined if the spot doesn't exist
+async function getSpotAccess(prisma, userId, spotId) {
+  const spot = await prisma.campingSpot.findUnique({
+    where: { id: spotId },
+    select: {
+      id: true,
+      ownerId: true,
+      members: {
+        where: { userId }
+      }
+    }
+  });
+
+  if (!spot) {
+    return undefined;
+  }
+
+  if (spot.ownerId === userId) {
+    return buildOwnerAccess(spot.id);
+  }
+
+  return spot.members.length > 0 ? buildMemberAccess(spot.members[0]) : null;
+}
+
+function hasCapability(access, capability) {
+  return Boolean(access && access.capabilities.includes(capability));
+}
+
+// Access to every spot the user owns or works on, keyed by spot id
+async function getSpotAccessMap(prisma, userId) {
+  const [ownedSpots, memberships] = await Promise.all([
+    prisma.campingSpot.findMany({
+      where: { ownerId: userId },
+      select: { id: true }
+    }),
+    prisma.spotMember.findMany({
+      where: { userId }
+    })
+  ]);
+
+  const accessMap = new Map();
+  memberships.forEach(member => accessMap.set(member.spotId, buildMemberAccess(member)));
+  ownedSpots.forEach(spot => accessMap.set(spot.id, buildOwnerAccess(spot.id)));
+  return accessMap;
+}
+
+// Ids of the spots where the user has a capability
+async function getSpotIdsWithCapability(prisma, userId, capability) {
+  const accessMap = await getSpotAccessMap(prisma, userId);
+  return [...accessMap.values()]
+    .filter(access => hasCapability(access, capability))
+    .map(access => access.spotId);
+}
+
+module.exports = {
+  SPOT_CAPABILITIES,
+  OWNER_ONLY_CAPABILITIES,
+  ROLE_CAPABILITIES,
+  MEMBER_ROLES,
+  getInvalidMemberCapabilities,
+  getMemberCapabilities,
+  getSpotAccess,
+  hasCapability,
+  getSpotAccessMap,
+  getSpotIdsWithCapability
+};
@@ -0,0 +1,231 @@
+// Full-text search for camping spots. Each spot's searchable fields are split into normalized
+// words (lowercase, accents removed) and stored in spot_search_terms, indexed by term.
+// A query word matches a term exactly, as a prefix, or with a small typo; the spot's relevance
+// is the sum over the query words of the best match, weighted by the field it was found in.
+
+const FIELD_WEIGHTS = {
+  title: 3,
+  city: 2,
+  location: 1.5,
+  state: 1,
+  description: 1
+};
+
+const MATCH_QUALITY = {
+  exact: 1,
+  prefix: 0.8,
+  typo: 0.6
+};
+
+const MIN_TERM_LENGTH = 2;
+const MAX_TERM_LENGTH = 64;
+const MAX_QUERY_TERMS = 10;
+const MIN_PREFIX_LENGTH = 3;
+const VOCABULARY_CACHE_TTL_MS = 60 * 1000;
+
+let vocabularyCache = null;
+
+// Lowercase and strip accents ("Liège" -> "liege")
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+// Unique normalized words of a text
+function tokenize(text) {
+  const words = normalizeText(text).split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length >= MIN_TERM_LENGTH && word.length <= MAX_TERM_LENGTH);
+  return [...new Set(words)];
+}
+
+// Typos allowed for a query word: none for short words, one from 4 letters, two from 8
+function getMaxTypos(word) {
+  if (word.length >= 8) return 2;
+  if (word.length >= 4) return 1;
+  return 0;
+}
+
+// Edit distance counting adjacent transpositions as one edit; stops early above maxDistance
+function getEditDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > maxDistance) {
+      return maxDistance + 1;
+    }
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return row[b.length];
+}
+
+// Rows of the search index for a spot
+function buildSearchTerms(spot) {
+  const rows = [];
+  Object.keys(FIELD_WEIGHTS).forEach(field => {
+    tokenize(spot[field]).forEach(term => {
+      rows.push({ spotId: spot.id, field, term });
+    });
+  });
+  return rows;
+}
+
+// Replace the indexed words of a spot in one transaction, so searches never see it half indexed
+async function replaceSearchTerms(prisma, spot) {
+  await prisma.$transaction([
+    prisma.spotSearchTerm.deleteMany({ where: { spotId: spot.id } }),
+    prisma.spotSearchTerm.createMany({ data: buildSearchTerms(spot), skipDuplicates: true })
+  ]);
+}
+
+// Replace the indexed words of a spot. Errors are only logged so that a failed
+// index update never fails the change to the spot itself.
+async function indexSpot(prisma, spot) {
+  try {
+    await replaceSearchTerms(prisma, spot);
+    vocabularyCache = null;
+  } catch (error) {
+    console.error(`Failed to update search index for spot ${spot.id}:`, error);
+  }
+}
+
+// Rebuild the index spot by spot; searches keep working while it runs (terms of deleted
+// spots go with them through the foreign key). Returns the number of spots indexed.
+async function rebuildSearchIndex(prisma) {
+  const spots = await prisma.campingSpot.findMany({
+    select: { id: true, title: true, city: true, location: true, state: true, description: true }
+  });
+
+  for (const spot of spots) {
+    await replaceSearchTerms(prisma, spot);
+  }
+
+  vocabularyCache = null;
+  return spots.length;
+}
+
+// Distinct indexed words (briefly cached)
+async function getVocabulary(prisma) {
+  if (vocabularyCache && vocabularyCache.expiresAt > Date.now()) {
+    return vocabularyCache.terms;
+  }
+
+  const rows = await prisma.spotSearchTerm.findMany({
+    distinct: ['term'],
+    select: { term: true }
+  });
+
+  vocabularyCache = {
+    terms: rows.map(row => row.term),
+    expiresAt: Date.now() + VOCABULARY_CACHE_TTL_MS
+  };
+  return vocabularyCache.terms;
+}
+
+// Indexed words matching a query word, as a Map of term -> match quality
+function expandQueryTerm(word, vocabulary) {
+  const matches = new Map();
+  const maxTypos = getMaxTypos(word);
+
+  vocabulary.forEach(term => {
+    let quality = 0;
+    if (term === word) {
+      quality = MATCH_QUALITY.exact;
+    } else if (word.length >= MIN_PREFIX_LENGTH && term.startsWith(word)) {
+      quality = MATCH_QUALITY.prefix;
+    } else if (maxTypos > 0 && getEditDistance(word, term, maxTypos) <= maxTypos) {
+      quality = MATCH_QUALITY.typo;
+    }
+
+    if (quality > 0) {
+      matches.set(term, quality);
+    }
+  });
+
+  return matches;
+}
+
+// Search the index. Every query word must match one of the spot's fields.
+// Returns a Map of spotId -> relevance score (empty if nothing matches), or null if the
+// query has no searchable words or nothing is indexed yet (e.g. right after the index was
+// added to an existing database); callers then fall back to a substring match.
+async function searchSpots(prisma, query) {
+  const words = tokenize(query).slice(0, MAX_QUERY_TERMS);
+  if (words.length === 0) {
+    return null;
+  }
+
+  const vocabulary = await getVocabulary(prisma);
+  if (vocabulary.length === 0) {
+    return null;
+  }
+  const expansions = words.map(word => expandQueryTerm(word, vocabulary));
+  const terms = [...new Set(expansions.flatMap(expansion => [...expansion.keys()]))];
+
+  if (expansions.some(expansion => expansion.size === 0)) {
+    return new Map();
+  }
+
+  const rows = await prisma.spotSearchTerm.findMany({
+    where: { term: { in: terms } },
+    select: { spotId: true, field: true, term: true }
+  });
+
+  // Best score of each query word for each spot
+  const wordScores = new Map();
+  rows.forEach(row => {
+    if (!wordScores.has(row.spotId)) {
+      wordScores.set(row.spotId, words.map(() => 0));
+    }
+    const scores = wordScores.get(row.spotId);
+
+    expansions.forEach((expansion, index) => {
+      const quality = expansion.get(row.term);
+      if (quality) {
+        scores[index] = Math.max(scores[index], quality * FIELD_WEIGHTS[row.field]);
+      }
+    });
+  });
+
+  const results = new Map();
+  wordScores.forEach((scores, spotId) => {
+    if (scores.every(score => score > 0)) {
+      results.set(spotId, scores.reduce((sum, score) => sum + score, 0));
+    }
+  });
+
+  return results;
+}
+
+module.exports = {
+  FIELD_WEIGHTS,
+  normalizeText,
+  tokenize,
+  getEditDistance,
+  indexSpot,
+  rebuildSearchIndex,
+  searchSpots
+};
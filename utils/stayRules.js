@@ -0,0 +1,266 @@
+const { isValidDateKey, fromDbDate, toDbDate } = require('./pricing');
+
+// Stay restrictions of a spot: minimum and maximum nights, the weekdays guests may arrive and
+// leave on, how much notice a booking needs and how far ahead it may be made. Rules without dates
+// set the spot's defaults; dated rules (seasons) and rules for some arrival weekdays override them.
+// A stay follows the rules in effect on its check-in date. For each restriction, the highest
+// priority rule that sets it wins; on a tie the more specific rule (dates, then weekdays) wins.
+
+const DEFAULT_STAY_RESTRICTIONS = {
+  minNights: 1,
+  maxNights: 30,
+  checkInDays: null,
+  checkOutDays: null,
+  minAdvanceDays: 0,
+  maxAdvanceDays: null
+};
+
+const RESTRICTION_FIELDS = Object.keys(DEFAULT_STAY_RESTRICTIONS);
+
+const MAX_NIGHTS = 365;
+const MAX_ADVANCE_DAYS = 730;
+const MAX_PRIORITY = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Days since the epoch of a 'YYYY-MM-DD' key
+function toDayNumber(dateKey) {
+  return Math.round(new Date(`${dateKey}T00:00:00.000Z`).getTime() / DAY_MS);
+}
+
+function getWeekday(dateKey) {
+  return new Date(`${dateKey}T00:00:00.000Z`).getUTCDay();
+}
+
+function isWeekdayList(days) {
+  return Array.isArray(days) && days.length > 0 &&
+    days.every(day => Number.isInteger(day) && day >= 0 && day <= 6) &&
+    new Set(days).size === days.length;
+}
+
+function isOptionalWholeNumber(value, min, max) {
+  return value === null || value === undefined || (Number.isInteger(value) && value >= min && value <= max);
+}
+
+// Rule as returned by the API
+function formatStayRule(rule) {
+  return {
+    id: rule.id,
+    name: rule.name,
+    startDate: fromDbDate(rule.startDate),
+    endDate: fromDbDate(rule.endDate),
+    daysOfWeek: rule.daysOfWeek || null,
+    minNights: rule.minNights,
+    maxNights: rule.maxNights,
+    checkInDays: rule.checkInDays || null,
+    checkOutDays: rule.checkOutDays || null,
+    minAdvanceDays: rule.minAdvanceDays,
+    maxAdvanceDays: rule.maxAdvanceDays,
+    priority: rule.priority,
+    isActive: rule.isActive,
+    createdAt: rule.createdAt,
+    updatedAt: rule.updatedAt
+  };
+}
+
+// Problem with a rule (in API format), or null when it is valid
+function getStayRuleError(rule) {
+  if (!rule.name || typeof rule.name !== 'string' || rule.name.trim().length > 100) {
+    return 'name is required (at most 100 characters)';
+  }
+
+  for (const field of ['startDate', 'endDate']) {
+    if (rule[field] !== null && rule[field] !== undefined && !isValidDateKey(rule[field])) {
+      return `${field} must be a date in YYYY-MM-DD format`;
+    }
+  }
+
+  if (Boolean(rule.startDate) !== Boolean(rule.endDate)) {
+    return 'startDate and endDate must be given together';
+  }
+
+  if (rule.startDate && rule.startDate > rule.endDate) {
+    return 'startDate must not be after endDate';
+  }
+
+  for (const field of ['daysOfWeek', 'checkInDays', 'checkOutDays']) {
+    if (rule[field] !== null && rule[field] !== undefined && !isWeekdayList(rule[field])) {
+      return `${field} must be a list of distinct days from 0 (Sunday) to 6 (Saturday)`;
+    }
+  }
+
+  for (const field of ['minNights', 'maxNights']) {
+    if (!isOptionalWholeNumber(rule[field], 1, MAX_NIGHTS)) {
+      return `${field} must be a whole number between 1 and ${MAX_NIGHTS}`;
+    }
+  }
+
+  if (Number.isInteger(rule.minNights) && Number.isInteger(rule.maxNights) && rule.minNights > rule.maxNights) {
+    return 'minNights must not be greater than maxNights';
+  }
+
+  for (const field of ['minAdvanceDays', 'maxAdvanceDays']) {
+    if (!isOptionalWholeNumber(rule[field], 0, MAX_ADVANCE_DAYS)) {
+      return `${field} must be a whole number between 0 and ${MAX_ADVANCE_DAYS}`;
+    }
+  }
+
+  if (Number.isInteger(rule.minAdvanceDays) && Number.isInteger(rule.maxAdvanceDays) &&
+      rule.minAdvanceDays > rule.maxAdvanceDays) {
+    return 'minAdvanceDays must not be greater than maxAdvanceDays';
+  }
+
+  if (RESTRICTION_FIELDS.every(field => rule[field] === null || rule[field] === undefined)) {
+    return `Set at least one of: ${RESTRICTION_FIELDS.join(', ')}`;
+  }
+
+  if (!Number.isInteger(rule.priority) || Math.abs(rule.priority) > MAX_PRIORITY) {
+    return `priority must be a whole number between -${MAX_PRIORITY} and ${MAX_PRIORITY}`;
+  }
+
+  return null;
+}
+
+// Prisma data for a valid rule (in API format)
+function toStayRuleData(rule) {
+  const sortDays = days => (days ? [...days].sort() : null);
+
+  return {
+    name: rule.name.trim(),
+    startDate: toDbDate(rule.startDate || null),
+    endDate: toDbDate(rule.endDate || null),
+    daysOfWeek: sortDays(rule.daysOfWeek),
+    minNights: rule.minNights === undefined ? null : rule.minNights,
+    maxNights: rule.maxNights === undefined ? null : rule.maxNights,
+    checkInDays: sortDays(rule.checkInDays),
+    checkOutDays: sortDays(rule.checkOutDays),
+    minAdvanceDays: rule.minAdvanceDays === undefined ? null : rule.minAdvanceDays,
+    maxAdvanceDays: rule.maxAdvanceDays === undefined ? null : rule.maxAdvanceDays,
+    priority: rule.priority,
+    isActive: Boolean(rule.isActive)
+  };
+}
+
+function getSpecificity(rule) {
+  return (rule.startDate ? 2 : 0) + (Array.isArray(rule.daysOfWeek) ? 1 : 0);
+}
+
+// Rules ordered from the one that wins to the one that loses
+function sortStayRules(rules) {
+  return [...rules].sort((a, b) =>
+    b.priority - a.priority || getSpecificity(b) - getSpecificity(a) || a.id - b.id
+  );
+}
+
+function ruleAppliesTo(rule, dateKey) {
+  if (!rule.isActive) return false;
+
+  const startDate = fromDbDate(rule.startDate);
+  const endDate = fromDbDate(rule.endDate);
+  if (startDate && (dateKey < startDate || dateKey > endDate)) return false;
+
+  return !Array.isArray(rule.daysOfWeek) || rule.daysOfWeek.includes(getWeekday(dateKey));
+}
+
+// Restrictions in effect for an arrival on dateKey. Without a date, only the rules without dates
+// or weekdays (the spot's defaults) apply.
+function getStayRestrictions(rules, dateKey) {
+  const applicable = sortStayRules(rules).filter(rule =>
+    dateKey ? ruleAppliesTo(rule, dateKey) : rule.isActive && getSpecificity(rule) === 0
+  );
+
+  const restrictions = {};
+  RESTRICTION_FIELDS.forEach(field => {
+    const rule = applicable.find(candidate => candidate[field] !== null && candidate[field] !== undefined);
+    restrictions[field] = rule ? rule[field] : DEFAULT_STAY_RESTRICTIONS[field];
+  });
+  return restrictions;
+}
+
+function formatWeekdays(days) {
+  return days.map(day => WEEKDAY_NAMES[day]).join(', ');
+}
+
+// Problem with arriving on dateKey (days from today), or null: { code, message }
+function getArrivalViolation(restrictions, dateKey, todayKey) {
+  const advanceDays = toDayNumber(dateKey) - toDayNumber(todayKey);
+
+  if (advanceDays < restrictions.minAdvanceDays) {
+    return {
+      code: 'ADVANCE_NOTICE_REQUIRED',
+      message: `This spot must be booked at least ${restrictions.minAdvanceDays} day(s) before check-in`
+    };
+  }
+
+  if (restrictions.maxAdvanceDays !== null && advanceDays > restrictions.maxAdvanceDays) {
+    return {
+      code: 'OUTSIDE_BOOKING_WINDOW',
+      message: `This spot can be booked at most ${restrictions.maxAdvanceDays} day(s) before check-in`
+    };
+  }
+
+  if (restrictions.checkInDays && !restrictions.checkInDays.includes(getWeekday(dateKey))) {
+    return {
+      code: 'CHECK_IN_DAY_NOT_ALLOWED',
+      message: `Check-in is only possible on: ${formatWeekdays(restrictions.checkInDays)}`
+    };
+  }
+
+  return null;
+}
+
+function isCheckOutDayAllowed(restrictions, dateKey) {
+  return !restrictions.checkOutDays || restrictions.checkOutDays.includes(getWeekday(dateKey));
+}
+
+// Problem with a stay (date keys), or null: { code, message }
+function getStayViolation(restrictions, checkInKey, checkOutKey, todayKey) {
+  const arrivalViolation = getArrivalViolation(restrictions, checkInKey, todayKey);
+  if (arrivalViolation) {
+    return arrivalViolation;
+  }
+
+  const nights = toDayNumber(checkOutKey) - toDayNumber(checkInKey);
+
+  if (nights < restrictions.minNights) {
+    return {
+      code: 'MIN_NIGHTS_NOT_MET',
+      message: `The minimum stay for these dates is ${restrictions.minNights} night(s)`
+    };
+  }
+
+  if (nights > restrictions.maxNights) {
+    return {
+      code: 'MAX_NIGHTS_EXCEEDED',
+      message: `The maximum stay for these dates is ${restrictions.maxNights} night(s)`
+    };
+  }
+
+  if (!isCheckOutDayAllowed(restrictions, checkOutKey)) {
+    return {
+      code: 'CHECK_OUT_DAY_NOT_ALLOWED',
+      message: `Check-out is only possible on: ${formatWeekdays(restrictions.checkOutDays)}`
+    };
+  }
+
+  return null;
+}
+
+async function getActiveStayRules(prisma, spotId) {
+  return prisma.spotStayRule.findMany({
+    where: { spotId, isActive: true }
+  });
+}
+
+module.exports = {
+  DEFAULT_STAY_RESTRICTIONS,
+  formatStayRule,
+  getStayRuleError,
+  toStayRuleData,
+  getStayRestrictions,
+  getArrivalViolation,
+  isCheckOutDayAllowed,
+  getStayViolation,
+  getActiveStayRules
+};
@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createSession, markSessionsRevoked } = require('./sessions');
+
+// Token lifetimes (configurable through environment variables)
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Generate a random, URL-safe opaque token
+function generateOpaqueToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+// Hash an opaque token before storing or looking it up (keyed with the server secret)
+function hashToken(token) {
+  return crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update(token)
+    .digest('hex');
+}
+
+// Extract client information stored alongside tokens
+function getClientInfo(req) {
+  const userAgent = req && req.get ? req.get('user-agent') : null;
+
+  return {
+    createdByIp: (req && req.ip) || null,
+    userAgent: userAgent ? userAgent.substring(0, 255) : null
+  };
+}
+
+// Sign a short-lived access token for a user, bound to a login session
+function generateAccessToken(user, sessionId) {
+  return jwt.sign(
+    {
+      userId: user.id,
+      email: user.email,
+      role: user.role,
+      tv: user.tokenVersion || 0,
+      sid: sessionId,
+      type: 'access'
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+}
+
+function getRefreshTokenExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Create and store a new refresh token in a family (the family id is the session id)
+async function createRefreshToken(prisma, user, req, familyId, expiresAt = getRefreshTokenExpiry()) {
+  const refreshToken = generateOpaqueToken();
+
+  const record = await prisma.refreshToken.create({
+    data: {
+      userId: user.id,
+      tokenHash: hashToken(refreshToken),
+      familyId,
+      expiresAt,
+      ...getClientInfo(req)
+    }
+  });
+
+  return { refreshToken, record };
+}
+
+// Build the token part of an authentication response
+function buildTokenResponse(accessToken, refreshToken) {
+  const decoded = jwt.decode(accessToken);
+
+  return {
+    token: accessToken,
+    refreshToken,
+    tokenType: 'Bearer',
+    expiresIn: decoded.exp - decoded.iat
+  };
+}
+
+// Start a new session and issue its access token and first refresh token (used on login/register)
+async function issueAuthTokens(prisma, user, req) {
+  const expiresAt = getRefreshTokenExpiry();
+  const { createdByIp, userAgent } = getClientInfo(req);
+
+  const session = await createSession(prisma, user.id, {
+    ipAddress: createdByIp,
+    userAgent,
+    expiresAt
+  });
+
+  const accessToken = generateAccessToken(user, session.id);
+  const { refreshToken } = await createRefreshToken(prisma, user, req, session.id, expiresAt);
+
+  return buildTokenResponse(accessToken, refreshToken);
+}
+
+// Revoke every active token of a family and its session (used on logout and reuse detection)
+async function revokeTokenFamily(prisma, familyId, reason) {
+  await markSessionsRevoked(prisma, { id: familyId }, reason);
+
+  return prisma.refreshToken.updateMany({
+    where: { familyId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+}
+
+// Revoke every active refresh token and session of a user
+async function revokeAllUserTokens(prisma, userId, reason) {
+  await markSessionsRevoked(prisma, { userId }, reason);
+
+  return prisma.refreshToken.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+}
+
+// Sign out one session of a user. Returns false if the user has no such active session.
+async function revokeSession(prisma, userId, sessionId, reason) {
+  const revoked = await markSessionsRevoked(prisma, { id: sessionId, userId }, reason);
+  if (revoked.length === 0) {
+    return false;
+  }
+
+  await prisma.refreshToken.updateMany({
+    where: { familyId: sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+
+  return true;
+}
+
+// Sign out every session of a user except the current one. Returns the number of sessions revoked.
+async function revokeOtherSessions(prisma, userId, currentSessionId, reason) {
+  const revoked = await markSessionsRevoked(prisma, {
+    userId,
+    ...(currentSessionId && { id: { not: currentSessionId } })
+  }, reason);
+
+  await prisma.refreshToken.updateMany({
+    where: {
+      userId,
+      revokedAt: null,
+      ...(currentSessionId && { familyId: { not: currentSessionId } })
+    },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+
+  return revoked.length;
+}
+
+// Exchange a refresh token for a new access/refresh token pair.
+// Presenting a token that was already rotated or revoked is treated as theft:
+// the whole family is revoked so neither the attacker nor the victim can continue.
+async function rotateRefreshToken(prisma, refreshToken, req) {
+  const existing = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+    include: {
+      user: {
+        select: { id: true, email: true, role: true, isActive: true, tokenVersion: true }
+      }
+    }
+  });
+
+  if (!existing) {
+    throw new Error('REFRESH_TOKEN_INVALID');
+  }
+
+  // Tokens revoked by logout or session management simply stop working
+  if (existing.revokedAt && existing.revokedReason !== 'ROTATED') {
+    throw new Error('REFRESH_TOKEN_REVOKED');
+  }
+
+  if (existing.revokedAt) {
+    await revokeTokenFamily(prisma, existing.familyId, 'REUSE_DETECTED');
+    console.warn(`🚨 Refresh token reuse detected for user ${existing.userId} (family ${existing.familyId})`);
+    throw new Error('REFRESH_TOKEN_REUSED');
+  }
+
+  if (existing.expiresAt < new Date()) {
+    throw new Error('REFRESH_TOKEN_EXPIRED');
+  }
+
+  if (!existing.user.isActive) {
+    await revokeTokenFamily(prisma, existing.familyId, 'ACCOUNT_INACTIVE');
+    throw new Error('ACCOUNT_INACTIVE');
+  }
+
+  let newRefreshToken;
+  try {
+    ({ refreshToken: newRefreshToken } = await prisma.$transaction(async (tx) => {
+      // Only one concurrent request may consume the token
+      const consumed = await tx.refreshToken.updateMany({
+        where: { id: existing.id, revokedAt: null },
+        data: { revokedAt: new Date(), revokedReason: 'ROTATED' }
+      });
+
+      if (consumed.count === 0) {
+        throw new Error('REFRESH_TOKEN_REUSED');
+      }
+
+      const expiresAt = getRefreshTokenExpiry();
+      const created = await createRefreshToken(tx, existing.user, req, existing.familyId, expiresAt);
+
+      await tx.refreshToken.update({
+        where: { id: existing.id },
+        data: { replacedById: created.record.id }
+      });
+
+      // Keep the session current (families created before sessions existed get one now)
+      const { createdByIp, userAgent } = getClientInfo(req);
+      await tx.userSession.upsert({
+        where: { id: existing.familyId },
+        create: {
+          id: existing.familyId,
+          userId: existing.userId,
+          ipAddress: createdByIp,
+          userAgent,
+          expiresAt
+        },
+        update: { ipAddress: createdByIp, lastSeenAt: new Date(), expiresAt }
+      });
+
+      return created;
+    }));
+  } catch (error) {
+    if (error.message === 'REFRESH_TOKEN_REUSED') {
+      await revokeTokenFamily(prisma, existing.familyId, 'REUSE_DETECTED');
+    }
+    throw error;
+  }
+
+  return {
+    user: existing.user,
+    tokens: buildTokenResponse(generateAccessToken(existing.user, existing.familyId), newRefreshToken)
+  };
+}
+
+// Revoke the family a refresh token belongs to (logout)
+async function revokeRefreshToken(prisma, refreshToken) {
+  const existing = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+    select: { familyId: true, userId: true }
+  });
+
+  if (!existing) {
+    return null;
+  }
+
+  await revokeTokenFamily(prisma, existing.familyId, 'LOGOUT');
+  return existing;
+}
+
+module.exports = {
+  REFRESH_TOKEN_TTL_DAYS,
+  generateOpaqueToken,
+  hashToken,
+  getClientInfo,
+  generateAccessToken,
+  issueAuthTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeTokenFamily,
+  revokeAllUserTokens,
+  revokeSession,
+  revokeOtherSessions
+};
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { verifyTotp } = require('./totp');
+const { hashToken } = require('./tokenService');
+const { getSetting } = require('./settings');
+
+const CHALLENGE_EXPIRES_IN = '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+/* ===== SECRET ENCRYPTION ===== */
+
+// TOTP secrets must be readable to verify codes, so they are encrypted (not hashed) at rest
+function getEncryptionKey() {
+  return crypto
+    .createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv.toString('hex'), cipher.getAuthTag().toString('hex'), encrypted.toString('hex')].join(':');
+}
+
+function decryptSecret(payload) {
+  const [iv, authTag, encrypted] = payload.split(':');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), Buffer.from(iv, 'hex'));
+  decipher.setAuthTag(Buffer.from(authTag, 'hex'));
+
+  return Buffer.concat([decipher.update(Buffer.from(encrypted, 'hex')), decipher.final()]).toString('utf8');
+}
+
+/* ===== POLICY ===== */
+
+// Whether the platform policy forces this user to use two-factor authentication
+async function isTwoFactorRequired(prisma, user) {
+  if (user.role !== 'ADMIN') {
+    return false;
+  }
+  return Boolean(await getSetting(prisma, 'security.requireTwoFactorForAdmins'));
+}
+
+/* ===== LOGIN CHALLENGES ===== */
+
+// Short-lived token returned by the first login step.
+// type is '2fa-challenge' (code required) or '2fa-enrollment' (setup required by policy)
+function signChallengeToken(user, type) {
+  return jwt.sign(
+    { userId: user.id, type },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_EXPIRES_IN }
+  );
+}
+
+function verifyChallengeToken(token, type) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new Error(error.name === 'TokenExpiredError' ? 'CHALLENGE_EXPIRED' : 'CHALLENGE_INVALID');
+  }
+
+  if (decoded.type !== type) {
+    throw new Error('CHALLENGE_INVALID');
+  }
+
+  return decoded;
+}
+
+/* ===== CODE VERIFICATION ===== */
+
+// Verify a TOTP code for a user and record its time step so it cannot be replayed.
+// `user` must include twoFactorSecret and twoFactorLastUsedStep.
+async function verifyTotpCode(prisma, user, code) {
+  if (!user.twoFactorSecret) {
+    return false;
+  }
+
+  const step = verifyTotp(decryptSecret(user.twoFactorSecret), code, {
+    lastUsedStep: user.twoFactorLastUsedStep
+  });
+
+  if (step === null) {
+    return false;
+  }
+
+  // Only one request may use a given time step
+  const updated = await prisma.user.updateMany({
+    where: {
+      id: user.id,
+      OR: [
+        { twoFactorLastUsedStep: null },
+        { twoFactorLastUsedStep: { lt: step } }
+      ]
+    },
+    data: { twoFactorLastUsedStep: step }
+  });
+
+  return updated.count === 1;
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Generate a fresh set of recovery codes, replacing any previous ones. Returns the plain codes.
+async function replaceRecoveryCodes(prisma, userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await prisma.twoFactorRecoveryCode.deleteMany({
+    where: { userId }
+  });
+
+  await prisma.twoFactorRecoveryCode.createMany({
+    data: codes.map(code => ({
+      userId,
+      codeHash: hashToken(normalizeRecoveryCode(code))
+    }))
+  });
+
+  return codes;
+}
+
+// Consume a recovery code; each code works once
+async function consumeRecoveryCode(prisma, userId, code) {
+  const record = await prisma.twoFactorRecoveryCode.findFirst({
+    where: {
+      userId,
+      codeHash: hashToken(normalizeRecoveryCode(code)),
+      usedAt: null
+    }
+  });
+
+  if (!record) {
+    return false;
+  }
+
+  const consumed = await prisma.twoFactorRecoveryCode.updateMany({
+    where: { id: record.id, usedAt: null },
+    data: { usedAt: new Date() }
+  });
+
+  return consumed.count === 1;
+}
+
+// Verify either a TOTP code or a recovery code. Returns the method used, or null.
+async function verifySecondFactor(prisma, user, { code, recoveryCode }) {
+  if (code && await verifyTotpCode(prisma, user, code)) {
+    return 'totp';
+  }
+
+  if (recoveryCode && await consumeRecoveryCode(prisma, user.id, recoveryCode)) {
+    return 'recovery_code';
+  }
+
+  return null;
+}
+
+module.exports = {
+  encryptSecret,
+  decryptSecret,
+  isTwoFactorRequired,
+  signChallengeToken,
+  verifyChallengeToken,
+  verifyTotpCode,
+  replaceRecoveryCodes,
+  verifySecondFactor
+};
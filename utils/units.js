@@ -0,0 +1,73 @@
+// Bookable units of a spot (pitches, cabins...). A unit is either one numbered pitch
+// ("Pitch 12", quantity 1) or a pool of identical ones ("Standard pitch", quantity 20).
+// Spots without units are booked as a whole, like a single unit.
+
+const MAX_UNIT_QUANTITY = 500;
+const MAX_UNIT_CAPACITY = 50;
+const MAX_NAME_LENGTH = 100;
+
+// Unit as returned by the API
+function formatUnit(unit) {
+  return {
+    id: unit.id,
+    name: unit.name,
+    quantity: unit.quantity,
+    capacity: unit.capacity,
+    price: unit.price === null ? null : parseFloat(unit.price),
+    isActive: unit.isActive,
+    createdAt: unit.createdAt,
+    updatedAt: unit.updatedAt
+  };
+}
+
+// Problem with a unit (in API format), or null when it is valid
+function getUnitError(unit) {
+  if (!unit.name || typeof unit.name !== 'string' || !unit.name.trim() || unit.name.trim().length > MAX_NAME_LENGTH) {
+    return `name is required (at most ${MAX_NAME_LENGTH} characters)`;
+  }
+
+  if (!Number.isInteger(unit.quantity) || unit.quantity < 1 || unit.quantity > MAX_UNIT_QUANTITY) {
+    return `quantity must be a whole number between 1 and ${MAX_UNIT_QUANTITY}`;
+  }
+
+  if (!Number.isInteger(unit.capacity) || unit.capacity < 1 || unit.capacity > MAX_UNIT_CAPACITY) {
+    return `capacity must be a whole number between 1 and ${MAX_UNIT_CAPACITY}`;
+  }
+
+  if (unit.price !== null && unit.price !== undefined && !(typeof unit.price === 'number' && unit.price > 0)) {
+    return 'price must be greater than 0 (or null to use the spot price)';
+  }
+
+  return null;
+}
+
+// Prisma data for a valid unit (in API format)
+function toUnitData(unit) {
+  return {
+    name: unit.name.trim(),
+    quantity: unit.quantity,
+    capacity: unit.capacity,
+    price: unit.price === undefined ? null : unit.price,
+    isActive: Boolean(unit.isActive)
+  };
+}
+
+// Nightly base price of a unit (the spot price unless the unit sets its own)
+function getUnitBasePrice(spot, unit) {
+  return unit && unit.price !== null ? parseFloat(unit.price) : parseFloat(spot.price);
+}
+
+// Units that can take a group, cheapest first
+function getUnitsForGuests(spot, units, guests) {
+  return units
+    .filter(unit => unit.capacity >= guests)
+    .sort((a, b) => getUnitBasePrice(spot, a) - getUnitBasePrice(spot, b) || a.id - b.id);
+}
+
+module.exports = {
+  formatUnit,
+  getUnitError,
+  toUnitData,
+  getUnitBasePrice,
+  getUnitsForGuests
+};
@@ -0,0 +1,281 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { generateOpaqueToken, hashToken } = require('./tokenService');
+const {
+  getFrontendUrl,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendAccountLockedEmail,
+  sendMagicLinkEmail
+} = require('./emailService');
+
+// Lifetime and resend limits per token purpose
+const TOKEN_POLICIES = {
+  EMAIL_VERIFICATION: {
+    ttlMinutes: 24 * 60,
+    cooldownSeconds: 60,
+    maxPerDay: 5
+  },
+  PASSWORD_RESET: {
+    ttlMinutes: 60,
+    cooldownSeconds: 60,
+    maxPerDay: 5
+  },
+  ACCOUNT_UNLOCK: {
+    ttlMinutes: 60,
+    cooldownSeconds: 60,
+    maxPerDay: 10
+  },
+  MAGIC_LINK: {
+    ttlMinutes: 15,
+    cooldownSeconds: 60,
+    maxPerDay: 10
+  }
+};
+
+// Check whether a new token may be sent, based on the tokens issued recently
+async function getResendThrottle(prisma, userId, purpose) {
+  const policy = TOKEN_POLICIES[purpose];
+  const now = Date.now();
+  const dayAgo = new Date(now - 24 * 60 * 60 * 1000);
+
+  const recentTokens = await prisma.userToken.findMany({
+    where: {
+      userId,
+      purpose,
+      createdAt: { gte: dayAgo }
+    },
+    orderBy: { createdAt: 'desc' },
+    select: { createdAt: true }
+  });
+
+  if (recentTokens.length >= policy.maxPerDay) {
+    const oldest = recentTokens[recentTokens.length - 1].createdAt.getTime();
+    return {
+      allowed: false,
+      retryAfter: Math.ceil((oldest + 24 * 60 * 60 * 1000 - now) / 1000)
+    };
+  }
+
+  if (recentTokens.length > 0) {
+    const elapsedSeconds = (now - recentTokens[0].createdAt.getTime()) / 1000;
+    if (elapsedSeconds < policy.cooldownSeconds) {
+      return {
+        allowed: false,
+        retryAfter: Math.ceil(policy.cooldownSeconds - elapsedSeconds)
+      };
+    }
+  }
+
+  return { allowed: true, retryAfter: 0 };
+}
+
+// Expire every unused token of a user for a purpose
+async function expireUserTokens(prisma, userId, purpose) {
+  const now = new Date();
+
+  await prisma.userToken.updateMany({
+    where: {
+      userId,
+      purpose,
+      usedAt: null,
+      expiresAt: { gt: now }
+    },
+    data: { expiresAt: now }
+  });
+}
+
+// Create a new single-use token, invalidating any previous unused token of the same purpose.
+// Tokens bound to a device are kept: each only works on the device that asked for it, so a
+// request made elsewhere (by anyone who knows the address) must not cancel a pending one.
+async function createUserToken(prisma, userId, purpose, { email = null, bindingHash = null } = {}) {
+  const policy = TOKEN_POLICIES[purpose];
+  const now = new Date();
+
+  if (!bindingHash) {
+    await expireUserTokens(prisma, userId, purpose);
+  }
+
+  const token = generateOpaqueToken();
+  const expiresAt = new Date(now.getTime() + policy.ttlMinutes * 60 * 1000);
+
+  await prisma.userToken.create({
+    data: {
+      userId,
+      purpose,
+      tokenHash: hashToken(token),
+      email,
+      bindingHash,
+      expiresAt
+    }
+  });
+
+  return { token, expiresAt };
+}
+
+// Look up a usable token with its user without consuming it; throws TOKEN_INVALID, TOKEN_USED or TOKEN_EXPIRED
+async function findUserToken(prisma, token, purpose) {
+  const record = await prisma.userToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: {
+      user: {
+        select: {
+          id: true,
+          email: true,
+          firstName: true,
+          role: true,
+          isActive: true,
+          isVerified: true
+        }
+      }
+    }
+  });
+
+  if (!record || record.purpose !== purpose) {
+    throw new Error('TOKEN_INVALID');
+  }
+
+  if (record.usedAt) {
+    throw new Error('TOKEN_USED');
+  }
+
+  if (record.expiresAt <= new Date()) {
+    throw new Error('TOKEN_EXPIRED');
+  }
+
+  return record;
+}
+
+// Mark a token as used and return it with its user; throws TOKEN_INVALID, TOKEN_USED or TOKEN_EXPIRED
+async function consumeUserToken(prisma, token, purpose) {
+  const record = await findUserToken(prisma, token, purpose);
+
+  // Guard against the same token being consumed twice concurrently
+  const consumed = await prisma.userToken.updateMany({
+    where: { id: record.id, usedAt: null },
+    data: { usedAt: new Date() }
+  });
+
+  if (consumed.count === 0) {
+    throw new Error('TOKEN_USED');
+  }
+
+  return record;
+}
+
+// Email verification links carry a signed JWT wrapping the stored token,
+// so tampered or expired links are rejected before the database is queried
+function signVerificationToken(token, userId, expiresAt) {
+  return jwt.sign(
+    { userId, type: 'email-verification' },
+    process.env.JWT_SECRET,
+    {
+      jwtid: token,
+      expiresIn: Math.max(1, Math.floor((expiresAt.getTime() - Date.now()) / 1000))
+    }
+  );
+}
+
+function verifyVerificationToken(signedToken) {
+  try {
+    const decoded = jwt.verify(signedToken, process.env.JWT_SECRET);
+    if (decoded.type !== 'email-verification' || !decoded.jti) {
+      throw new Error('TOKEN_INVALID');
+    }
+    return decoded.jti;
+  } catch (error) {
+    throw new Error(error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'TOKEN_INVALID');
+  }
+}
+
+// Create a verification token for the user's current email address and send the link.
+// The frontend page shows the address and confirms it with POST /api/auth/verify, so mail
+// scanners that open the link don't use it up.
+async function issueEmailVerification(prisma, user) {
+  const { token, expiresAt } = await createUserToken(prisma, user.id, 'EMAIL_VERIFICATION', {
+    email: user.email
+  });
+
+  const signedToken = signVerificationToken(token, user.id, expiresAt);
+  const verificationUrl = `${getFrontendUrl()}/verify-email?token=${encodeURIComponent(signedToken)}`;
+
+  await sendVerificationEmail(user, verificationUrl, expiresAt);
+
+  return { expiresAt };
+}
+
+// Create a password reset token and send the reset link to the user's address.
+// Delivery is not awaited so the caller's response time doesn't depend on the mail transport.
+async function issuePasswordReset(prisma, user) {
+  const { token, expiresAt } = await createUserToken(prisma, user.id, 'PASSWORD_RESET', {
+    email: user.email
+  });
+
+  const resetUrl = `${getFrontendUrl()}/reset-password?token=${token}`;
+
+  sendPasswordResetEmail(user, resetUrl, expiresAt).catch(error => {
+    console.error('Failed to send password reset email:', error);
+  });
+
+  return { expiresAt };
+}
+
+// Create an unlock token for a locked account and email the unlock link (delivery not awaited)
+async function issueAccountUnlock(prisma, user, lockDurationMinutes) {
+  const { token, expiresAt } = await createUserToken(prisma, user.id, 'ACCOUNT_UNLOCK', {
+    email: user.email
+  });
+
+  const unlockUrl = `${getFrontendUrl()}/unlock-account?token=${token}`;
+
+  sendAccountLockedEmail(user, unlockUrl, lockDurationMinutes).catch(error => {
+    console.error('Failed to send account locked email:', error);
+  });
+
+  return { expiresAt };
+}
+
+// Create a login link bound to the requesting device and email it (delivery not awaited).
+// `deviceToken` is a secret kept by the device that asked for the link.
+async function issueMagicLink(prisma, user, deviceToken) {
+  const { token, expiresAt } = await createUserToken(prisma, user.id, 'MAGIC_LINK', {
+    email: user.email,
+    bindingHash: hashToken(deviceToken)
+  });
+
+  const loginUrl = `${getFrontendUrl()}/auth/magic-link?token=${token}`;
+
+  sendMagicLinkEmail(user, loginUrl, expiresAt).catch(error => {
+    console.error('Failed to send magic link email:', error);
+  });
+
+  return { expiresAt };
+}
+
+// Whether a token was issued to the device holding `deviceToken`
+function isTokenBoundToDevice(record, deviceToken) {
+  if (!record.bindingHash || !deviceToken) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(
+    Buffer.from(record.bindingHash),
+    Buffer.from(hashToken(String(deviceToken)))
+  );
+}
+
+module.exports = {
+  TOKEN_POLICIES,
+  getResendThrottle,
+  expireUserTokens,
+  createUserToken,
+  findUserToken,
+  consumeUserToken,
+  signVerificationToken,
+  verifyVerificationToken,
+  issueEmailVerification,
+  issuePasswordReset,
+  issueAccountUnlock,
+  issueMagicLink,
+  isTokenBoundToDevice
+};